@@ -1,17 +1,129 @@
 const rules = require('./pulley/rules/index.js');
+const options = require('./pulley/options.js');
+const config = require('./pulley/config.js');
+const manifest = require('./pulley/manifest.js');
+const credentials = require('./pulley/credentials.js');
+const redaction = require('./pulley/redaction.js');
+const abort = require('./pulley/abort.js');
+const scheduler = require('./pulley/scheduler.js');
+const plan = require('./pulley/plan.js');
 
+const Component = require('./pulley/component.js');
+const Logger = require('./pulley/logger.js');
 const Action = require('./pulley/action.js');
+const FileAction = require('./pulley/fileAction.js');
 const Bundler = require('./pulley/bundler.js');
 const Source = require('./pulley/source.js');
 const AuthenticatedSource = require('./pulley/authenticatedSource.js');
+const CredentialProvider = require('./pulley/credentialProvider.js');
+const Pipeline = require('./pulley/pipeline.js');
+const Registry = require('./pulley/registry.js');
+const FetchCache = require('./pulley/cache.js');
+const errors = require('./pulley/errors.js');
+
+const LocalSource = require('./pulley/sources/localSource.js');
+const GitSource = require('./pulley/sources/gitSource.js');
+const HttpSource = require('./pulley/sources/httpSource.js');
+const ArchiveSource = require('./pulley/sources/archiveSource.js');
+
+const ExtractAction = require('./pulley/actions/extractAction.js');
+const FilterAction = require('./pulley/actions/filterAction.js');
+const RenameAction = require('./pulley/actions/renameAction.js');
+const StripPrefixAction = require('./pulley/actions/stripPrefixAction.js');
+const AddPrefixAction = require('./pulley/actions/addPrefixAction.js');
+const ReplaceAction = require('./pulley/actions/replaceAction.js');
+const TemplateAction = require('./pulley/actions/templateAction.js');
+const LineEndingsAction = require('./pulley/actions/lineEndingsAction.js');
+const ModeAction = require('./pulley/actions/modeAction.js');
+const ActionChain = require('./pulley/actions/actionChain.js');
+const ConditionalAction = require('./pulley/actions/conditionalAction.js');
+
+const EnvCredentialProvider = require('./pulley/credentials/envCredentialProvider.js');
+const NetrcCredentialProvider = require('./pulley/credentials/netrcCredentialProvider.js');
+const FileCredentialProvider = require('./pulley/credentials/fileCredentialProvider.js');
+const CommandCredentialProvider = require('./pulley/credentials/commandCredentialProvider.js');
+const EncryptedFileCredentialProvider = require('./pulley/credentials/encryptedFileCredentialProvider.js');
+
+const DirectoryBundler = require('./pulley/bundlers/directoryBundler.js');
+const TarBundler = require('./pulley/bundlers/tarBundler.js');
+const ZipBundler = require('./pulley/bundlers/zipBundler.js');
 
 const reexports = require('./reexports.js');
+const { version } = require('../package.json');
+
+const registry = new Registry();
+const builtIn = { version, packageName: 'pulley-core' };
+
+registry.register('source:local', LocalSource, builtIn);
+registry.register('source:git', GitSource, builtIn);
+registry.register('source:http', HttpSource, builtIn);
+registry.register('source:archive', ArchiveSource, builtIn);
+registry.register('action:extract', ExtractAction, builtIn);
+registry.register('action:filter', FilterAction, builtIn);
+registry.register('action:rename', RenameAction, builtIn);
+registry.register('action:strip-prefix', StripPrefixAction, builtIn);
+registry.register('action:add-prefix', AddPrefixAction, builtIn);
+registry.register('action:replace', ReplaceAction, builtIn);
+registry.register('action:template', TemplateAction, builtIn);
+registry.register('action:line-endings', LineEndingsAction, builtIn);
+registry.register('action:mode', ModeAction, builtIn);
+registry.register('action:chain', ActionChain, builtIn);
+registry.register('action:when', ConditionalAction, builtIn);
+registry.register('bundler:directory', DirectoryBundler, builtIn);
+registry.register('bundler:tar', TarBundler, builtIn);
+registry.register('bundler:zip', ZipBundler, builtIn);
+registry.register('credentials:env', EnvCredentialProvider, builtIn);
+registry.register('credentials:netrc', NetrcCredentialProvider, builtIn);
+registry.register('credentials:file', FileCredentialProvider, builtIn);
+registry.register('credentials:command', CommandCredentialProvider, builtIn);
+registry.register('credentials:encrypted-file', EncryptedFileCredentialProvider, builtIn);
 
 module.exports = {
   ...rules,
+  options,
+  config,
+  manifest,
+  credentials,
+  redaction,
+  abort,
+  scheduler,
+  plan,
   reexports,
+  Component,
+  Logger,
   Action,
+  FileAction,
   Bundler,
   Source,
   AuthenticatedSource,
+  CredentialProvider,
+  Pipeline,
+  Registry,
+  FetchCache,
+  registry,
+  LocalSource,
+  GitSource,
+  HttpSource,
+  ArchiveSource,
+  ExtractAction,
+  FilterAction,
+  RenameAction,
+  StripPrefixAction,
+  AddPrefixAction,
+  ReplaceAction,
+  TemplateAction,
+  LineEndingsAction,
+  ModeAction,
+  ActionChain,
+  ConditionalAction,
+  DirectoryBundler,
+  TarBundler,
+  ZipBundler,
+  EnvCredentialProvider,
+  NetrcCredentialProvider,
+  FileCredentialProvider,
+  CommandCredentialProvider,
+  EncryptedFileCredentialProvider,
+  Secret: redaction.Secret,
+  ...errors,
 };
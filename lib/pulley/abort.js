@@ -0,0 +1,211 @@
+/**
+ * @file Helpers for cooperative cancellation using `AbortSignal`.
+ *
+ * Lifecycle methods such as `Source#fetch()` and `Bundler#bundle()` accept an
+ * options object whose `signal` is an `AbortSignal`. Once the signal aborts,
+ * they should stop as soon as possible, clean up anything they have partially
+ * written, and reject with an `AbortError`. Signals are always optional.
+ */
+
+const { AbortError } = require('./errors.js');
+
+/**
+ * Returns the `AbortError` describing why `signal` aborted.
+ *
+ * @param {AbortSignal} signal - Aborted signal.
+ *
+ * @returns {AbortError} Error describing the abort.
+ */
+const getAbortError = (signal) => {
+  const reason = signal.reason;
+  if (reason instanceof AbortError) {
+    return reason;
+  }
+  const message = (reason && reason.message && reason.name !== 'AbortError')
+    ? reason.message
+    : 'The operation was aborted';
+  return new AbortError(message, reason);
+};
+
+/**
+ * Determines whether `err` signals that an operation was aborted.
+ *
+ * Recognises Pulley's `AbortError`, along with the errors thrown by Node's
+ * own APIs when their signal aborts.
+ *
+ * @param {*} err - Error to check.
+ *
+ * @returns {boolean} True if err is an abort error.
+ */
+const isAbortError = (err) => {
+  return !!err && (err instanceof AbortError || err.name === 'AbortError' || err.code === 'ABORT_ERR');
+};
+
+/**
+ * Throws an `AbortError` if `signal` has aborted.
+ *
+ * @param {AbortSignal=} signal - Signal to check, if any.
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw getAbortError(signal);
+  }
+};
+
+/**
+ * Registers `callback` to be called once `signal` aborts.
+ *
+ * @param {AbortSignal=} signal - Signal to listen to, if any.
+ * @param {function} callback - Callback which receives the abort error.
+ *
+ * @returns {function} Function which removes the callback again.
+ */
+const onAbort = (signal, callback) => {
+  if (!signal) {
+    return () => {};
+  }
+  const listener = () => callback(getAbortError(signal));
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+};
+
+/**
+ * Returns a promise which settles like `promise`, but rejects with an
+ * `AbortError` as soon as `signal` aborts.
+ *
+ * The underlying operation is not stopped; use this for operations which do
+ * not accept a signal themselves.
+ *
+ * @param {Promise} promise - Promise to race.
+ * @param {AbortSignal=} signal - Signal to race against, if any.
+ *
+ * @returns {Promise} Promise that settles with `promise`, or rejects on abort.
+ */
+const raceSignal = (promise, signal) => {
+  if (!signal) {
+    return Promise.resolve(promise);
+  }
+  if (signal.aborted) {
+    Promise.resolve(promise).catch(() => {});
+    return Promise.reject(getAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const remove = onAbort(signal, (err) => {
+      Promise.resolve(promise).catch(() => {});
+      reject(err);
+    });
+    Promise.resolve(promise).then((value) => {
+      remove();
+      resolve(value);
+    }, (err) => {
+      remove();
+      reject(err);
+    });
+  });
+};
+
+/**
+ * Creates a signal which aborts when any of `signals` aborts, or once
+ * `timeout` elapses.
+ *
+ * Call `dispose()` once the signal is no longer needed, so that its timer
+ * and listeners do not outlive the operation.
+ *
+ * @param {Array} signals - Parent signals; null or undefined items are ignored.
+ * @param {Object=} options - Optional settings.
+ * @param {number=} options.timeout - Milliseconds after which to abort.
+ * @param {string=} options.message - Message of the error given on timeout.
+ *
+ * @returns {Object} Object containing the linked `signal`, and `abort()` and
+ * `dispose()` functions.
+ */
+const createLinkedSignal = (signals, options = {}) => {
+  const controller = new AbortController();
+  const abort = (reason) => {
+    if (!controller.signal.aborted) {
+      controller.abort(reason || new AbortError());
+    }
+  };
+
+  const removers = signals.filter((signal) => signal).map((signal) => {
+    if (signal.aborted) {
+      abort(getAbortError(signal));
+      return () => {};
+    }
+    return onAbort(signal, abort);
+  });
+
+  let timer = null;
+  if (typeof options.timeout === 'number' && options.timeout > 0) {
+    timer = setTimeout(() => {
+      abort(new AbortError(options.message || `Timed out after ${options.timeout}ms`));
+    }, options.timeout);
+  }
+
+  return {
+    signal: controller.signal,
+    abort,
+    dispose: () => {
+      clearTimeout(timer);
+      removers.forEach((remove) => remove());
+    },
+  };
+};
+
+/**
+ * Waits for `ms` milliseconds, rejecting early if `signal` aborts.
+ *
+ * @param {number} ms - Milliseconds to wait.
+ * @param {AbortSignal=} signal - Signal which cancels the wait, if any.
+ *
+ * @returns {Promise} Promise that resolves once the time has elapsed.
+ */
+const sleep = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortError(signal));
+      return;
+    }
+    const remove = onAbort(signal, (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    const timer = setTimeout(() => {
+      remove();
+      resolve();
+    }, ms);
+  });
+};
+
+/**
+ * Destroys stream `stream` with an `AbortError` once `signal` aborts.
+ *
+ * @param {Object} stream - Readable, writable or duplex stream.
+ * @param {AbortSignal=} signal - Signal which aborts the stream, if any.
+ *
+ * @returns {Object} The same stream.
+ */
+const abortStream = (stream, signal) => {
+  if (!signal) {
+    return stream;
+  }
+  if (signal.aborted) {
+    stream.destroy(getAbortError(signal));
+    return stream;
+  }
+  const remove = onAbort(signal, (err) => stream.destroy(err));
+  stream.once('close', remove);
+  return stream;
+};
+
+module.exports = {
+  getAbortError,
+  isAbortError,
+  throwIfAborted,
+  onAbort,
+  raceSignal,
+  createLinkedSignal,
+  sleep,
+  abortStream,
+};
@@ -2,22 +2,56 @@
  * @file Base Action class.
  */
 
+const Component = require('./component.js');
+const { validateRules } = require('./rules/rule.js');
+const { normalizeOptions, getSensitiveValues, getSchemaRules } = require('./options.js');
+
 /**
  * Base class for Pulley actions.
  *
- * Actions apply transformations to source data after it has been retrieved.
+ * Actions apply transformations to source data after it has been retrieved,
+ * and may report on their progress using the events described in
+ * `component.js`.
  */
-class Action {
+class Action extends Component {
 
   /**
    * Constructor.
    *
-   * Sets this action's options property.
+   * Sets this action's options property. If this action declares an option
+   * schema, the options are normalized against it first.
    *
    * @param {Object} options - Actions options object.
    */
   constructor(options) {
-    this.options = options;
+    super();
+    this.options = normalizeOptions(this.constructor.optionSchema, options);
+  }
+
+  /**
+   * Schema describing this action's options.
+   *
+   * Subclasses may override this to have their options normalized on
+   * construction and unknown options rejected on validation. See `options.js`
+   * for the schema format.
+   *
+   * @returns {Object|null} Option schema, or null if options are undescribed.
+   */
+  static get optionSchema() {
+    return null;
+  }
+
+  /**
+   * Names of options which hold arrays of nested actions.
+   *
+   * When this action is created from config by a `Registry`, plain config
+   * objects within these options are created as actions first, so that
+   * composite actions may be described entirely in config.
+   *
+   * @returns {string[]} Option names.
+   */
+  static get nestedActionOptions() {
+    return [];
   }
 
   /**
@@ -36,12 +70,55 @@ class Action {
     return [];
   }
 
+  /**
+   * Validates this action's option rules and reports the results.
+   *
+   * Rules derived from this action's option schema are validated before the
+   * rules returned by `getOptionRules()`.
+   *
+   * @param {Object=} options - Optional validation options.
+   * @param {boolean=} options.failFast - Stop validating after first failure.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to validation report object.
+   */
+  async validate(options) {
+    const rules = [
+      ...getSchemaRules(this.constructor.optionSchema, this.options),
+      ...this.getOptionRules(),
+    ];
+    return validateRules(rules, { ...options, secrets: this.getSensitiveValues() });
+  }
+
+  /**
+   * Returns the values of this action's sensitive options, which are masked in
+   * rule messages and while pipelines run.
+   *
+   * @returns {string[]} Sensitive values.
+   */
+  getSensitiveValues() {
+    return getSensitiveValues(this.constructor.optionSchema, this.options);
+  }
+
   /**
    * Applies a transformation to the source stream `src`.
    *
+   * @param {Object} src - Stream of Vinyl files.
+   * @param {Object=} context - Package being transformed.
+   * @param {string} context.name - Name of package.
+   * @param {Object} context.metadata - Package metadata, including metadata
+   * from the package's source.
+   * @param {Object=} context.dependencies - Each package this package depends
+   * on, keyed by package name. Each has the package's `metadata` and
+   * `provenance`, the bundler's `dest`, and a `read()` function which returns
+   * a stream of copies of the files prepared for the package.
+   * @param {AbortSignal=} context.signal - Signal which cancels the
+   * transformation. Actions should destroy the streams they return with an
+   * `AbortError` once it aborts; see `abortStream()` in `abort.js`.
+   *
    * @returns {Promise} Promise that resolves to Vinyl object.
    */
-  async transform(src) {
+  async transform(src, context) {
     throw new Error(`'transform()' method not implemented for Action`);
   }
 
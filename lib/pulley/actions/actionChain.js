@@ -0,0 +1,161 @@
+/**
+ * @file Action which applies a list of actions in order.
+ */
+
+const Action = require('../action.js');
+const { isInstanceOf } = require('../rules/objects.js');
+const { throwIfAborted } = require('../abort.js');
+
+/**
+ * Action which applies each of its `actions` in order.
+ *
+ * The stream returned by each action is passed to the next, along with the
+ * same package context. Validating a chain validates every action within it,
+ * and their results are labelled with the position of the action, e.g.
+ * `actions[1]`. Events emitted by nested actions are re-emitted by the chain
+ * as `event`, so that listening to a chain follows every action within it.
+ *
+ * When created from config by a `Registry`, actions may be given as plugin
+ * config objects, e.g. `{ type: 'rename', options: { ... } }`.
+ */
+class ActionChain extends Action {
+
+  /**
+   * Constructor.
+   *
+   * @param {Object} options - Actions options object.
+   */
+  constructor(options) {
+    super(options);
+    const actions = Array.isArray(this.options.actions) ? this.options.actions : [];
+    actions.forEach((action) => {
+      if (action instanceof Action) {
+        action.on('event', (event) => this.emit('event', event));
+      }
+    });
+  }
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      actions: {
+        type: 'array',
+        required: true,
+        description: 'Actions to apply, in order',
+      },
+    };
+  }
+
+  /**
+   * Names of options which hold arrays of nested actions.
+   *
+   * @returns {string[]} Option names.
+   */
+  static get nestedActionOptions() {
+    return ['actions'];
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    if (!Array.isArray(this.options.actions)) {
+      return [];
+    }
+    return this.options.actions.map((action, index) => {
+      return [isInstanceOf, action, Action, `actions[${index}]`];
+    });
+  }
+
+  /**
+   * Validates this action's option rules, then those of each nested action.
+   *
+   * Results of nested actions are given a `component` property naming the
+   * action they belong to. Results from more deeply nested actions have their
+   * existing component prefixed, e.g. `actions[0].actions[2]`.
+   *
+   * @param {Object=} options - Optional validation options.
+   * @param {boolean=} options.failFast - Stop validating after first failure.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to validation report object.
+   */
+  async validate(options = {}) {
+    const report = await super.validate(options);
+    const results = [...report.results];
+    let complete = report.complete;
+
+    if (Array.isArray(this.options.actions) && (report.valid || !options.failFast)) {
+      for (const [index, action] of this.options.actions.entries()) {
+        if (!(action instanceof Action)) {
+          continue;
+        }
+
+        const label = `actions[${index}]`;
+        const child = await action.validate(options);
+        child.results.forEach((result) => {
+          const component = result.component ? `${label}.${result.component}` : label;
+          results.push({ ...result, component });
+        });
+
+        complete = complete && child.complete;
+        if (options.failFast && !child.valid) {
+          complete = false;
+          break;
+        }
+      }
+    }
+
+    const failures = results.filter((result) => !result.passed);
+    return {
+      valid: (failures.length === 0),
+      complete,
+      results,
+      failures,
+    };
+  }
+
+  /**
+   * Returns the values of this action's sensitive options and those of each
+   * nested action.
+   *
+   * @returns {string[]} Sensitive values.
+   */
+  getSensitiveValues() {
+    const actions = Array.isArray(this.options.actions) ? this.options.actions : [];
+    return [
+      ...super.getSensitiveValues(),
+      ...actions.filter((action) => action instanceof Action).flatMap((action) => action.getSensitiveValues()),
+    ];
+  }
+
+  /**
+   * Applies each of this chain's actions to `src` in order.
+   *
+   * @param {Object} src - Stream of Vinyl files.
+   * @param {Object=} context - Package being transformed.
+   * @param {string} context.name - Name of package.
+   * @param {Object} context.metadata - Package metadata.
+   * @param {AbortSignal=} context.signal - Signal which cancels the
+   * transformation; passed on to each action.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async transform(src, context = {}) {
+    let stream = src;
+    for (const action of this.options.actions) {
+      throwIfAborted(context.signal);
+      stream = await action.transform(stream, context);
+    }
+    return stream;
+  }
+
+}
+
+module.exports = ActionChain;
@@ -0,0 +1,63 @@
+/**
+ * @file Action which adds a leading directory to file paths.
+ */
+
+const FileAction = require('../fileAction.js');
+const { isRelative } = require('../rules/filesystem.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { getRelative, setRelative } = require('../streams.js');
+
+/**
+ * Action which adds leading directory `prefix` to file paths.
+ *
+ * For example, with a prefix of `vendor/lib`, `index.js` becomes
+ * `vendor/lib/index.js`.
+ */
+class AddPrefixAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      prefix: {
+        type: 'string',
+        required: true,
+        description: 'Leading directory added to relative paths',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { prefix } = this.options;
+    return [
+      ...super.getOptionRules(),
+      // Disallow `..` segments, which could move files outside their base.
+      [jsonSchema, prefix, { type: 'string', minLength: 1, pattern: '^(?!(.*[/\\\\])?\\.\\.([/\\\\]|$))' }],
+      [isRelative, prefix],
+    ];
+  }
+
+  /**
+   * Adds this action's prefix to the path of file `file`.
+   *
+   * @param {Object} file - Vinyl file.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file.
+   */
+  async transformFile(file) {
+    const prefix = this.options.prefix.split('\\').join('/').replace(/\/+$/, '');
+    return setRelative(file, `${prefix}/${getRelative(file)}`);
+  }
+
+}
+
+module.exports = AddPrefixAction;
@@ -0,0 +1,152 @@
+/**
+ * @file Action which applies actions to selected files or packages only.
+ */
+
+const ActionChain = require('./actionChain.js');
+const { selectionOptionSchema, getSelectionRules, createMatcher } = require('../globs.js');
+const { Rule, validateRule } = require('../rules/rule.js');
+const { isOfType } = require('../rules/objects.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { branchFiles, getRelative } = require('../streams.js');
+
+/**
+ * Action which applies its `actions` only when its conditions are met.
+ *
+ * If `metadata` is given, the actions are only applied to packages whose
+ * metadata satisfies it; other packages pass through unchanged. It may be a
+ * JSON schema, a Rule instance, or an indexed array whose first item is a
+ * Rule instance. Rules receive the package metadata as their first test
+ * parameter, followed by any other items in the array.
+ *
+ * Within a package, only files which match the `include` and `exclude`
+ * patterns, and satisfy `predicate` if given, are passed to the actions. All
+ * other files bypass them. The order of files is only preserved when every
+ * file is selected.
+ */
+class ConditionalAction extends ActionChain {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      ...selectionOptionSchema,
+      predicate: {
+        type: 'any',
+        description: 'Callback which receives each file and package context, and returns true to select the file',
+      },
+      metadata: {
+        type: 'any',
+        description: 'JSON schema or rule which package metadata must satisfy',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { predicate, metadata } = this.options;
+    const rules = [
+      ...super.getOptionRules(),
+      ...getSelectionRules(this.options),
+    ];
+
+    if (predicate !== undefined) {
+      rules.push([isOfType, predicate, 'function', 'predicate']);
+    }
+    if (metadata !== undefined && !isRuleSpec(metadata)) {
+      rules.push([isOfType, metadata, 'object', 'metadata']);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Determines whether package metadata satisfies this action's `metadata`
+   * condition, if any.
+   *
+   * @param {Object=} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to true if the actions apply.
+   */
+  async appliesTo(context = {}) {
+    const { metadata } = this.options;
+    if (metadata === undefined) {
+      return true;
+    }
+
+    let rule;
+    if (metadata instanceof Rule) {
+      rule = [metadata, context.metadata || {}];
+    }
+    else if (isRuleSpec(metadata)) {
+      rule = [metadata[0], context.metadata || {}, ...metadata.slice(1)];
+    }
+    else {
+      rule = [jsonSchema, context.metadata || {}, metadata];
+    }
+
+    try {
+      await validateRule(rule);
+      return true;
+    }
+    catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Applies this action's actions to the selected files in `src`, if the
+   * package meets this action's conditions.
+   *
+   * @param {Object} src - Stream of Vinyl files.
+   * @param {Object=} context - Package being transformed.
+   * @param {string} context.name - Name of package.
+   * @param {Object} context.metadata - Package metadata.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async transform(src, context = {}) {
+    if (!await this.appliesTo(context)) {
+      return src;
+    }
+
+    const { include, exclude, predicate } = this.options;
+    const selectsAll = (include.length === 1 && include[0] === '**'
+      && exclude.length === 0 && predicate === undefined);
+    if (selectsAll) {
+      return super.transform(src, context);
+    }
+
+    const matches = createMatcher(include, exclude);
+    const selects = async (file) => {
+      if (!matches(getRelative(file))) {
+        return false;
+      }
+      return (predicate === undefined) || !!await predicate(file, context);
+    };
+
+    return branchFiles(src, selects, (selected) => super.transform(selected, context));
+  }
+
+}
+
+/**
+ * Determines whether `value` is a Rule instance, or an indexed array whose
+ * first item is a Rule instance.
+ *
+ * @param {*} value - Value to check.
+ *
+ * @returns {boolean} True if value describes a rule.
+ */
+const isRuleSpec = (value) => {
+  return (value instanceof Rule) || (Array.isArray(value) && value[0] instanceof Rule);
+};
+
+module.exports = ConditionalAction;
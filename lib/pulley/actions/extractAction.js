@@ -0,0 +1,132 @@
+/**
+ * @file Action which expands archives found in a stream of files.
+ */
+
+const path = require('path');
+const { pipeline } = require('stream');
+
+const Action = require('../action.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { createMatcher } = require('../globs.js');
+const { extractionOptionSchema, getExtractionRules, readArchive } = require('../archives.js');
+const { mapFiles, readContents } = require('../streams.js');
+const { abortStream, throwIfAborted } = require('../abort.js');
+
+/**
+ * Supported locations for extracted entries.
+ *
+ * - `parent`: Entries are placed in the directory containing the archive.
+ * - `named`: Entries are placed in a directory named after the archive, with
+ *   its extension removed.
+ */
+const DESTINATIONS = ['parent', 'named'];
+
+/**
+ * Action which replaces archive files with the files they contain.
+ *
+ * Files matching the `archives` glob patterns are read as archives, and their
+ * entries are emitted in their place. All other files pass through unchanged.
+ * Extraction options such as `stripComponents` and `include` apply to the
+ * entries of every matched archive.
+ */
+class ExtractAction extends Action {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      archives: {
+        type: 'array',
+        default: ['**/*.tar', '**/*.tar.gz', '**/*.tgz', '**/*.zip'],
+        description: 'Glob patterns of files to extract',
+      },
+      into: {
+        type: 'string',
+        default: 'parent',
+        description: `Where entries are placed; one of: ${DESTINATIONS.join(', ')}`,
+      },
+      keepArchives: {
+        type: 'boolean',
+        default: false,
+        description: 'Whether archive files are emitted alongside their entries',
+      },
+      ...extractionOptionSchema,
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { archives, into } = this.options;
+    return [
+      [jsonSchema, archives, { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }],
+      [jsonSchema, into, { enum: DESTINATIONS }],
+      ...getExtractionRules(this.options),
+    ];
+  }
+
+  /**
+   * Expands archives in the source stream `src`.
+   *
+   * @param {Object} src - Stream of Vinyl files.
+   * @param {Object=} context - Package being transformed.
+   * @param {AbortSignal=} context.signal - Signal which destroys the returned
+   * stream when aborted.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async transform(src, context = {}) {
+    throwIfAborted(context.signal);
+    const { archives, into, keepArchives } = this.options;
+    const isArchive = createMatcher(archives);
+
+    const expand = mapFiles(async (file) => {
+      if (file.isNull() || !isArchive(file.relative)) {
+        return file;
+      }
+
+      const contents = await readContents(file);
+      let prefix = path.dirname(file.relative);
+      if (into === 'named') {
+        prefix = path.join(prefix, stripArchiveExtension(file.basename));
+      }
+
+      const entries = await readArchive({ buffer: contents, name: file.relative }, {
+        ...this.options,
+        cwd: file.cwd,
+        base: file.base,
+        prefix,
+      });
+
+      if (keepArchives) {
+        file.contents = contents;
+        return [file, ...entries];
+      }
+      return entries;
+    });
+
+    return abortStream(pipeline(src, expand, () => {}), context.signal);
+  }
+
+}
+
+/**
+ * Removes a recognised archive extension from file name `name`.
+ *
+ * @param {string} name - Archive file name.
+ *
+ * @returns {string} File name without its archive extension.
+ */
+const stripArchiveExtension = (name) => {
+  return name.replace(/\.(tar\.gz|tgz|tar|zip)$/i, '');
+};
+
+ExtractAction.DESTINATIONS = DESTINATIONS;
+
+module.exports = ExtractAction;
@@ -0,0 +1,63 @@
+/**
+ * @file Action which filters files using glob patterns.
+ */
+
+const FileAction = require('../fileAction.js');
+const { selectionOptionSchema, getSelectionRules, createMatcher } = require('../globs.js');
+const { getRelative } = require('../streams.js');
+
+/**
+ * Action which only passes files matching its glob patterns.
+ *
+ * A file is kept if its path, relative to its base, matches at least one
+ * `include` pattern and no `exclude` patterns. All other files are removed.
+ */
+class FilterAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return { ...super.optionSchema, ...selectionOptionSchema };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [
+      ...super.getOptionRules(),
+      ...getSelectionRules(this.options),
+    ];
+  }
+
+  /**
+   * Creates a matcher for this action's selection patterns.
+   *
+   * @param {Object} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    return { ...context, matches: createMatcher(this.options.include, this.options.exclude) };
+  }
+
+  /**
+   * Drops file `file` unless it matches this action's patterns.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file, or null.
+   */
+  async transformFile(file, context) {
+    return context.matches(getRelative(file)) ? file : null;
+  }
+
+}
+
+module.exports = FilterAction;
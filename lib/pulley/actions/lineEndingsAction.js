@@ -0,0 +1,88 @@
+/**
+ * @file Action which normalizes line endings in text files.
+ */
+
+const FileAction = require('../fileAction.js');
+const { selectionOptionSchema, getSelectionRules, createMatcher } = require('../globs.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { getRelative } = require('../streams.js');
+const { rewriteText } = require('../text.js');
+
+/**
+ * Supported line endings, mapped to the characters they are written as.
+ */
+const LINE_ENDINGS = {
+  lf: '\n',
+  crlf: '\r\n',
+};
+
+/**
+ * Action which converts every line ending in text files to `eol`.
+ *
+ * `\r\n`, `\r` and `\n` line endings are all recognised. Binary files are
+ * left unchanged.
+ */
+class LineEndingsAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      eol: {
+        type: 'string',
+        default: 'lf',
+        description: `Line ending to use; one of: ${Object.keys(LINE_ENDINGS).join(', ')}`,
+      },
+      ...selectionOptionSchema,
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [
+      ...super.getOptionRules(),
+      [jsonSchema, this.options.eol, { enum: Object.keys(LINE_ENDINGS) }],
+      ...getSelectionRules(this.options),
+    ];
+  }
+
+  /**
+   * Creates a matcher for this action's selection patterns.
+   *
+   * @param {Object} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    return { ...context, matches: createMatcher(this.options.include, this.options.exclude) };
+  }
+
+  /**
+   * Normalizes the line endings of file `file`, if it is selected.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file.
+   */
+  async transformFile(file, context) {
+    if (!context.matches(getRelative(file))) {
+      return file;
+    }
+    const eol = LINE_ENDINGS[this.options.eol];
+    return rewriteText(file, (text) => text.replace(/\r\n|\r|\n/g, eol));
+  }
+
+}
+
+LineEndingsAction.LINE_ENDINGS = LINE_ENDINGS;
+
+module.exports = LineEndingsAction;
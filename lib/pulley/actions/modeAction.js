@@ -0,0 +1,126 @@
+/**
+ * @file Action which changes file modes.
+ */
+
+const FileAction = require('../fileAction.js');
+const { selectionOptionSchema, getSelectionRules, createMatcher } = require('../globs.js');
+const { hasAtLeastOneOfKeys, hasNoMoreThanOneOfKeys } = require('../rules/keys.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { createStat, getRelative } = require('../streams.js');
+
+/**
+ * Parses `value` as permission bits.
+ *
+ * Strings are parsed as octal, so that modes such as `'0755'` may be given
+ * in configuration files. Other values are returned unchanged.
+ *
+ * @param {*} value - Mode to parse.
+ *
+ * @returns {*} Parsed mode, or the original value if it cannot be parsed.
+ */
+const parseMode = (value) => {
+  if (typeof value === 'string' && /^(0o?)?[0-7]{1,4}$/i.test(value)) {
+    return parseInt(value.replace(/^0o/i, ''), 8);
+  }
+  return value;
+};
+
+/**
+ * Action which sets, adds or removes permission bits of selected files.
+ *
+ * Either `mode` is given to set each file's permission bits outright, or
+ * `add` and `remove` are given to change individual bits; for example,
+ * `add: '0111'` makes files executable. Symbolic links are not changed.
+ */
+class ModeAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      mode: {
+        type: 'any',
+        coerce: parseMode,
+        description: 'Permission bits to set, as a number or octal string',
+      },
+      add: {
+        type: 'any',
+        coerce: parseMode,
+        description: 'Permission bits to add, as a number or octal string',
+      },
+      remove: {
+        type: 'any',
+        coerce: parseMode,
+        description: 'Permission bits to remove, as a number or octal string',
+      },
+      ...selectionOptionSchema,
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const modeSchema = { type: 'integer', minimum: 0, maximum: 0o7777 };
+    const rules = [
+      ...super.getOptionRules(),
+      [hasAtLeastOneOfKeys, this.options, ['mode', 'add', 'remove']],
+      [hasNoMoreThanOneOfKeys, this.options, ['mode', 'add']],
+      [hasNoMoreThanOneOfKeys, this.options, ['mode', 'remove']],
+      ...getSelectionRules(this.options),
+    ];
+
+    ['mode', 'add', 'remove'].forEach((key) => {
+      if (this.options[key] !== undefined) {
+        rules.push([jsonSchema, this.options[key], modeSchema]);
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Creates a matcher for this action's selection patterns.
+   *
+   * @param {Object} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    return { ...context, matches: createMatcher(this.options.include, this.options.exclude) };
+  }
+
+  /**
+   * Changes the mode of file `file`, if it is a selected regular file.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file.
+   */
+  async transformFile(file, context) {
+    if (file.isSymbolic() || file.isDirectory() || !context.matches(getRelative(file))) {
+      return file;
+    }
+
+    const { mode, add, remove } = this.options;
+    if (!file.stat) {
+      file.stat = createStat('file', 0o644, undefined, file.isBuffer() ? file.contents.length : 0);
+    }
+    const current = file.stat.mode & 0o7777;
+    const updated = (mode !== undefined)
+      ? mode
+      : ((current | (add || 0)) & ~(remove || 0));
+    file.stat.mode = (file.stat.mode & ~0o7777) | updated;
+    return file;
+  }
+
+}
+
+module.exports = ModeAction;
@@ -0,0 +1,87 @@
+/**
+ * @file Action which renames files using a regular expression.
+ */
+
+const FileAction = require('../fileAction.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { isValidRegExp } = require('../rules/strings.js');
+const { getRelative, setRelative } = require('../streams.js');
+
+/**
+ * Action which renames files by replacing matches of `pattern`.
+ *
+ * The pattern is matched against each file's path relative to its base,
+ * using forward slashes, and matches are replaced with `replacement` as with
+ * `String#replace()`; `$1` refers to the first capture group. Files whose
+ * paths do not match are left unchanged.
+ */
+class RenameAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      pattern: {
+        type: 'string',
+        required: true,
+        description: 'Regular expression matched against relative paths',
+      },
+      replacement: {
+        type: 'string',
+        required: true,
+        description: 'Replacement for matches; may refer to capture groups',
+      },
+      flags: {
+        type: 'string',
+        default: '',
+        description: 'Regular expression flags',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { pattern, flags } = this.options;
+    return [
+      ...super.getOptionRules(),
+      [jsonSchema, pattern, { type: 'string', minLength: 1 }],
+      [isValidRegExp, pattern, flags],
+    ];
+  }
+
+  /**
+   * Compiles this action's pattern.
+   *
+   * @param {Object} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    return { ...context, regexp: new RegExp(this.options.pattern, this.options.flags) };
+  }
+
+  /**
+   * Renames file `file` if its path matches this action's pattern.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file.
+   */
+  async transformFile(file, context) {
+    const relative = getRelative(file);
+    const renamed = relative.replace(context.regexp, this.options.replacement);
+    return (renamed === relative) ? file : setRelative(file, renamed);
+  }
+
+}
+
+module.exports = RenameAction;
@@ -0,0 +1,95 @@
+/**
+ * @file Action which finds and replaces text in file contents.
+ */
+
+const FileAction = require('../fileAction.js');
+const { selectionOptionSchema, getSelectionRules, createMatcher } = require('../globs.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { isValidRegExp } = require('../rules/strings.js');
+const { getRelative } = require('../streams.js');
+const { rewriteText } = require('../text.js');
+
+/**
+ * Action which replaces matches of a regular expression in text files.
+ *
+ * Matches are replaced with `replacement` as with `String#replace()`, so
+ * `$1` refers to the first capture group. Binary files are left unchanged.
+ */
+class ReplaceAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      pattern: {
+        type: 'string',
+        required: true,
+        description: 'Regular expression to find',
+      },
+      replacement: {
+        type: 'string',
+        required: true,
+        description: 'Replacement for matches; may refer to capture groups',
+      },
+      flags: {
+        type: 'string',
+        default: 'g',
+        description: 'Regular expression flags',
+      },
+      ...selectionOptionSchema,
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { pattern, flags } = this.options;
+    return [
+      ...super.getOptionRules(),
+      [jsonSchema, pattern, { type: 'string', minLength: 1 }],
+      [isValidRegExp, pattern, flags],
+      ...getSelectionRules(this.options),
+    ];
+  }
+
+  /**
+   * Compiles this action's pattern and selection patterns.
+   *
+   * @param {Object} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    const { pattern, flags, include, exclude } = this.options;
+    return {
+      ...context,
+      regexp: new RegExp(pattern, flags),
+      matches: createMatcher(include, exclude),
+    };
+  }
+
+  /**
+   * Replaces matches in the contents of file `file`, if it is selected.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file.
+   */
+  async transformFile(file, context) {
+    if (!context.matches(getRelative(file))) {
+      return file;
+    }
+    return rewriteText(file, (text) => text.replace(context.regexp, this.options.replacement));
+  }
+
+}
+
+module.exports = ReplaceAction;
@@ -0,0 +1,97 @@
+/**
+ * @file Action which removes a leading directory from file paths.
+ */
+
+const FileAction = require('../fileAction.js');
+const { isRelative } = require('../rules/filesystem.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { getRelative, setRelative } = require('../streams.js');
+
+/**
+ * Supported behaviours for files outside the prefix.
+ *
+ * - `keep`: Files are passed through unchanged.
+ * - `drop`: Files are removed.
+ */
+const UNMATCHED_BEHAVIOURS = ['keep', 'drop'];
+
+/**
+ * Action which removes leading directory `prefix` from file paths.
+ *
+ * For example, with a prefix of `dist`, `dist/index.js` becomes `index.js`.
+ * The prefix only matches whole path segments, so `distribution/index.js`
+ * is not matched.
+ */
+class StripPrefixAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      prefix: {
+        type: 'string',
+        required: true,
+        description: 'Leading directory removed from relative paths',
+      },
+      unmatched: {
+        type: 'string',
+        default: 'keep',
+        description: `Behaviour for files outside prefix; one of: ${UNMATCHED_BEHAVIOURS.join(', ')}`,
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { prefix, unmatched } = this.options;
+    return [
+      ...super.getOptionRules(),
+      [jsonSchema, prefix, { type: 'string', minLength: 1 }],
+      [isRelative, prefix],
+      [jsonSchema, unmatched, { enum: UNMATCHED_BEHAVIOURS }],
+    ];
+  }
+
+  /**
+   * Normalizes this action's prefix.
+   *
+   * @param {Object} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    const prefix = `${this.options.prefix.split('\\').join('/').replace(/\/+$/, '')}/`;
+    return { ...context, prefix };
+  }
+
+  /**
+   * Removes this action's prefix from the path of file `file`.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file, or null if it
+   * is outside the prefix and unmatched files are dropped.
+   */
+  async transformFile(file, context) {
+    const { prefix } = context;
+    const relative = getRelative(file);
+    if (!relative.startsWith(prefix) || relative === prefix) {
+      return (this.options.unmatched === 'drop') ? null : file;
+    }
+    return setRelative(file, relative.slice(prefix.length));
+  }
+
+}
+
+StripPrefixAction.UNMATCHED_BEHAVIOURS = UNMATCHED_BEHAVIOURS;
+
+module.exports = StripPrefixAction;
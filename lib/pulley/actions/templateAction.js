@@ -0,0 +1,101 @@
+/**
+ * @file Action which substitutes package metadata into file contents.
+ */
+
+const FileAction = require('../fileAction.js');
+const { selectionOptionSchema, getSelectionRules, createMatcher } = require('../globs.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { getRelative } = require('../streams.js');
+const { MISSING_VARIABLE_BEHAVIOURS, renderTemplate, rewriteText } = require('../text.js');
+
+/**
+ * Action which replaces `${name}` placeholders in text files.
+ *
+ * Placeholders are resolved against the package's metadata, along with the
+ * package's `name` and any `variables` given as options, which take
+ * precedence. Names may be dotted paths, such as `${git.commit}`, and `$${`
+ * produces a literal `${`. Binary files are left unchanged.
+ */
+class TemplateAction extends FileAction {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...super.optionSchema,
+      variables: {
+        type: 'object',
+        default: () => ({}),
+        description: 'Additional variables, which take precedence over metadata',
+      },
+      missing: {
+        type: 'string',
+        default: 'error',
+        description: `Behaviour for undefined variables; one of: ${MISSING_VARIABLE_BEHAVIOURS.join(', ')}`,
+      },
+      ...selectionOptionSchema,
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [
+      ...super.getOptionRules(),
+      [jsonSchema, this.options.missing, { enum: MISSING_VARIABLE_BEHAVIOURS }],
+      ...getSelectionRules(this.options),
+    ];
+  }
+
+  /**
+   * Builds template variables for the package, and creates a matcher for
+   * this action's selection patterns.
+   *
+   * @param {Object} context - Package being transformed.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    const values = {
+      name: context.name,
+      ...(context.metadata || {}),
+      ...this.options.variables,
+    };
+    return {
+      ...context,
+      values,
+      matches: createMatcher(this.options.include, this.options.exclude),
+    };
+  }
+
+  /**
+   * Renders the contents of file `file` as a template, if it is selected.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to the Vinyl file.
+   */
+  async transformFile(file, context) {
+    if (!context.matches(getRelative(file))) {
+      return file;
+    }
+    return rewriteText(file, (text) => {
+      try {
+        return renderTemplate(text, context.values, this.options.missing);
+      }
+      catch (err) {
+        throw new Error(`${err.message} in '${file.relative}'`);
+      }
+    });
+  }
+
+}
+
+module.exports = TemplateAction;
@@ -0,0 +1,507 @@
+/**
+ * @file Reading of tar, tar.gz and zip archives into Vinyl files.
+ *
+ * Archive entries whose paths are absolute or escape the archive root are
+ * refused, as are symbolic links whose targets do so once earlier links are
+ * followed, and entries placed beneath a symbolic link. Refused entries cause
+ * the whole archive to be rejected rather than silently skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+const yauzl = require('yauzl');
+const Vinyl = require('vinyl');
+
+const { createMatcher } = require('./globs.js');
+const { createStat } = require('./streams.js');
+const { jsonSchema } = require('./rules/schema.js');
+
+/**
+ * Supported archive formats.
+ */
+const FORMATS = ['tar', 'tar.gz', 'zip'];
+
+/**
+ * Option schema for extraction options shared by archive sources and actions.
+ */
+const extractionOptionSchema = {
+  format: {
+    type: 'string',
+    default: 'auto',
+    description: `Archive format; 'auto' or one of: ${FORMATS.join(', ')}`,
+  },
+  stripComponents: {
+    type: 'integer',
+    default: 0,
+    description: 'Number of leading path components removed from entries',
+  },
+  include: {
+    type: 'array',
+    default: ['**'],
+    description: 'Glob patterns of entries to include, after stripping',
+  },
+  exclude: {
+    type: 'array',
+    default: [],
+    description: 'Glob patterns of entries to exclude, after stripping',
+  },
+  preserveMode: {
+    type: 'boolean',
+    default: true,
+    description: 'Whether entry file modes are preserved',
+  },
+  preserveMtime: {
+    type: 'boolean',
+    default: true,
+    description: 'Whether entry modification times are preserved',
+  },
+};
+
+/**
+ * Returns rules that confirm extraction options in `options` are valid.
+ *
+ * @param {Object} options - Normalized options containing extraction options.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getExtractionRules = (options) => {
+  const patterns = { type: 'array', items: { type: 'string', minLength: 1 } };
+  return [
+    [jsonSchema, options.format, { enum: ['auto', ...FORMATS] }],
+    [jsonSchema, options.stripComponents, { type: 'integer', minimum: 0 }],
+    [jsonSchema, options.include, patterns],
+    [jsonSchema, options.exclude, patterns],
+  ];
+};
+
+/**
+ * Determines the format of an archive from its name or leading bytes.
+ *
+ * @param {string} name - Archive file name.
+ * @param {Buffer=} head - Optional leading bytes of archive.
+ *
+ * @returns {string|null} Archive format, or null if not an archive.
+ */
+const detectFormat = (name, head) => {
+  const lowered = name.toLowerCase();
+  if (lowered.endsWith('.tar.gz') || lowered.endsWith('.tgz')) {
+    return 'tar.gz';
+  }
+  if (lowered.endsWith('.tar')) {
+    return 'tar';
+  }
+  if (lowered.endsWith('.zip')) {
+    return 'zip';
+  }
+
+  if (head && head.length >= 4) {
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+      return 'tar.gz';
+    }
+    if (head.readUInt32LE(0) === 0x04034b50 || head.readUInt32LE(0) === 0x06054b50) {
+      return 'zip';
+    }
+    if (head.length >= 262 && head.toString('latin1', 257, 262) === 'ustar') {
+      return 'tar';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Normalizes archive entry path `name`, refusing unsafe paths.
+ *
+ * @param {string} name - Entry path as stored in archive.
+ *
+ * @returns {string} Normalized relative entry path, using forward slashes.
+ */
+const normalizeEntryPath = (name) => {
+  const slashed = name.split('\\').join('/');
+  if (slashed.startsWith('/') || /^[A-Za-z]:/.test(slashed)) {
+    throw new Error(`Refusing archive entry with absolute path '${name}'`);
+  }
+
+  const normalized = path.posix.normalize(slashed).replace(/\/$/, '');
+  if (normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`Refusing archive entry '${name}' which escapes archive root`);
+  }
+
+  return (normalized === '.') ? '' : normalized;
+};
+
+/**
+ * Maximum number of symbolic links followed when resolving a path.
+ */
+const MAX_LINK_DEPTH = 40;
+
+/**
+ * Resolves relative path `relative` within the archive root, following the
+ * symbolic links in `links`.
+ *
+ * @param {string} relative - Relative path, which may contain `..` segments.
+ * @param {Map} links - Map of normalized link entry paths to link targets.
+ * @param {number=} depth - Number of links followed so far.
+ *
+ * @returns {string|null} Resolved relative path, or null if the path escapes
+ * the archive root.
+ */
+const resolveEntryPath = (relative, links, depth = 0) => {
+  if (depth > MAX_LINK_DEPTH) {
+    throw new Error(`Too many levels of symbolic links resolving '${relative}'`);
+  }
+
+  const segments = relative.split('/');
+  const resolved = [];
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (segment === '' || segment === '.') {
+      continue;
+    }
+    if (segment === '..') {
+      if (resolved.length === 0) {
+        return null;
+      }
+      resolved.pop();
+      continue;
+    }
+
+    resolved.push(segment);
+    const current = resolved.join('/');
+    if (links.has(current)) {
+      // Resolve the rest of the path from the link's target, without
+      // normalizing `..` segments lexically.
+      const rest = [...resolved.slice(0, -1), links.get(current), ...segments.slice(i + 1)];
+      return resolveEntryPath(rest.join('/'), links, depth + 1);
+    }
+  }
+
+  return resolved.join('/');
+};
+
+/**
+ * Confirms that symbolic link `entryPath` with target `target` stays in root.
+ *
+ * The target is resolved through the links in `links`, which are the links
+ * read from the archive so far. Adding a link can change where an earlier
+ * link resolves to, so every earlier link is checked again too.
+ *
+ * @param {string} entryPath - Normalized entry path of link.
+ * @param {string} target - Link target.
+ * @param {Map} links - Map of normalized link entry paths to link targets.
+ * The new link is added to it.
+ */
+const checkLinkTarget = (entryPath, target, links) => {
+  if (path.posix.isAbsolute(target) || /^[A-Za-z]:/.test(target)) {
+    throw new Error(`Refusing symbolic link '${entryPath}' with absolute target '${target}'`);
+  }
+
+  links.set(entryPath, target.split('\\').join('/'));
+  for (const [linkPath, linkTarget] of links) {
+    const parent = path.posix.dirname(linkPath);
+    let resolved;
+    try {
+      resolved = resolveEntryPath(`${parent}/${linkTarget}`, links);
+    }
+    catch (err) {
+      throw new Error(`Refusing symbolic link '${entryPath}': ${err.message}`);
+    }
+    if (resolved === null && linkPath === entryPath) {
+      throw new Error(`Refusing symbolic link '${entryPath}' whose target escapes archive root`);
+    }
+    if (resolved === null) {
+      throw new Error(`Refusing symbolic link '${entryPath}' which makes the target of '${linkPath}' escape archive root`);
+    }
+  }
+};
+
+/**
+ * Confirms that entry `entryPath` is not placed beneath a symbolic link, and
+ * that a symbolic link does not replace a directory holding earlier entries.
+ *
+ * @param {string} entryPath - Normalized entry path.
+ * @param {string} type - Entry type.
+ * @param {Map} links - Map of normalized link entry paths to link targets.
+ * @param {Set} directories - Parent directories of entries read so far.
+ */
+const checkEntryParents = (entryPath, type, links, directories) => {
+  const segments = entryPath.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    const parent = segments.slice(0, i).join('/');
+    if (links.has(parent)) {
+      throw new Error(`Refusing archive entry '${entryPath}' beneath symbolic link '${parent}'`);
+    }
+    directories.add(parent);
+  }
+  if (type === 'symlink' && directories.has(entryPath)) {
+    throw new Error(`Refusing symbolic link '${entryPath}' which replaces a directory`);
+  }
+};
+
+/**
+ * Creates a function which converts archive entries into Vinyl files.
+ *
+ * @param {Object} options - Extraction options.
+ *
+ * @returns {function} Function which receives an entry object and returns a
+ * Vinyl file, or null if the entry is skipped.
+ */
+const createEntryConverter = (options) => {
+  const matches = createMatcher(options.include, options.exclude);
+  const strip = options.stripComponents || 0;
+  const contentsByPath = new Map();
+  const links = new Map();
+  const directories = new Set();
+
+  return (entry) => {
+    const entryPath = normalizeEntryPath(entry.name);
+    if (entryPath !== '') {
+      checkEntryParents(entryPath, entry.type, links, directories);
+    }
+    if (entry.type === 'file') {
+      contentsByPath.set(entryPath, entry.contents);
+    }
+    if (entry.type === 'symlink') {
+      checkLinkTarget(entryPath, entry.linkname, links);
+    }
+
+    let type = entry.type;
+    let contents = entry.contents;
+    if (type === 'link') {
+      // Hard links are emitted as copies of the file they link to.
+      const target = normalizeEntryPath(entry.linkname);
+      if (!contentsByPath.has(target)) {
+        throw new Error(`Archive entry '${entry.name}' links to unknown entry '${entry.linkname}'`);
+      }
+      type = 'file';
+      contents = contentsByPath.get(target);
+      contentsByPath.set(entryPath, contents);
+    }
+
+    if (type !== 'file' && type !== 'symlink') {
+      return null;
+    }
+
+    const segments = entryPath.split('/').slice(strip);
+    if (segments.length === 0 || segments[0] === '') {
+      return null;
+    }
+    const relative = segments.join('/');
+    if (!matches(relative)) {
+      return null;
+    }
+
+    const defaultMode = (type === 'symlink') ? 0o777 : 0o644;
+    const mode = (options.preserveMode !== false && entry.mode) ? (entry.mode & 0o7777) : defaultMode;
+    const mtime = (options.preserveMtime !== false) ? entry.mtime : undefined;
+
+    const file = new Vinyl({
+      cwd: options.cwd || options.base,
+      base: options.base,
+      path: path.join(options.base, options.prefix || '', ...segments),
+      contents: (type === 'file') ? contents : null,
+      stat: createStat(type, mode, mtime, (type === 'file') ? contents.length : 0),
+    });
+    if (type === 'symlink') {
+      file.symlink = entry.linkname;
+    }
+
+    return file;
+  };
+};
+
+/**
+ * Reads the entries of a tar or tar.gz archive.
+ *
+ * @param {Object} source - Readable stream of archive data.
+ * @param {boolean} gzipped - Whether the archive is gzip-compressed.
+ * @param {function} onEntry - Callback which receives each entry object.
+ *
+ * @returns {Promise} Promise that resolves once every entry has been read.
+ */
+const readTar = async (source, gzipped, onEntry) => {
+  const extract = tar.extract();
+
+  extract.on('entry', (header, stream, next) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', next);
+    stream.on('end', () => {
+      try {
+        onEntry({
+          name: header.name,
+          type: header.type,
+          mode: header.mode,
+          mtime: header.mtime,
+          linkname: header.linkname,
+          contents: Buffer.concat(chunks),
+        });
+        next();
+      }
+      catch (err) {
+        next(err);
+      }
+    });
+  });
+
+  const streams = gzipped
+    ? [source, zlib.createGunzip(), extract]
+    : [source, extract];
+  await pipeline(...streams);
+};
+
+/**
+ * Reads the entries of a zip archive.
+ *
+ * @param {Object} input - Archive input; either `{ buffer }` or `{ path }`.
+ * @param {function} onEntry - Callback which receives each entry object.
+ *
+ * @returns {Promise} Promise that resolves once every entry has been read.
+ */
+const readZip = async (input, onEntry) => {
+  const options = { lazyEntries: true, decodeStrings: true, validateEntrySizes: true };
+  const zip = input.buffer
+    ? await yauzl.fromBufferPromise(input.buffer, options)
+    : await yauzl.openPromise(input.path, options);
+
+  try {
+    await new Promise((resolve, reject) => {
+      zip.on('error', (err) => {
+        // yauzl validates entry paths itself; report them consistently.
+        if (/^(invalid relative path|absolute path)/.test(err.message)) {
+          reject(new Error(`Refusing archive entry: ${err.message}`));
+          return;
+        }
+        reject(err);
+      });
+      zip.on('end', resolve);
+      zip.on('entry', (entry) => {
+        const attributes = (entry.externalFileAttributes >>> 16);
+        const fileType = (attributes & 0o170000);
+        let type = 'file';
+        if (entry.fileName.endsWith('/') || fileType === 0o040000) {
+          type = 'directory';
+        }
+        else if (fileType === 0o120000) {
+          type = 'symlink';
+        }
+
+        if (type === 'directory') {
+          try {
+            onEntry({ name: entry.fileName, type, contents: Buffer.alloc(0) });
+            zip.readEntry();
+          }
+          catch (err) {
+            reject(err);
+          }
+          return;
+        }
+
+        zip.openReadStream(entry, (err, stream) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => {
+            const contents = Buffer.concat(chunks);
+            try {
+              onEntry({
+                name: entry.fileName,
+                type,
+                mode: (attributes & 0o7777) || null,
+                mtime: entry.getLastModDate(),
+                linkname: (type === 'symlink') ? contents.toString('utf8') : null,
+                contents,
+              });
+              zip.readEntry();
+            }
+            catch (convertErr) {
+              reject(convertErr);
+            }
+          });
+        });
+      });
+      zip.readEntry();
+    });
+  }
+  finally {
+    zip.close();
+  }
+};
+
+/**
+ * Reads the contents of an archive into Vinyl files.
+ *
+ * @param {Object} input - Archive input.
+ * @param {Buffer=} input.buffer - Archive contents.
+ * @param {string=} input.path - Path to archive file, if no buffer is given.
+ * @param {string} input.name - Archive name, used to detect its format.
+ * @param {Object} options - Extraction options; see `extractionOptionSchema`.
+ * @param {string} options.base - Base path of emitted Vinyl files.
+ * @param {string=} options.prefix - Relative directory to place entries in.
+ * @param {string=} options.cwd - Working directory of emitted Vinyl files.
+ *
+ * @returns {Promise} Promise that resolves to an array of Vinyl files.
+ */
+const readArchive = async (input, options) => {
+  let format = options.format;
+  if (!format || format === 'auto') {
+    let head = input.buffer ? input.buffer.subarray(0, 512) : null;
+    if (!head) {
+      const handle = await fs.promises.open(input.path, 'r');
+      try {
+        head = Buffer.alloc(512);
+        const { bytesRead } = await handle.read(head, 0, 512, 0);
+        head = head.subarray(0, bytesRead);
+      }
+      finally {
+        await handle.close();
+      }
+    }
+    format = detectFormat(input.name, head);
+    if (!format) {
+      throw new Error(`Unable to determine archive format of '${input.name}'`);
+    }
+  }
+
+  const convert = createEntryConverter(options);
+  const files = [];
+  const onEntry = (entry) => {
+    const file = convert(entry);
+    if (file) {
+      files.push(file);
+    }
+  };
+
+  try {
+    if (format === 'zip') {
+      await readZip(input, onEntry);
+    }
+    else {
+      const source = input.buffer
+        ? Readable.from([input.buffer])
+        : fs.createReadStream(input.path);
+      await readTar(source, (format === 'tar.gz'), onEntry);
+    }
+  }
+  catch (err) {
+    throw new Error(`Unable to extract '${input.name}': ${err.message}`);
+  }
+
+  return files;
+};
+
+module.exports = {
+  FORMATS,
+  extractionOptionSchema,
+  getExtractionRules,
+  detectFormat,
+  readArchive,
+};
@@ -3,34 +3,311 @@
  */
 
 const Source = require('./source.js');
+const CredentialProvider = require('./credentialProvider.js');
+const { AuthenticationError, CredentialError } = require('./errors.js');
+const { validateRules } = require('./rules/rule.js');
+const { isInstanceOf } = require('./rules/objects.js');
+const { normalizeOptions, isSensitiveOption, getSensitiveValues, getSchemaRules } = require('./options.js');
+const { getSensitiveKeyValues, protectObject, registerSecret } = require('./redaction.js');
+const { raceSignal, throwIfAborted } = require('./abort.js');
+const {
+  sessionOptionSchema,
+  getSessionRules,
+  getSessionKey,
+  createSession,
+  isSessionFresh,
+  readSession,
+  writeSession,
+} = require('./sessions.js');
 
 /**
  * Base class for Pulley sources which require authentication.
+ *
+ * Authentication options may be given directly, or resolved by a credential
+ * provider given as the `provider` authentication option. Any other options
+ * given alongside a provider are used as defaults for the options it
+ * resolves. Subclasses should read their authentication options using
+ * `resolveAuthentication()`.
+ *
+ * The session returned by `authenticate()` is cached in memory, and in a
+ * session file if the `session` authentication option gives one; see
+ * `sessions.js`. Sessions are refreshed shortly before they expire, and
+ * concurrent requests for a session share a single authentication.
+ * Subclasses should fetch using `withAuthentication()`, which retries once
+ * with a new session if the fetch throws an `AuthenticationError`.
+ *
+ * Authentication options are sensitive unless their schema spec sets
+ * `sensitive` to false, and are masked when this source is inspected or
+ * serialized. Sessions are hidden from inspection altogether.
  */
 class AuthenticatedSource extends Source {
 
   /**
    * Constructor.
    *
-   * Sets this source's options and authentication properties.
+   * Sets this source's options and authentication properties. If this source
+   * declares an authentication schema, the authentication options are
+   * normalized against it first. The `provider` and `session` authentication
+   * options are handled by this class, and are not normalized.
    *
    * @param {Object} options - Source options object.
    * @param {Object} authentication - Source authentication options object.
    */
   constructor(options, authentication) {
     super(options);
-    this.authentication = authentication;
+    const { provider, session, ...values } = authentication || {};
+    this.credentialProvider = provider || null;
+    this.sessionOptions = normalizeOptions(sessionOptionSchema, session || {});
+    this.authentication = this.normalizeAuthentication(values);
+    ['session', 'authenticating', 'resolvingAuthentication'].forEach((property) => {
+      Object.defineProperty(this, property, { value: null, writable: true, enumerable: false });
+    });
+  }
+
+  /**
+   * Schema describing this source's authentication options.
+   *
+   * Behaves like `optionSchema`, but applies to authentication options.
+   *
+   * @returns {Object|null} Authentication schema, or null if undescribed.
+   */
+  static get authenticationSchema() {
+    return null;
+  }
+
+  /**
+   * Normalizes authentication options `values` against this source's
+   * authentication schema, and protects them from being printed.
+   *
+   * @param {Object} values - Authentication options object.
+   *
+   * @returns {Object} New, normalized authentication options object.
+   */
+  normalizeAuthentication(values) {
+    const schema = this.constructor.authenticationSchema;
+    const authentication = normalizeOptions(schema, values, { sensitive: true });
+    return protectObject(authentication, (key) => isSensitiveOption(schema, key, { sensitive: true }));
+  }
+
+  /**
+   * Returns the values of this source's sensitive options, authentication
+   * options, credential provider options and current session, which are
+   * masked in rule messages and while pipelines run.
+   *
+   * @returns {string[]} Sensitive values.
+   */
+  getSensitiveValues() {
+    return [
+      ...getSensitiveValues(this.constructor.optionSchema, this.options),
+      ...getSensitiveValues(this.constructor.authenticationSchema, this.authentication, { sensitive: true }),
+      ...getSensitiveKeyValues(this.session),
+      ...((this.credentialProvider instanceof CredentialProvider) ? this.credentialProvider.getSensitiveValues() : []),
+    ];
+  }
+
+  /**
+   * Returns the host that this source connects to, if any.
+   *
+   * Credential providers which store credentials per host use this to choose
+   * which credentials to resolve.
+   *
+   * @returns {string|null} Host name, or null if unknown.
+   */
+  getCredentialHost() {
+    return null;
+  }
+
+  /**
+   * Resolves this source's authentication options.
+   *
+   * If this source has a credential provider, its credentials are resolved
+   * the first time this is called and checked against this source's
+   * authentication rules. Otherwise, the options given on construction are
+   * returned.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolveAuthentication() {
+    if (!this.credentialProvider) {
+      return this.authentication;
+    }
+    if (!this.resolvingAuthentication) {
+      this.resolvingAuthentication = this.resolveCredentials().catch((err) => {
+        this.resolvingAuthentication = null;
+        throw err;
+      });
+    }
+    return this.resolvingAuthentication;
+  }
+
+  /**
+   * Resolves authentication options from this source's credential provider.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolveCredentials() {
+    const provider = this.credentialProvider;
+    const name = provider.constructor.name;
+
+    let resolved;
+    try {
+      resolved = await provider.resolve({ host: this.getCredentialHost() });
+    }
+    catch (err) {
+      throw new CredentialError(`Credential provider '${name}' failed: ${err.message}`, name);
+    }
+
+    const schema = this.constructor.authenticationSchema;
+    this.authentication = this.normalizeAuthentication({ ...this.authentication, ...resolved });
+    registerSecret(getSensitiveValues(schema, this.authentication, { sensitive: true }));
+
+    const report = await validateRules([
+      ...getSchemaRules(schema, this.authentication),
+      ...this.getAuthenticationRules(),
+    ], { secrets: this.getSensitiveValues() });
+    if (!report.valid) {
+      const messages = report.failures.map((failure) => failure.message).join('; ');
+      throw new CredentialError(`Credentials from provider '${name}' are invalid: ${messages}`, name);
+    }
+
+    return this.authentication;
   }
 
   /**
    * Authenticates the source using this source's authentication options.
    *
-   * @returns {Promise} Authentication promise.
+   * Subclasses may resolve to a session object holding whatever they need to
+   * fetch, such as request headers or an access token. The session may give
+   * its expiry as `expiresAt` or `expiresIn`; see `sessions.js`.
+   *
+   * Rather than calling this directly, use `getSession()`, which caches and
+   * refreshes sessions.
+   *
+   * @param {Object=} options - Optional authentication options.
+   * @param {AbortSignal=} options.signal - Signal which cancels
+   * authentication.
+   *
+   * @returns {Promise} Promise that resolves to a session object, or to
+   * undefined if the source does not use sessions.
    */
-  async authenticate() {
+  async authenticate(options = {}) {
     throw new Error(`'authenticate()' method not implemented for AuthenticatedSource`);
   }
 
+  /**
+   * Returns this source's current session, authenticating if required.
+   *
+   * A cached session is returned unless it expires within the `refreshBefore`
+   * session option. Otherwise, a session is read from the session file if one
+   * is configured and still fresh, or created by calling `authenticate()`.
+   * Concurrent calls share the same authentication.
+   *
+   * A shared authentication is given the signal of the call which started
+   * it. Later callers stop waiting for it when their own signal aborts.
+   *
+   * @param {Object=} options - Optional session options.
+   * @param {AbortSignal=} options.signal - Signal which cancels the wait for
+   * a session.
+   *
+   * @returns {Promise} Promise that resolves to session object.
+   */
+  async getSession(options = {}) {
+    throwIfAborted(options.signal);
+    if (this.session && isSessionFresh(this.session, this.sessionOptions.refreshBefore)) {
+      return this.session;
+    }
+    if (!this.authenticating) {
+      this.authenticating = this.startSession(options).finally(() => {
+        this.authenticating = null;
+      });
+    }
+    return raceSignal(this.authenticating, options.signal);
+  }
+
+  /**
+   * Starts a new session, from the session file if possible.
+   *
+   * @param {Object=} options - Optional session options.
+   * @param {AbortSignal=} options.signal - Signal which cancels
+   * authentication.
+   *
+   * @returns {Promise} Promise that resolves to session object.
+   */
+  async startSession(options = {}) {
+    const { file, refreshBefore } = this.sessionOptions;
+    const key = getSessionKey(this);
+
+    if (file) {
+      const stored = await readSession(file, key);
+      if (stored && isSessionFresh(stored, refreshBefore)) {
+        this.session = stored;
+        return stored;
+      }
+    }
+
+    const session = createSession(await this.authenticate({ signal: options.signal }));
+    throwIfAborted(options.signal);
+    this.session = session;
+    if (file) {
+      await writeSession(file, key, session);
+    }
+    return session;
+  }
+
+  /**
+   * Discards session `session`, so that the next call to `getSession()`
+   * authenticates again.
+   *
+   * Nothing is discarded if `session` has already been replaced, so that
+   * concurrent fetches rejecting the same session only authenticate once.
+   * Credentials from a credential provider are resolved again too.
+   *
+   * @param {Object} session - Session to discard.
+   *
+   * @returns {Promise} Promise that resolves once the session is discarded.
+   */
+  async invalidateSession(session) {
+    if (this.session !== session) {
+      return;
+    }
+    this.session = null;
+    if (this.credentialProvider) {
+      this.resolvingAuthentication = null;
+    }
+    if (this.sessionOptions.file) {
+      await writeSession(this.sessionOptions.file, getSessionKey(this), null);
+    }
+  }
+
+  /**
+   * Calls `fn` with this source's session, re-authenticating and calling it
+   * once more if it throws an `AuthenticationError`. A `warning` event is
+   * emitted before re-authenticating.
+   *
+   * @param {function} fn - Callback which receives a session object and
+   * returns (or resolves to) any value.
+   * @param {Object=} options - Optional session options.
+   * @param {AbortSignal=} options.signal - Signal which cancels
+   * authentication. Pass it to the operation in `fn` too.
+   *
+   * @returns {Promise} Promise that resolves to the value returned by `fn`.
+   */
+  async withAuthentication(fn, options = {}) {
+    const session = await this.getSession(options);
+    try {
+      return await fn(session);
+    }
+    catch (err) {
+      if (!(err instanceof AuthenticationError)) {
+        throw err;
+      }
+      this.emitWarning(`Authentication was rejected; authenticating again: ${err.message}`);
+      throwIfAborted(options.signal);
+      await this.invalidateSession(session);
+      return fn(await this.getSession(options));
+    }
+  }
+
   /**
    * An array of rules that must be satisfied to confirm auth option validity.
    *
@@ -44,6 +321,61 @@ class AuthenticatedSource extends Source {
     return [];
   }
 
+  /**
+   * Validates this source's option and authentication rules.
+   *
+   * Option and session rules are validated first, followed by authentication
+   * rules, and the results for all are reported together.
+   *
+   * If this source has a credential provider, the provider's option rules
+   * are validated instead of the authentication rules, with results given a
+   * `component` of `provider`. Credentials are not resolved during
+   * validation; the authentication rules are checked against them once they
+   * are resolved.
+   *
+   * @param {Object=} options - Optional validation options.
+   * @param {boolean=} options.failFast - Stop validating after first failure.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to validation report object.
+   */
+  async validate(options = {}) {
+    const provider = this.credentialProvider;
+    const rules = [
+      ...getSchemaRules(this.constructor.optionSchema, this.options),
+      ...this.getOptionRules(),
+      ...getSchemaRules(sessionOptionSchema, this.sessionOptions),
+      ...getSessionRules(this.sessionOptions),
+    ];
+    if (provider) {
+      rules.push([isInstanceOf, provider, CredentialProvider, 'provider']);
+    }
+    else {
+      rules.push(
+        ...getSchemaRules(this.constructor.authenticationSchema, this.authentication),
+        ...this.getAuthenticationRules()
+      );
+    }
+
+    const report = await validateRules(rules, { ...options, secrets: this.getSensitiveValues() });
+    if (!(provider instanceof CredentialProvider) || (options.failFast && !report.valid)) {
+      return report;
+    }
+
+    const providerReport = await provider.validate(options);
+    const results = [
+      ...report.results,
+      ...providerReport.results.map((result) => ({ ...result, component: 'provider' })),
+    ];
+    const failures = results.filter((result) => !result.passed);
+    return {
+      valid: (failures.length === 0),
+      complete: (report.complete && providerReport.complete),
+      results,
+      failures,
+    };
+  }
+
 }
 
 module.exports = AuthenticatedSource;
@@ -2,12 +2,132 @@
  * @file Base Bundler class.
  */
 
+const Component = require('./component.js');
+const { validateRules } = require('./rules/rule.js');
+const { isAbsolute, isDirectory } = require('./rules/filesystem.js');
+const { normalizeOptions, getSensitiveValues, getSchemaRules } = require('./options.js');
+const { DEFAULT_MANIFEST_FILE, verifyManifest } = require('./manifest.js');
+
 /**
  * Base class for Pulley bundlers.
  *
- * Outputs retrieved packages using a specific format.
+ * Outputs retrieved packages using a specific format. Bundlers should emit a
+ * `file-written` event for each file they write; see `component.js`.
  */
-class Bundler {
+class Bundler extends Component {
+
+  /**
+   * Constructor.
+   *
+   * Sets this bundler's options property. If this bundler declares an option
+   * schema, the options are normalized against it first.
+   *
+   * @param {Object=} options - Bundler options object.
+   */
+  constructor(options) {
+    super();
+    this.options = normalizeOptions(this.constructor.optionSchema, options);
+  }
+
+  /**
+   * Schema describing this bundler's options.
+   *
+   * Subclasses may override this to have their options normalized on
+   * construction and unknown options rejected on validation. See `options.js`
+   * for the schema format.
+   *
+   * @returns {Object|null} Option schema, or null if options are undescribed.
+   */
+  static get optionSchema() {
+    return null;
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * Follows the same format as `Source#getOptionRules()`.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [];
+  }
+
+  /**
+   * Validates this bundler's option rules and reports the results.
+   *
+   * Rules derived from this bundler's option schema are validated before the
+   * rules returned by `getOptionRules()`.
+   *
+   * @param {Object=} options - Optional validation options.
+   * @param {boolean=} options.failFast - Stop validating after first failure.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to validation report object.
+   */
+  async validate(options) {
+    const rules = [
+      ...getSchemaRules(this.constructor.optionSchema, this.options),
+      ...this.getOptionRules(),
+    ];
+    return validateRules(rules, { ...options, secrets: this.getSensitiveValues() });
+  }
+
+  /**
+   * Returns the values of this bundler's sensitive options, which are masked in
+   * rule messages and while pipelines run.
+   *
+   * @returns {string[]} Sensitive values.
+   */
+  getSensitiveValues() {
+    return getSensitiveValues(this.constructor.optionSchema, this.options);
+  }
+
+  /**
+   * An array of rules that destination `dest` must satisfy before bundling.
+   *
+   * Follows the same format as `getOptionRules()`. By default, `dest` must be
+   * an absolute path to an existing directory.
+   *
+   * @param {string} dest - Bundler destination base path.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getDestinationRules(dest) {
+    return [
+      [isAbsolute, dest],
+      [isDirectory, dest],
+    ];
+  }
+
+  /**
+   * Validates destination `dest` and reports the results.
+   *
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional validation options.
+   * @param {boolean=} options.failFast - Stop validating after first failure.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to validation report object.
+   */
+  async validateDestination(dest, options) {
+    return validateRules(this.getDestinationRules(dest), options);
+  }
+
+  /**
+   * Verifies an existing bundle within `dest` against its manifest.
+   *
+   * Uses the `manifestFile` option as the manifest's name, if set.
+   *
+   * @param {string} dest - Bundler destination base path.
+   *
+   * @returns {Promise} Promise that resolves to verification report object;
+   * see `verifyManifest()` in `manifest.js`.
+   */
+  async verify(dest) {
+    const manifestFile = (this.options && this.options.manifestFile) || DEFAULT_MANIFEST_FILE;
+    return verifyManifest(dest, manifestFile);
+  }
 
   /**
    * Outputs the given streams to the filesystem.
@@ -15,13 +135,40 @@ class Bundler {
    * @param {Object[]} packages - Packages to bundle.
    * @param {string} packages[].name - Name of package.
    * @param {Object} packages[].metadata - Arbitrary metadata for package.
+   * @param {Object=} packages[].provenance - Description of package's source.
+   * @param {string[]=} packages[].dependsOn - Names of packages which this
+   * package depends on.
    * @param {Object} packages[].stream - Package stream.
    * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional bundle options.
+   * @param {AbortSignal=} options.signal - Signal which cancels bundling.
+   * Bundlers should remove anything they have partially written and reject
+   * with an `AbortError` once it aborts.
+   *
+   * @returns {Promise} Promise that resolves once packages are output, to a
+   * summary of the files added, changed, removed and left unchanged if the
+   * bundler reports one.
    */
-  bundle(packages, dest) {
+  bundle(packages, dest, options = {}) {
     throw new Error(`'bundle()' method not implemented for Bundle`);
   }
 
+  /**
+   * Describes the changes `bundle()` would make to `dest`, without writing
+   * anything there.
+   *
+   * @param {Object[]} packages - Packages to bundle; see `bundle()`.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional plan options.
+   * @param {AbortSignal=} options.signal - Signal which cancels planning.
+   *
+   * @returns {Promise} Promise that resolves to a plan object listing the
+   * files that would be created, overwritten and deleted; see `plan.js`.
+   */
+  plan(packages, dest, options = {}) {
+    throw new Error(`'plan()' method not implemented for Bundle`);
+  }
+
 }
 
 module.exports = Bundler;
@@ -0,0 +1,624 @@
+/**
+ * @file Bundler which writes each package into its own directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Bundler = require('../bundler.js');
+const {
+  PRESERVE_MTIME,
+  bundleOptionSchema,
+  getBundleRules,
+  getBundleDestinationRules,
+  assertDestination,
+  isSafePackageName,
+  checkPackageNames,
+  forEachEntry,
+  sortByPath,
+  sortPackages,
+  createSummary,
+} = require('../bundling.js');
+const {
+  sha256,
+  hashFile,
+  formatMode,
+  describeEntry,
+  listFiles,
+  createManifest,
+  formatManifest,
+  readManifest,
+  writeManifest,
+} = require('../manifest.js');
+const { createPlan, finishPlan, planWrite, planDelete } = require('../plan.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { isAbortError, throwIfAborted } = require('../abort.js');
+
+/**
+ * Mode given to directories created by this bundler.
+ */
+const DIRECTORY_MODE = 0o755;
+
+/**
+ * Supported methods of comparing existing files in incremental mode.
+ *
+ * - `hash`: Existing files are hashed and compared with incoming files.
+ * - `manifest`: Digests recorded in the previous manifest are used for files
+ *   whose size and mode still match, and other files are hashed.
+ */
+const COMPARISONS = ['hash', 'manifest'];
+
+/**
+ * Bundler which writes each package's files into `dest/<name>/`.
+ *
+ * Files are written one at a time as they are read from each package's
+ * stream, with normalized modes and modification times, so that only one
+ * file's contents are held in memory at once. Unless modification times are
+ * preserved, created directories are given the fixed modification time once
+ * their contents have been written.
+ */
+class DirectoryBundler extends Bundler {
+
+  /**
+   * Schema describing this bundler's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      ...bundleOptionSchema,
+      compareBy: {
+        type: 'string',
+        default: 'hash',
+        description: `How existing files are compared when incremental; one of: ${COMPARISONS.join(', ')}`,
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [
+      ...getBundleRules(this.options),
+      [jsonSchema, this.options.compareBy, { enum: COMPARISONS }],
+    ];
+  }
+
+  /**
+   * An array of rules that destination `dest` must satisfy before bundling.
+   *
+   * @param {string} dest - Bundler destination base path.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getDestinationRules(dest) {
+    return [
+      ...super.getDestinationRules(dest),
+      ...getBundleDestinationRules(dest, this.options),
+    ];
+  }
+
+  /**
+   * Writes each package into its own directory beneath `dest`.
+   *
+   * In incremental mode, each package's files are compared against those
+   * already in its directory. Only added and changed files are written, and
+   * files no longer in the package are removed. Unchanged files, including
+   * their modification times, are left untouched. The directories of
+   * packages recorded in the previous manifest but no longer bundled are
+   * removed, with their files counted as removed.
+   *
+   * If `options.signal` aborts, bundling stops before the next file. Files
+   * added by this call are removed along with any directories left empty,
+   * and no manifest is written. Changed and removed files are not restored.
+   *
+   * @param {Object[]} packages - Packages to bundle.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional bundle options.
+   * @param {AbortSignal=} options.signal - Signal which cancels bundling.
+   *
+   * @returns {Promise} Promise that resolves to a bundle summary object
+   * counting the files added, changed, removed and left unchanged, along with
+   * a summary for each package in `packages`.
+   */
+  async bundle(packages, dest, options = {}) {
+    await assertDestination(this, dest);
+    checkPackageNames(packages);
+
+    const added = [];
+    try {
+      return await this.bundlePackages(packages, dest, { signal: options.signal, added });
+    }
+    catch (err) {
+      if (isAbortError(err)) {
+        await removeAdded(dest, added);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Describes the changes `bundle()` would make to `dest`.
+   *
+   * Files are listed by their path beneath `dest`, with the package they
+   * belong to. Files no longer in a package, and the files of packages no
+   * longer bundled, are only deleted in incremental mode. Modification times
+   * are not compared.
+   *
+   * @param {Object[]} packages - Packages to bundle.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional plan options.
+   * @param {AbortSignal=} options.signal - Signal which cancels planning.
+   *
+   * @returns {Promise} Promise that resolves to plan object.
+   */
+  async plan(packages, dest, options = {}) {
+    await assertDestination(this, dest);
+    checkPackageNames(packages);
+
+    const { incremental, manifestFile } = this.options;
+    const plan = createPlan(this, dest);
+    const previous = incremental ? await readManifest(dest, manifestFile).catch(() => null) : null;
+    const written = [];
+    for (const pkg of sortPackages(packages)) {
+      const root = path.join(dest, pkg.name);
+      const details = { package: pkg.name };
+      const files = [];
+      await forEachEntry(pkg, this.options, options.signal, async (entry) => {
+        files.push(describeEntry(entry));
+        const target = path.join(root, ...entry.path.split('/'));
+        await planWrite(plan, target, { ...entry, path: `${pkg.name}/${entry.path}` }, details);
+      });
+      written.push({ pkg, files: sortByPath(files) });
+
+      if (incremental) {
+        const wanted = new Set(files.map((file) => file.path));
+        const existing = await listFiles(root).catch(() => []);
+        for (const relative of existing.filter((file) => !wanted.has(file))) {
+          await planDelete(plan, path.join(root, ...relative.split('/')), `${pkg.name}/${relative}`, details);
+        }
+      }
+    }
+
+    for (const name of getDroppedPackages(previous, packages)) {
+      const root = path.join(dest, name);
+      for (const relative of await listFiles(root).catch(() => [])) {
+        await planDelete(plan, path.join(root, ...relative.split('/')), `${name}/${relative}`, { package: name });
+      }
+    }
+
+    throwIfAborted(options.signal);
+    if (this.options.manifest) {
+      const manifest = await createManifest({
+        bundler: this.constructor.name,
+        layout: 'directory',
+        packages: written,
+      }, dest);
+      await planWrite(plan, path.join(dest, manifestFile), {
+        path: manifestFile,
+        type: 'file',
+        contents: Buffer.from(formatManifest(manifest)),
+      });
+    }
+
+    return finishPlan(plan);
+  }
+
+  /**
+   * Writes each package beneath `dest`, followed by the manifest if enabled.
+   *
+   * @param {Object[]} packages - Packages to bundle.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object} run - State of the current bundle.
+   * @param {AbortSignal=} run.signal - Signal which cancels bundling.
+   * @param {string[]} run.added - Array to which the path of each added file
+   * is pushed.
+   *
+   * @returns {Promise} Promise that resolves to a bundle summary object.
+   */
+  async bundlePackages(packages, dest, run) {
+    const { incremental, compareBy, manifestFile } = this.options;
+    let previous = null;
+    if (incremental) {
+      previous = await readManifest(dest, manifestFile).catch(() => null);
+    }
+
+    const summary = { ...createSummary(), packages: {} };
+    const written = [];
+    for (const pkg of sortPackages(packages)) {
+      const root = path.join(dest, pkg.name);
+      const files = [];
+      const recorded = (compareBy === 'manifest') ? getRecordedFiles(previous, pkg.name) : null;
+      const packageSummary = incremental
+        ? await this.updatePackage(root, pkg, recorded, files, run)
+        : await this.writePackage(root, pkg, files, run);
+      written.push({ pkg, files: sortByPath(files) });
+
+      summary.packages[pkg.name] = packageSummary;
+      ['added', 'changed', 'removed', 'unchanged'].forEach((key) => {
+        summary[key] += packageSummary[key];
+      });
+    }
+
+    for (const name of getDroppedPackages(previous, packages)) {
+      throwIfAborted(run.signal);
+      const root = path.join(dest, name);
+      const removed = (await listFiles(root).catch(() => [])).length;
+      await fs.promises.rm(root, { recursive: true, force: true });
+      summary.packages[name] = { ...createSummary(), removed };
+      summary.removed += removed;
+    }
+
+    throwIfAborted(run.signal);
+    if (this.options.manifest) {
+      await writeManifest({
+        bundler: this.constructor.name,
+        layout: 'directory',
+        packages: written,
+      }, dest, manifestFile);
+      this.emitFileWritten(path.join(dest, manifestFile), { status: 'manifest' });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Writes every entry of package `pkg` into package directory `root`.
+   *
+   * @param {string} root - Package directory.
+   * @param {Object} pkg - Package being bundled.
+   * @param {Object[]} files - Array to which the manifest file object of each
+   * entry is pushed; see `describeEntry()` in `manifest.js`.
+   * @param {Object=} run - State of the current bundle; see `bundlePackages()`.
+   *
+   * @returns {Promise} Promise that resolves to package summary object.
+   */
+  async writePackage(root, pkg, files, run = {}) {
+    const summary = createSummary();
+    await fs.promises.mkdir(root, { recursive: true });
+    await forEachEntry(pkg, this.options, run.signal, async (entry) => {
+      const target = await prepareTarget(root, entry.path);
+      await writeEntry(entry, target);
+      addTo(run, target);
+      files.push(describeEntry(entry));
+      summary.added++;
+      this.emitFileWritten(target, { package: pkg.name, status: 'added' });
+      this.emitProgress({ package: pkg.name, files: files.length });
+    });
+    await this.finishDirectories(root);
+    return summary;
+  }
+
+  /**
+   * Updates package directory `root` so that it contains exactly the entries
+   * of package `pkg`.
+   *
+   * Each entry is compared and written as it is read. Stale files in the way
+   * of an entry are removed before it is written, so that files may be
+   * replaced by directories of the same name and vice versa. Any other stale
+   * files are removed once every entry has been read.
+   *
+   * @param {string} root - Package directory.
+   * @param {Object} pkg - Package being bundled.
+   * @param {Map=} recorded - Manifest file objects for the package, by path,
+   * if files are compared using a previous manifest.
+   * @param {Object[]} files - Array to which the manifest file object of each
+   * entry is pushed; see `describeEntry()` in `manifest.js`.
+   * @param {Object=} run - State of the current bundle; see `bundlePackages()`.
+   *
+   * @returns {Promise} Promise that resolves to package summary object.
+   */
+  async updatePackage(root, pkg, recorded, files, run = {}) {
+    const summary = createSummary();
+    await fs.promises.mkdir(root, { recursive: true });
+
+    const existing = new Set(await listFiles(root));
+    const wanted = new Set();
+    await forEachEntry(pkg, this.options, run.signal, async (entry) => {
+      const target = path.join(root, ...entry.path.split('/'));
+      wanted.add(entry.path);
+      files.push(describeEntry(entry));
+      const progress = { package: pkg.name, files: files.length };
+      let status = 'added';
+      if (existing.has(entry.path)) {
+        if (await isUnchanged(entry, target, recorded && recorded.get(entry.path))) {
+          summary.unchanged++;
+          this.emitProgress(progress);
+          return;
+        }
+        await fs.promises.rm(target, { recursive: true, force: true });
+        summary.changed++;
+        status = 'changed';
+      }
+      else {
+        // A stale file may exist where a directory of this entry is to be
+        // created, or a directory where the entry itself is to be written.
+        await removeFilesInPath(root, entry.path, wanted);
+        await fs.promises.rm(target, { recursive: true, force: true });
+        summary.added++;
+      }
+      await prepareTarget(root, entry.path);
+      await writeEntry(entry, target);
+      if (status === 'added') {
+        addTo(run, target);
+      }
+      this.emitFileWritten(target, { package: pkg.name, status });
+      this.emitProgress(progress);
+    });
+
+    for (const relative of existing) {
+      if (!wanted.has(relative)) {
+        // Stale files replaced by directories were removed when written.
+        const target = path.join(root, ...relative.split('/'));
+        const stats = await fs.promises.lstat(target).catch(() => null);
+        if (stats && !stats.isDirectory()) {
+          await fs.promises.rm(target, { force: true });
+        }
+        summary.removed++;
+      }
+    }
+    await removeEmptyDirectories(root);
+
+    await this.finishDirectories(root);
+    return summary;
+  }
+
+  /**
+   * Normalizes the modes and modification times of directories in `root`.
+   *
+   * Deepest directories are updated first, so that updating them does not
+   * alter the modification times of their parents again.
+   *
+   * @param {string} root - Package directory.
+   *
+   * @returns {Promise} Promise that resolves once directories are updated.
+   */
+  async finishDirectories(root) {
+    const directories = [root, ...await listDirectories(root)];
+    const sorted = directories.sort((a, b) => b.length - a.length);
+    for (const dir of sorted) {
+      await fs.promises.chmod(dir, DIRECTORY_MODE);
+      if (this.options.mtime !== PRESERVE_MTIME) {
+        const mtime = new Date(this.options.mtime);
+        await fs.promises.utimes(dir, mtime, mtime);
+      }
+    }
+  }
+
+}
+
+/**
+ * Writes bundle entry `entry` to `target`.
+ *
+ * @param {Object} entry - Bundle entry.
+ * @param {string} target - Absolute path to write entry to.
+ *
+ * @returns {Promise} Promise that resolves once entry is written.
+ */
+const writeEntry = async (entry, target) => {
+  if (entry.type === 'symlink') {
+    await fs.promises.symlink(entry.target, target);
+    await fs.promises.lutimes(target, entry.mtime, entry.mtime);
+    return;
+  }
+
+  await fs.promises.writeFile(target, entry.contents, { mode: entry.mode });
+  // Modes passed to writeFile are subject to the process umask.
+  await fs.promises.chmod(target, entry.mode);
+  await fs.promises.utimes(target, entry.mtime, entry.mtime);
+};
+
+/**
+ * Returns the files recorded for package `name` in manifest `manifest`.
+ *
+ * @param {Object|null} manifest - Previous manifest, if any.
+ * @param {string} name - Package name.
+ *
+ * @returns {Map|null} Manifest file objects by path, or null if the package is
+ * not recorded in a directory manifest.
+ */
+const getRecordedFiles = (manifest, name) => {
+  if (!manifest || manifest.layout !== 'directory') {
+    return null;
+  }
+  const pkg = manifest.packages.find((recorded) => recorded.name === name);
+  if (!pkg) {
+    return null;
+  }
+  return new Map(pkg.files.map((file) => [file.path, file]));
+};
+
+/**
+ * Returns the names of packages recorded in manifest `manifest` which are
+ * not among `packages`.
+ *
+ * @param {Object|null} manifest - Previous manifest, if any.
+ * @param {Object[]} packages - Packages being bundled.
+ *
+ * @returns {string[]} Names of packages no longer bundled, or an empty array
+ * if there is no previous directory manifest.
+ */
+const getDroppedPackages = (manifest, packages) => {
+  if (!manifest || manifest.layout !== 'directory' || !Array.isArray(manifest.packages)) {
+    return [];
+  }
+  const names = new Set(packages.map((pkg) => pkg.name));
+  return manifest.packages
+    .map((pkg) => pkg.name)
+    .filter((name) => isSafePackageName(name) && !names.has(name));
+};
+
+/**
+ * Determines whether the file at `target` matches bundle entry `entry`.
+ *
+ * Regular files must match the entry's mode, size and digest. If `recorded`
+ * is given and the file's size and mode match it, its recorded digest is
+ * trusted rather than hashing the file again.
+ *
+ * @param {Object} entry - Bundle entry.
+ * @param {string} target - Path of existing file.
+ * @param {Object=} recorded - Manifest file object for entry, if any.
+ *
+ * @returns {Promise} Promise that resolves to true if file is unchanged.
+ */
+const isUnchanged = async (entry, target, recorded) => {
+  const stats = await fs.promises.lstat(target).catch(() => null);
+  if (!stats) {
+    return false;
+  }
+
+  if (entry.type === 'symlink') {
+    return stats.isSymbolicLink() && (await fs.promises.readlink(target) === entry.target);
+  }
+  if (!stats.isFile() || (stats.mode & 0o7777) !== entry.mode || stats.size !== entry.contents.length) {
+    return false;
+  }
+
+  const expected = sha256(entry.contents);
+  const trusted = recorded && recorded.type === 'file'
+    && recorded.size === stats.size && recorded.mode === formatMode(stats.mode);
+  if (trusted) {
+    return (recorded.sha256 === expected);
+  }
+  return (await hashFile(target) === expected);
+};
+
+/**
+ * Removes any stale file or symbolic link found in place of one of the
+ * parent directories of `relative` within `root`.
+ *
+ * Files written earlier in the same bundle are kept, so that `prepareTarget()`
+ * refuses the entry rather than it replacing them.
+ *
+ * @param {string} root - Package directory.
+ * @param {string} relative - Forward-slashed path of entry within `root`.
+ * @param {Set} written - Paths of entries written so far, within `root`.
+ *
+ * @returns {Promise} Promise that resolves once files are removed.
+ */
+const removeFilesInPath = async (root, relative, written) => {
+  const segments = relative.split('/').slice(0, -1);
+  for (let index = 1; index <= segments.length; index++) {
+    const dir = path.join(root, ...segments.slice(0, index));
+    const stats = await fs.promises.lstat(dir).catch(() => null);
+    if (!stats) {
+      return;
+    }
+    if (!stats.isDirectory()) {
+      if (!written.has(segments.slice(0, index).join('/'))) {
+        await fs.promises.rm(dir, { force: true });
+      }
+      return;
+    }
+  }
+};
+
+/**
+ * Creates the parent directories of entry path `relative` within `root`,
+ * refusing to write beneath a symbolic link.
+ *
+ * Directories are created one at a time rather than recursively, since
+ * `mkdir()`, `writeFile()`, `chmod()` and `utimes()` all follow symbolic
+ * links, and a link in place of a parent would have the entry written
+ * outside `root`. A symbolic link at the entry's own path is removed for the
+ * same reason.
+ *
+ * @param {string} root - Package directory.
+ * @param {string} relative - Forward-slashed path of entry within `root`.
+ *
+ * @returns {Promise} Promise that resolves to the absolute path to write the
+ * entry to.
+ */
+const prepareTarget = async (root, relative) => {
+  const segments = relative.split('/');
+  for (let index = 0; index < segments.length; index++) {
+    const dir = path.join(root, ...segments.slice(0, index));
+    const stats = await fs.promises.lstat(dir).catch(() => null);
+    if (!stats) {
+      await fs.promises.mkdir(dir);
+    }
+    else if (stats.isSymbolicLink()) {
+      throw new Error(`Refusing to write '${relative}' beneath symbolic link '${dir}'`);
+    }
+  }
+
+  const target = path.join(root, ...segments);
+  const stats = await fs.promises.lstat(target).catch(() => null);
+  if (stats && stats.isSymbolicLink()) {
+    await fs.promises.rm(target);
+  }
+  return target;
+};
+
+/**
+ * Lists every directory beneath `dir`.
+ *
+ * @param {string} dir - Directory to list.
+ *
+ * @returns {Promise} Promise that resolves to an array of absolute paths.
+ */
+const listDirectories = async (dir) => {
+  const directories = [];
+  for (const dirent of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    if (dirent.isDirectory()) {
+      const child = path.join(dir, dirent.name);
+      directories.push(child, ...await listDirectories(child));
+    }
+  }
+  return directories;
+};
+
+/**
+ * Removes empty directories beneath `dir`, but not `dir` itself.
+ *
+ * @param {string} dir - Directory to clean.
+ *
+ * @returns {Promise} Promise that resolves once directories are removed.
+ */
+const removeEmptyDirectories = async (dir) => {
+  const sorted = (await listDirectories(dir)).sort((a, b) => b.length - a.length);
+  for (const child of sorted) {
+    if ((await fs.promises.readdir(child)).length === 0) {
+      await fs.promises.rmdir(child);
+    }
+  }
+};
+
+/**
+ * Records `target` as added in bundle state `run`, if it tracks added files.
+ *
+ * @param {Object} run - State of the current bundle.
+ * @param {string} target - Absolute path of added file.
+ */
+const addTo = (run, target) => {
+  if (run.added) {
+    run.added.push(target);
+  }
+};
+
+/**
+ * Removes the files in `added` from beneath `dest`, along with any package
+ * directories left empty.
+ *
+ * @param {string} dest - Bundler destination base path.
+ * @param {string[]} added - Absolute paths of added files.
+ *
+ * @returns {Promise} Promise that resolves once files are removed.
+ */
+const removeAdded = async (dest, added) => {
+  const roots = new Set(added.map((file) => path.join(dest, path.relative(dest, file).split(path.sep)[0])));
+  for (const file of added) {
+    await fs.promises.rm(file, { force: true });
+  }
+  for (const root of roots) {
+    await removeEmptyDirectories(root).catch(() => {});
+    await fs.promises.rmdir(root).catch(() => {});
+  }
+};
+
+DirectoryBundler.COMPARISONS = COMPARISONS;
+
+module.exports = DirectoryBundler;
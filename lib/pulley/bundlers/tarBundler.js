@@ -0,0 +1,152 @@
+/**
+ * @file Bundler which writes packages into gzip-compressed tar archives.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+
+const Bundler = require('../bundler.js');
+const {
+  createArchiveOptionSchema,
+  getArchiveRules,
+  getBundleDestinationRules,
+  assertDestination,
+  checkPackageNames,
+  groupArchives,
+  writeArchives,
+  writeArchiveManifest,
+  planArchives,
+} = require('../bundling.js');
+
+/**
+ * Extension of archives written by this bundler.
+ */
+const EXTENSION = '.tar.gz';
+
+/**
+ * Bundler which writes packages into tar.gz archives.
+ *
+ * By default, each package is written to `dest/<name>.tar.gz` with entries
+ * relative to the package root. When `per` is `bundle`, every package is
+ * written to a single archive named `filename`, beneath a directory named
+ * after the package.
+ *
+ * Entries are written in path order, owned by uid and gid 0, with normalized
+ * modes and modification times, so that identical inputs produce identical
+ * archives.
+ */
+class TarBundler extends Bundler {
+
+  /**
+   * Schema describing this bundler's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return createArchiveOptionSchema(EXTENSION);
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return getArchiveRules(this.options);
+  }
+
+  /**
+   * An array of rules that destination `dest` must satisfy before bundling.
+   *
+   * @param {string} dest - Bundler destination base path.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getDestinationRules(dest) {
+    return [
+      ...super.getDestinationRules(dest),
+      ...getBundleDestinationRules(dest, this.options),
+    ];
+  }
+
+  /**
+   * Writes packages into tar.gz archives within `dest`.
+   *
+   * @param {Object[]} packages - Packages to bundle.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional bundle options.
+   * @param {AbortSignal=} options.signal - Signal which cancels bundling.
+   * Archives added so far are removed, and no manifest is written.
+   *
+   * @returns {Promise} Promise that resolves to a bundle summary object
+   * counting the archives added, changed, removed and left unchanged.
+   */
+  async bundle(packages, dest, options = {}) {
+    await assertDestination(this, dest);
+    checkPackageNames(packages);
+
+    const grouped = await groupArchives(packages, this.options, EXTENSION, options.signal);
+    const summary = await writeArchives(this, grouped, dest, writeArchive, options.signal);
+    await writeArchiveManifest(this, grouped, dest);
+    return summary;
+  }
+
+  /**
+   * Describes the changes `bundle()` would make to `dest`.
+   *
+   * @param {Object[]} packages - Packages to bundle.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional plan options.
+   * @param {AbortSignal=} options.signal - Signal which cancels planning.
+   *
+   * @returns {Promise} Promise that resolves to a plan object listing the
+   * tar.gz archives that would be created, overwritten and deleted.
+   */
+  async plan(packages, dest, options = {}) {
+    await assertDestination(this, dest);
+    checkPackageNames(packages);
+
+    const grouped = await groupArchives(packages, this.options, EXTENSION, options.signal);
+    return planArchives(this, grouped, dest, writeArchive, options.signal);
+  }
+
+}
+
+/**
+ * Writes bundle entries `entries` to a tar.gz archive at `target`.
+ *
+ * @param {Object[]} entries - Sorted bundle entries.
+ * @param {string} target - Path of archive.
+ * @param {AbortSignal=} signal - Signal which stops writing when aborted.
+ *
+ * @returns {Promise} Promise that resolves once archive is written.
+ */
+const writeArchive = async (entries, target, signal) => {
+  const pack = tar.pack();
+  const written = pipeline(pack, zlib.createGzip(), fs.createWriteStream(target), { signal });
+
+  for (const entry of entries) {
+    const header = {
+      name: entry.path,
+      mode: entry.mode,
+      mtime: entry.mtime,
+      uid: 0,
+      gid: 0,
+      uname: '',
+      gname: '',
+    };
+    if (entry.type === 'symlink') {
+      pack.entry({ ...header, type: 'symlink', linkname: entry.target });
+    }
+    else {
+      pack.entry({ ...header, type: 'file', size: entry.contents.length }, entry.contents);
+    }
+  }
+  pack.finalize();
+
+  await written;
+};
+
+module.exports = TarBundler;
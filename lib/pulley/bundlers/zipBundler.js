@@ -0,0 +1,162 @@
+/**
+ * @file Bundler which writes packages into zip archives.
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const yazl = require('yazl');
+
+const Bundler = require('../bundler.js');
+const {
+  createArchiveOptionSchema,
+  getArchiveRules,
+  getBundleDestinationRules,
+  assertDestination,
+  checkPackageNames,
+  groupArchives,
+  writeArchives,
+  writeArchiveManifest,
+  planArchives,
+} = require('../bundling.js');
+
+/**
+ * Extension of archives written by this bundler.
+ */
+const EXTENSION = '.zip';
+
+/**
+ * Bundler which writes packages into zip archives.
+ *
+ * Packages are grouped into archives in the same way as `TarBundler`. Entries
+ * are written in path order with normalized modes and modification times, so
+ * that identical inputs produce identical archives.
+ */
+class ZipBundler extends Bundler {
+
+  /**
+   * Schema describing this bundler's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return createArchiveOptionSchema(EXTENSION);
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return getArchiveRules(this.options);
+  }
+
+  /**
+   * An array of rules that destination `dest` must satisfy before bundling.
+   *
+   * @param {string} dest - Bundler destination base path.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getDestinationRules(dest) {
+    return [
+      ...super.getDestinationRules(dest),
+      ...getBundleDestinationRules(dest, this.options),
+    ];
+  }
+
+  /**
+   * Writes packages into zip archives within `dest`.
+   *
+   * @param {Object[]} packages - Packages to bundle.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional bundle options.
+   * @param {AbortSignal=} options.signal - Signal which cancels bundling.
+   * Archives added so far are removed, and no manifest is written.
+   *
+   * @returns {Promise} Promise that resolves to a bundle summary object
+   * counting the archives added, changed, removed and left unchanged.
+   */
+  async bundle(packages, dest, options = {}) {
+    await assertDestination(this, dest);
+    checkPackageNames(packages);
+
+    const grouped = await groupArchives(packages, this.options, EXTENSION, options.signal);
+    const summary = await writeArchives(this, grouped, dest, writeArchive, options.signal);
+    await writeArchiveManifest(this, grouped, dest);
+    return summary;
+  }
+
+  /**
+   * Describes the changes `bundle()` would make to `dest`.
+   *
+   * @param {Object[]} packages - Packages to bundle.
+   * @param {string} dest - Bundler destination base path.
+   * @param {Object=} options - Optional plan options.
+   * @param {AbortSignal=} options.signal - Signal which cancels planning.
+   *
+   * @returns {Promise} Promise that resolves to a plan object listing the
+   * zip archives that would be created, overwritten and deleted.
+   */
+  async plan(packages, dest, options = {}) {
+    await assertDestination(this, dest);
+    checkPackageNames(packages);
+
+    const grouped = await groupArchives(packages, this.options, EXTENSION, options.signal);
+    return planArchives(this, grouped, dest, writeArchive, options.signal);
+  }
+
+}
+
+/**
+ * Converts `date` so that its local time fields match its UTC fields.
+ *
+ * Zip timestamps are stored as local date and time fields, so this keeps
+ * archives identical regardless of the time zone they are created in.
+ *
+ * @param {Date} date - Date to convert.
+ *
+ * @returns {Date} Converted date.
+ */
+const toZipDate = (date) => {
+  return new Date(date.getTime() + (date.getTimezoneOffset() * 60 * 1000));
+};
+
+/**
+ * Writes bundle entries `entries` to a zip archive at `target`.
+ *
+ * @param {Object[]} entries - Sorted bundle entries.
+ * @param {string} target - Path of archive.
+ * @param {AbortSignal=} signal - Signal which stops writing when aborted.
+ *
+ * @returns {Promise} Promise that resolves once archive is written.
+ */
+const writeArchive = async (entries, target, signal) => {
+  const zip = new yazl.ZipFile();
+  const written = pipeline(zip.outputStream, fs.createWriteStream(target), { signal });
+
+  for (const entry of entries) {
+    const options = {
+      mtime: toZipDate(entry.mtime),
+      forceDosTimestamp: true,
+    };
+    if (entry.type === 'symlink') {
+      zip.addBuffer(Buffer.from(entry.target), entry.path, {
+        ...options,
+        mode: (0o120000 | entry.mode),
+        compress: false,
+      });
+    }
+    else {
+      zip.addBuffer(entry.contents, entry.path, {
+        ...options,
+        mode: (0o100000 | entry.mode),
+      });
+    }
+  }
+  zip.end();
+
+  await written;
+};
+
+module.exports = ZipBundler;
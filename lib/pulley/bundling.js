@@ -0,0 +1,644 @@
+/**
+ * @file Helpers shared by the built-in bundlers.
+ *
+ * Bundlers convert each package's Vinyl files into entries: plain objects
+ * with a relative path, a normalized mode and a fixed modification time.
+ * Entries are sorted by path so that bundles are reproducible regardless of
+ * the order in which sources emit files.
+ *
+ * Helpers which read or write accept an optional `AbortSignal`, and clean up
+ * anything they have partially written when it aborts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { anyOf } = require('./rules/combinators.js');
+const { isEmptyDirectory } = require('./rules/filesystem.js');
+const { jsonSchema } = require('./rules/schema.js');
+const {
+  DEFAULT_MANIFEST_FILE,
+  hashFile,
+  createManifest,
+  formatManifest,
+  readManifest,
+  writeManifest,
+} = require('./manifest.js');
+const { createPlan, finishPlan, planWrite, planCopy, planDelete } = require('./plan.js');
+const { forEachChunk, readContents } = require('./streams.js');
+const { abortStream, isAbortError, throwIfAborted } = require('./abort.js');
+
+/**
+ * Value of the `mtime` option which keeps each file's modification time.
+ */
+const PRESERVE_MTIME = 'preserve';
+
+/**
+ * Pattern matching ISO 8601 dates and date-times.
+ */
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$';
+
+/**
+ * Option schema shared by the built-in bundlers.
+ */
+const bundleOptionSchema = {
+  preserveMode: {
+    type: 'boolean',
+    default: false,
+    description: 'Whether file permission bits are kept as-is',
+  },
+  fileMode: {
+    type: 'integer',
+    default: 0o644,
+    description: 'Mode of files without execute permission, unless preserveMode is set',
+  },
+  executableMode: {
+    type: 'integer',
+    default: 0o755,
+    description: 'Mode of files with any execute permission, unless preserveMode is set',
+  },
+  mtime: {
+    type: 'string',
+    default: '1980-01-01T00:00:00Z',
+    description: `Modification time given to every entry, or '${PRESERVE_MTIME}'`,
+  },
+  requireEmpty: {
+    type: 'boolean',
+    default: true,
+    description: 'Whether the destination must be an empty directory, unless incremental',
+  },
+  incremental: {
+    type: 'boolean',
+    default: false,
+    description: 'Whether only added and changed files are written to an existing bundle',
+  },
+  manifest: {
+    type: 'boolean',
+    default: false,
+    description: 'Whether a manifest describing the bundle is written to the destination',
+  },
+  manifestFile: {
+    type: 'string',
+    default: DEFAULT_MANIFEST_FILE,
+    description: 'Name of manifest file',
+  },
+};
+
+/**
+ * Supported groupings of packages into archives.
+ *
+ * - `package`: One archive is written for each package.
+ * - `bundle`: A single archive is written containing every package.
+ */
+const ARCHIVE_GROUPINGS = ['package', 'bundle'];
+
+/**
+ * Creates an option schema for archive bundlers writing `extension` files.
+ *
+ * @param {string} extension - Archive file extension, including leading dot.
+ *
+ * @returns {Object} Option schema, including shared bundle options.
+ */
+const createArchiveOptionSchema = (extension) => {
+  return {
+    per: {
+      type: 'string',
+      default: 'package',
+      description: `How packages are grouped into archives; one of: ${ARCHIVE_GROUPINGS.join(', ')}`,
+    },
+    filename: {
+      type: 'string',
+      default: `bundle${extension}`,
+      description: 'Name of archive written when per is bundle',
+    },
+    ...bundleOptionSchema,
+  };
+};
+
+/**
+ * Returns rules that confirm bundle options in `options` are valid.
+ *
+ * @param {Object} options - Normalized options containing bundle options.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getBundleRules = (options) => {
+  const mode = { type: 'integer', minimum: 0, maximum: 0o7777 };
+  const filename = { type: 'string', minLength: 1, pattern: '^[^/\\\\]+$' };
+  return [
+    [jsonSchema, options.fileMode, mode],
+    [jsonSchema, options.executableMode, mode],
+    [jsonSchema, options.manifestFile, filename],
+    [anyOf([
+      [jsonSchema, options.mtime, { enum: [PRESERVE_MTIME] }],
+      [jsonSchema, options.mtime, { type: 'string', pattern: DATE_PATTERN }],
+    ], 'Modification time', `Confirms that mtime is an ISO 8601 date or '${PRESERVE_MTIME}'`)],
+  ];
+};
+
+/**
+ * Returns rules that confirm archive bundle options in `options` are valid.
+ *
+ * @param {Object} options - Normalized options containing archive options.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getArchiveRules = (options) => {
+  return [
+    [jsonSchema, options.per, { enum: ARCHIVE_GROUPINGS }],
+    [jsonSchema, options.filename, { type: 'string', minLength: 1, pattern: '^[^/\\\\]+$' }],
+    ...getBundleRules(options),
+  ];
+};
+
+/**
+ * Returns destination rules for bundle options in `options`.
+ *
+ * Incremental bundles are written over an existing bundle, so need not be
+ * written to an empty directory.
+ *
+ * @param {string} dest - Bundler destination base path.
+ * @param {Object} options - Normalized options containing bundle options.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getBundleDestinationRules = (dest, options) => {
+  return (options.requireEmpty && !options.incremental) ? [[isEmptyDirectory, dest]] : [];
+};
+
+/**
+ * Validates `bundler`'s destination `dest`, throwing if it is invalid.
+ *
+ * @param {Object} bundler - Bundler instance.
+ * @param {string} dest - Bundler destination base path.
+ *
+ * @returns {Promise} Promise that resolves once destination is validated.
+ */
+const assertDestination = async (bundler, dest) => {
+  const report = await bundler.validateDestination(dest);
+  if (!report.valid) {
+    const messages = report.failures.map((failure) => failure.message).join('; ');
+    throw new Error(`Invalid bundle destination '${dest}': ${messages}`);
+  }
+};
+
+/**
+ * Determines whether package name `name` is safe to use as a path segment.
+ *
+ * @param {*} name - Package name.
+ *
+ * @returns {boolean} True if name is safe.
+ */
+const isSafePackageName = (name) => {
+  return (typeof name === 'string' && !!name && name !== '.' && name !== '..' && !/[/\\]/.test(name));
+};
+
+/**
+ * Confirms that package names are unique and safe to use as path segments.
+ *
+ * @param {Object[]} packages - Packages being bundled.
+ */
+const checkPackageNames = (packages) => {
+  const seen = new Set();
+  packages.forEach(({ name }) => {
+    if (!isSafePackageName(name)) {
+      throw new Error(`Package name '${name}' cannot be used as a bundle path`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Package name '${name}' is used more than once`);
+    }
+    seen.add(name);
+  });
+};
+
+/**
+ * Resolves the mode of Vinyl file `file` according to bundle options.
+ *
+ * @param {Object} file - Vinyl file.
+ * @param {Object} options - Normalized bundle options.
+ *
+ * @returns {number} Permission bits.
+ */
+const resolveMode = (file, options) => {
+  if (file.isSymbolic()) {
+    return 0o777;
+  }
+  const mode = (file.stat && file.stat.mode) ? (file.stat.mode & 0o7777) : 0o644;
+  if (options.preserveMode) {
+    return mode;
+  }
+  return (mode & 0o111) ? options.executableMode : options.fileMode;
+};
+
+/**
+ * Resolves the modification time of Vinyl file `file`.
+ *
+ * @param {Object} file - Vinyl file.
+ * @param {Object} options - Normalized bundle options.
+ *
+ * @returns {Date} Modification time.
+ */
+const resolveMtime = (file, options) => {
+  if (options.mtime !== PRESERVE_MTIME) {
+    return new Date(options.mtime);
+  }
+  return (file.stat && file.stat.mtime) ? new Date(file.stat.mtime) : new Date(0);
+};
+
+/**
+ * Converts Vinyl file `file` from package `pkg` into an entry.
+ *
+ * @param {Object} file - Vinyl file.
+ * @param {Object} pkg - Package being bundled.
+ * @param {Object} options - Normalized bundle options.
+ *
+ * @returns {Promise} Promise that resolves to an entry, or null if the file
+ * is a directory or has no contents.
+ */
+const toEntry = async (file, pkg, options) => {
+  const relative = file.relative.split('\\').join('/');
+  if (!relative || relative === '..' || relative.startsWith('../')) {
+    throw new Error(`File '${file.path}' in package '${pkg.name}' is outside its base`);
+  }
+
+  if (file.isSymbolic()) {
+    return {
+      path: relative,
+      type: 'symlink',
+      target: file.symlink,
+      mode: resolveMode(file, options),
+      mtime: resolveMtime(file, options),
+    };
+  }
+  if (file.isNull() || file.isDirectory()) {
+    return null;
+  }
+
+  return {
+    path: relative,
+    type: 'file',
+    contents: await readContents(file),
+    mode: resolveMode(file, options),
+    mtime: resolveMtime(file, options),
+  };
+};
+
+/**
+ * Reads package `pkg`'s stream, calling `fn` with each of its files as an
+ * entry, one at a time and in the order they are read.
+ *
+ * Each entry has a forward-slashed relative `path`, a `type` of `file` or
+ * `symlink`, `contents` (for files), `target` (for links), `mode` and
+ * `mtime`. Directories and files without contents are omitted. Only the
+ * contents of the entry being handled are held in memory.
+ *
+ * @param {Object} pkg - Package being bundled.
+ * @param {Object} options - Normalized bundle options.
+ * @param {AbortSignal=} signal - Signal which destroys the package's stream
+ * when aborted.
+ * @param {function} fn - Function which receives each entry, and may return
+ * a promise.
+ *
+ * @returns {Promise} Promise that resolves once every entry is handled.
+ */
+const forEachEntry = async (pkg, options, signal, fn) => {
+  throwIfAborted(signal);
+  await forEachChunk(abortStream(pkg.stream, signal), async (file) => {
+    throwIfAborted(signal);
+    const entry = await toEntry(file, pkg, options);
+    if (entry) {
+      await fn(entry);
+    }
+  });
+};
+
+/**
+ * Reads package `pkg`'s stream and converts its files into sorted entries.
+ *
+ * Entries are described by `forEachEntry()`. Every entry's contents are held
+ * in memory, so bundlers which need not sort entries should prefer
+ * `forEachEntry()`.
+ *
+ * @param {Object} pkg - Package being bundled.
+ * @param {Object} options - Normalized bundle options.
+ * @param {AbortSignal=} signal - Signal which destroys the package's stream
+ * when aborted.
+ *
+ * @returns {Promise} Promise that resolves to an array of entries.
+ */
+const readEntries = async (pkg, options, signal) => {
+  const entries = [];
+  await forEachEntry(pkg, options, signal, (entry) => {
+    entries.push(entry);
+  });
+  return sortByPath(entries);
+};
+
+/**
+ * Reads the entries of every package and groups them into archives.
+ *
+ * When grouping per bundle, entry paths are prefixed with their package name.
+ *
+ * @param {Object[]} packages - Packages being bundled.
+ * @param {Object} options - Normalized archive options.
+ * @param {string} extension - Archive file extension, including leading dot.
+ * @param {AbortSignal=} signal - Signal which cancels reading.
+ *
+ * @returns {Promise} Promise that resolves to an object containing sorted
+ * `packages`, each with its `pkg` and `entries`, and `archives`, each with a
+ * `filename`, sorted `entries` and the names of its `packages`.
+ */
+const groupArchives = async (packages, options, extension, signal) => {
+  const read = [];
+  const archives = [];
+  for (const pkg of sortPackages(packages)) {
+    const entries = await readEntries(pkg, options, signal);
+    read.push({ pkg, entries });
+    if (options.per === 'package') {
+      archives.push({ filename: `${pkg.name}${extension}`, entries, packages: [pkg.name] });
+      continue;
+    }
+    if (archives.length === 0) {
+      archives.push({ filename: options.filename, entries: [], packages: [] });
+    }
+    archives[0].packages.push(pkg.name);
+    entries.forEach((entry) => {
+      archives[0].entries.push({ ...entry, path: `${pkg.name}/${entry.path}` });
+    });
+  }
+  return { packages: read, archives };
+};
+
+/**
+ * Creates an empty bundle summary.
+ *
+ * Summaries count the files (or, for archive bundlers, the archives) which
+ * were added, changed, removed or left unchanged by a bundler.
+ *
+ * @returns {Object} Bundle summary object.
+ */
+const createSummary = () => {
+  return { added: 0, changed: 0, removed: 0, unchanged: 0 };
+};
+
+/**
+ * Writes the archives grouped by `groupArchives()` into `dest`.
+ *
+ * Archives are written to temporary files first. In incremental mode, an
+ * archive identical to the existing archive of the same name is discarded so
+ * that the existing archive is left untouched, and archives listed in the
+ * previous manifest which are no longer written are removed.
+ *
+ * The bundler emits a `file-written` event for each archive it writes, and a
+ * `progress` event counting the archives done.
+ *
+ * If `signal` aborts, the archive being written is discarded, archives added
+ * by this call are removed, and stale archives are left in place. Archives
+ * which replaced existing ones are kept.
+ *
+ * @param {Object} bundler - Bundler instance writing archives.
+ * @param {Object} grouped - Result of `groupArchives()`.
+ * @param {string} dest - Bundler destination base path.
+ * @param {function} writeArchive - Function which receives sorted entries, a
+ * target path and `signal`, and resolves once the archive is written.
+ * @param {AbortSignal=} signal - Signal which cancels writing.
+ *
+ * @returns {Promise} Promise that resolves to bundle summary object.
+ */
+const writeArchives = async (bundler, grouped, dest, writeArchive, signal) => {
+  const { incremental, manifestFile } = bundler.options;
+  const summary = createSummary();
+
+  let previous = null;
+  if (incremental) {
+    previous = await readManifest(dest, manifestFile).catch(() => null);
+  }
+
+  const added = [];
+  try {
+    await writeEachArchive(bundler, grouped, dest, writeArchive, signal, summary, added);
+  }
+  catch (err) {
+    if (isAbortError(err)) {
+      await Promise.all(added.map((file) => fs.promises.rm(file, { force: true })));
+    }
+    throw err;
+  }
+
+  if (previous && previous.layout === 'archive') {
+    const written = new Set(grouped.archives.map((archive) => archive.filename));
+    for (const archive of previous.archives) {
+      if (!written.has(archive.path)) {
+        await fs.promises.rm(path.join(dest, archive.path), { force: true });
+        summary.removed++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Writes each of the archives grouped by `groupArchives()` for
+ * `writeArchives()`, counting them in `summary`.
+ *
+ * @param {Object} bundler - Bundler instance writing archives.
+ * @param {Object} grouped - Result of `groupArchives()`.
+ * @param {string} dest - Bundler destination base path.
+ * @param {function} writeArchive - Function which writes a single archive.
+ * @param {AbortSignal=} signal - Signal which cancels writing.
+ * @param {Object} summary - Bundle summary object to update.
+ * @param {string[]} added - Array to which the path of each added archive is
+ * pushed.
+ *
+ * @returns {Promise} Promise that resolves once every archive is written.
+ */
+const writeEachArchive = async (bundler, grouped, dest, writeArchive, signal, summary, added) => {
+  const { incremental } = bundler.options;
+
+  for (const [index, { filename, entries, packages }] of grouped.archives.entries()) {
+    throwIfAborted(signal);
+    const target = path.join(dest, filename);
+    const progress = { files: index + 1, totalFiles: grouped.archives.length };
+    const temp = `${target}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      await writeArchive(entries, temp, signal);
+
+      let existing = null;
+      if (incremental) {
+        existing = await hashFile(target).catch(() => null);
+      }
+      if (existing && existing === await hashFile(temp)) {
+        summary.unchanged++;
+        bundler.emitProgress(progress);
+        continue;
+      }
+
+      throwIfAborted(signal);
+      await fs.promises.rename(temp, target);
+      const status = existing ? 'changed' : 'added';
+      if (status === 'added') {
+        added.push(target);
+      }
+      summary[status]++;
+      bundler.emitFileWritten(target, { packages, status });
+      bundler.emitProgress(progress);
+    }
+    catch (err) {
+      throwIfAborted(signal);
+      throw err;
+    }
+    finally {
+      await fs.promises.rm(temp, { force: true });
+    }
+  }
+};
+
+/**
+ * Writes a manifest for an archive bundle, if enabled by `options`.
+ *
+ * @param {Object} bundler - Bundler instance which wrote bundle.
+ * @param {Object} grouped - Result of `groupArchives()`.
+ * @param {string} dest - Bundler destination base path.
+ *
+ * @returns {Promise} Promise that resolves once manifest is written.
+ */
+const writeArchiveManifest = async (bundler, grouped, dest) => {
+  if (!bundler.options.manifest) {
+    return;
+  }
+  await writeManifest({
+    bundler: bundler.constructor.name,
+    layout: 'archive',
+    packages: grouped.packages,
+    archives: grouped.archives.map((archive) => {
+      return { path: archive.filename, packages: archive.packages };
+    }),
+  }, dest, bundler.options.manifestFile);
+  bundler.emitFileWritten(path.join(dest, bundler.options.manifestFile), { status: 'manifest' });
+};
+
+/**
+ * Describes the changes `writeArchives()` and `writeArchiveManifest()` would
+ * make to `dest`.
+ *
+ * Archives are written to a temporary directory and compared with the
+ * existing archives by digest, after which the temporary directory is
+ * removed. Archives listed in the previous manifest which are no longer
+ * written are only deleted in incremental mode.
+ *
+ * @param {Object} bundler - Bundler instance planning archives.
+ * @param {Object} grouped - Result of `groupArchives()`.
+ * @param {string} dest - Bundler destination base path.
+ * @param {function} writeArchive - Function which writes a single archive;
+ * see `writeArchives()`.
+ * @param {AbortSignal=} signal - Signal which cancels planning.
+ *
+ * @returns {Promise} Promise that resolves to plan object; see `plan.js`.
+ */
+const planArchives = async (bundler, grouped, dest, writeArchive, signal) => {
+  const { incremental, manifest, manifestFile } = bundler.options;
+  const plan = createPlan(bundler, dest);
+  const temp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulley-plan-'));
+  try {
+    for (const { filename, entries, packages } of grouped.archives) {
+      throwIfAborted(signal);
+      const file = path.join(temp, filename);
+      await writeArchive(entries, file, signal);
+      await planCopy(plan, path.join(dest, filename), file, filename, { packages });
+    }
+
+    const previous = incremental ? await readManifest(dest, manifestFile).catch(() => null) : null;
+    if (previous && previous.layout === 'archive') {
+      const written = new Set(grouped.archives.map((archive) => archive.filename));
+      for (const archive of previous.archives) {
+        if (!written.has(archive.path)) {
+          await planDelete(plan, path.join(dest, archive.path), archive.path, { packages: archive.packages });
+        }
+      }
+    }
+
+    throwIfAborted(signal);
+    if (manifest) {
+      const created = await createManifest({
+        bundler: bundler.constructor.name,
+        layout: 'archive',
+        packages: grouped.packages,
+        archives: grouped.archives.map((archive) => {
+          return { path: archive.filename, packages: archive.packages };
+        }),
+      }, temp);
+      await planWrite(plan, path.join(dest, manifestFile), {
+        path: manifestFile,
+        type: 'file',
+        contents: Buffer.from(formatManifest(created)),
+      });
+    }
+  }
+  finally {
+    await fs.promises.rm(temp, { recursive: true, force: true });
+  }
+
+  return finishPlan(plan);
+};
+
+/**
+ * Compares strings `a` and `b` by code unit, independent of locale.
+ *
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ *
+ * @returns {number} Negative, zero or positive sort result.
+ */
+const compareStrings = (a, b) => {
+  if (a < b) {
+    return -1;
+  }
+  return (a > b) ? 1 : 0;
+};
+
+/**
+ * Returns entries or manifest file objects `items` sorted by path.
+ *
+ * @param {Object[]} items - Objects with a `path`.
+ *
+ * @returns {Object[]} Sorted copy of `items`.
+ */
+const sortByPath = (items) => {
+  return [...items].sort((a, b) => compareStrings(a.path, b.path));
+};
+
+/**
+ * Returns packages `packages` sorted by name.
+ *
+ * @param {Object[]} packages - Packages being bundled.
+ *
+ * @returns {Object[]} Sorted copy of `packages`.
+ */
+const sortPackages = (packages) => {
+  return [...packages].sort((a, b) => compareStrings(a.name, b.name));
+};
+
+module.exports = {
+  PRESERVE_MTIME,
+  ARCHIVE_GROUPINGS,
+  bundleOptionSchema,
+  createArchiveOptionSchema,
+  getBundleRules,
+  getArchiveRules,
+  getBundleDestinationRules,
+  assertDestination,
+  isSafePackageName,
+  checkPackageNames,
+  forEachEntry,
+  readEntries,
+  groupArchives,
+  createSummary,
+  writeArchives,
+  writeArchiveManifest,
+  planArchives,
+  sortByPath,
+  sortPackages,
+};
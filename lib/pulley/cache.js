@@ -0,0 +1,462 @@
+/**
+ * @file Content-addressed cache of fetched source files.
+ *
+ * Cache entries are keyed on a hash of a source's class name and normalized
+ * options. Authentication options are never part of a key, and are never
+ * written to disk, and sensitive values within metadata and provenance are
+ * masked before they are stored. Each entry is stored as a JSON file describing the fetched
+ * files, the contents of which are stored separately under their SHA-256
+ * digest so that identical files are only stored once:
+ *
+ *     <dir>/entries/<key>.json
+ *     <dir>/objects/<first two digest characters>/<digest>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Vinyl = require('vinyl');
+
+const { CacheError } = require('./errors.js');
+const { stableStringify, writeAtomic } = require('./files.js');
+const { normalizeOptions } = require('./options.js');
+const { redactObject } = require('./redaction.js');
+const { collect, createStat, fromFiles, readContents } = require('./streams.js');
+
+/**
+ * Cache of files fetched by sources.
+ *
+ * Entries older than `ttl` are refetched, unless the cache is `offline`, in
+ * which case every entry is served regardless of age and sources are never
+ * fetched. Once the stored contents exceed `maxSize` bytes, the least
+ * recently used entries are evicted.
+ *
+ * Sources whose class declares `cacheable` as false are always fetched.
+ */
+class FetchCache {
+
+  /**
+   * Constructor.
+   *
+   * @param {Object=} options - Cache options object.
+   */
+  constructor(options) {
+    this.options = normalizeOptions(FetchCache.optionSchema, options);
+  }
+
+  /**
+   * Schema describing this cache's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      dir: {
+        type: 'path',
+        default: () => path.join(os.tmpdir(), 'pulley-fetch-cache'),
+        description: 'Directory in which fetched files are cached',
+      },
+      ttl: {
+        type: 'duration',
+        description: 'Age after which entries are refetched; entries never expire if unset',
+      },
+      maxSize: {
+        type: 'integer',
+        description: 'Maximum size in bytes of cached contents; unbounded if unset',
+      },
+      offline: {
+        type: 'boolean',
+        default: false,
+        description: 'Whether to serve only from cache, without fetching',
+      },
+    };
+  }
+
+  /**
+   * Returns the cache key for `source`.
+   *
+   * @param {Object} source - Source instance.
+   *
+   * @returns {string} Hex-encoded cache key.
+   */
+  getKey(source) {
+    const identity = stableStringify({
+      type: source.constructor.name,
+      options: source.options,
+    });
+    return crypto.createHash('sha256').update(identity).digest('hex');
+  }
+
+  /**
+   * Fetches `source`'s files from the cache, or using `fetchSource`.
+   *
+   * @param {Object} source - Source instance.
+   * @param {function=} fetchSource - Function which fetches from `source` and
+   * resolves to a stream of Vinyl files. Defaults to calling `source.fetch()`.
+   *
+   * @returns {Promise} Promise that resolves to an object containing the
+   * `stream` of files, the source's `metadata` and `provenance`, and `hit`,
+   * which is true if the files were served from the cache.
+   */
+  async fetch(source, fetchSource = () => source.fetch()) {
+    if (source.constructor.cacheable === false) {
+      const stream = await fetchSource();
+      return {
+        stream,
+        metadata: source.getMetadata(),
+        provenance: source.getProvenance(),
+        hit: false,
+      };
+    }
+
+    const key = this.getKey(source);
+    const entry = await this.readEntry(key);
+    const { offline, ttl } = this.options;
+
+    if (entry && (offline || ttl === undefined || (Date.now() - entry.createdAt) <= ttl)) {
+      const files = await this.loadFiles(entry);
+      if (files) {
+        entry.accessedAt = Date.now();
+        await writeAtomic(this.entryPath(key), JSON.stringify(entry));
+        return {
+          stream: fromFiles(files),
+          metadata: entry.metadata,
+          provenance: entry.provenance,
+          hit: true,
+        };
+      }
+      // Contents have been removed from beneath the entry.
+      await this.invalidate(key);
+    }
+
+    if (offline) {
+      throw new CacheError(`No cached files for ${source.constructor.name} '${key.slice(0, 12)}' and cache is offline`, key);
+    }
+
+    const files = await collect(await fetchSource());
+    const metadata = source.getMetadata();
+    const provenance = source.getProvenance();
+    await this.store(key, source, files, metadata, provenance);
+
+    return {
+      stream: fromFiles(files),
+      metadata,
+      provenance,
+      hit: false,
+    };
+  }
+
+  /**
+   * Removes the entry for `source` from the cache.
+   *
+   * Contents no longer referenced by any entry are removed too.
+   *
+   * @param {Object|string} source - Source instance, or cache key.
+   *
+   * @returns {Promise} Promise that resolves to true if an entry was removed.
+   */
+  async invalidate(source) {
+    const key = (typeof source === 'string') ? source : this.getKey(source);
+    const entryPath = this.entryPath(key);
+    let removed = true;
+    try {
+      await fs.promises.unlink(entryPath);
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      removed = false;
+    }
+    if (removed) {
+      await this.removeUnreferenced();
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every entry and all contents from the cache.
+   *
+   * @returns {Promise} Promise that resolves once the cache is empty.
+   */
+  async clear() {
+    await fs.promises.rm(path.join(this.options.dir, 'entries'), { recursive: true, force: true });
+    await fs.promises.rm(path.join(this.options.dir, 'objects'), { recursive: true, force: true });
+  }
+
+  /**
+   * Removes expired entries, then evicts entries until within `maxSize`.
+   *
+   * @returns {Promise} Promise that resolves to an array of removed keys.
+   */
+  async prune() {
+    return this.evict(true);
+  }
+
+  /**
+   * Stores fetched `files` as the entry for `key`.
+   *
+   * @param {string} key - Cache key.
+   * @param {Object} source - Source instance files were fetched from.
+   * @param {Object[]} files - Fetched Vinyl files.
+   * @param {Object} metadata - Source metadata.
+   * @param {Object} provenance - Source provenance.
+   *
+   * @returns {Promise} Promise that resolves once entry is stored.
+   */
+  async store(key, source, files, metadata, provenance) {
+    const described = [];
+
+    for (const file of files) {
+      const description = {
+        cwd: file.cwd,
+        base: file.base,
+        path: file.path,
+        mode: (file.stat && file.stat.mode) ? (file.stat.mode & 0o7777) : 0o644,
+        mtime: (file.stat && file.stat.mtime) ? new Date(file.stat.mtime).toISOString() : null,
+      };
+
+      if (file.isSymbolic()) {
+        described.push({ ...description, type: 'symlink', symlink: file.symlink });
+        continue;
+      }
+      if (file.isNull() || file.isDirectory()) {
+        continue;
+      }
+
+      const contents = await readContents(file);
+      const digest = crypto.createHash('sha256').update(contents).digest('hex');
+      const objectPath = this.objectPath(digest);
+      try {
+        await fs.promises.access(objectPath);
+      }
+      catch (err) {
+        await writeAtomic(objectPath, contents);
+      }
+
+      // Stream contents have been consumed, so are replaced with the buffer.
+      file.contents = contents;
+      described.push({ ...description, type: 'file', size: contents.length, sha256: digest });
+    }
+
+    const now = Date.now();
+    await writeAtomic(this.entryPath(key), JSON.stringify({
+      key,
+      type: source.constructor.name,
+      createdAt: now,
+      accessedAt: now,
+      metadata: redactObject(metadata),
+      provenance: redactObject(provenance),
+      files: described,
+    }));
+
+    await this.evict(false);
+  }
+
+  /**
+   * Recreates the Vinyl files described by cache entry `entry`.
+   *
+   * @param {Object} entry - Cache entry object.
+   *
+   * @returns {Promise} Promise that resolves to an array of Vinyl files, or
+   * null if any contents are missing.
+   */
+  async loadFiles(entry) {
+    const files = [];
+
+    for (const description of entry.files) {
+      const mtime = description.mtime ? new Date(description.mtime) : undefined;
+      let contents = null;
+      if (description.type === 'file') {
+        try {
+          contents = await fs.promises.readFile(this.objectPath(description.sha256));
+        }
+        catch (err) {
+          return null;
+        }
+      }
+
+      const file = new Vinyl({
+        cwd: description.cwd,
+        base: description.base,
+        path: description.path,
+        contents,
+        stat: createStat(description.type, description.mode, mtime, contents ? contents.length : 0),
+      });
+      if (description.type === 'symlink') {
+        file.symlink = description.symlink;
+      }
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  /**
+   * Reads the entry for `key`.
+   *
+   * @param {string} key - Cache key.
+   *
+   * @returns {Promise} Promise that resolves to the entry object, or null if
+   * there is no readable entry.
+   */
+  async readEntry(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.entryPath(key), 'utf8'));
+    }
+    catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Reads every entry in the cache.
+   *
+   * @returns {Promise} Promise that resolves to an array of entry objects.
+   */
+  async readEntries() {
+    let names;
+    try {
+      names = await fs.promises.readdir(path.join(this.options.dir, 'entries'));
+    }
+    catch (err) {
+      return [];
+    }
+
+    const entries = [];
+    for (const name of names.filter((name) => name.endsWith('.json'))) {
+      const entry = await this.readEntry(path.basename(name, '.json'));
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Evicts least recently used entries until within `maxSize`.
+   *
+   * @param {boolean} expired - Whether to first remove all expired entries.
+   *
+   * @returns {Promise} Promise that resolves to an array of removed keys.
+   */
+  async evict(expired) {
+    const { ttl, maxSize } = this.options;
+    let entries = await this.readEntries();
+    const removed = [];
+
+    if (expired && ttl !== undefined) {
+      const now = Date.now();
+      entries = entries.filter((entry) => {
+        if ((now - entry.createdAt) > ttl) {
+          removed.push(entry.key);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    if (maxSize !== undefined) {
+      entries.sort((a, b) => a.accessedAt - b.accessedAt);
+      while (entries.length > 0 && getSize(entries) > maxSize) {
+        removed.push(entries.shift().key);
+      }
+    }
+
+    for (const key of removed) {
+      await fs.promises.rm(this.entryPath(key), { force: true });
+    }
+    if (removed.length > 0) {
+      await this.removeUnreferenced(entries);
+    }
+    return removed;
+  }
+
+  /**
+   * Removes contents which are not referenced by any entry.
+   *
+   * @param {Object[]=} entries - Remaining entries, if already read.
+   *
+   * @returns {Promise} Promise that resolves once contents are removed.
+   */
+  async removeUnreferenced(entries) {
+    const referenced = new Set();
+    (entries || await this.readEntries()).forEach((entry) => {
+      entry.files.forEach((file) => {
+        if (file.sha256) {
+          referenced.add(file.sha256);
+        }
+      });
+    });
+
+    const objectsDir = path.join(this.options.dir, 'objects');
+    let prefixes;
+    try {
+      prefixes = await fs.promises.readdir(objectsDir);
+    }
+    catch (err) {
+      return;
+    }
+
+    for (const prefix of prefixes) {
+      const prefixDir = path.join(objectsDir, prefix);
+      const digests = await fs.promises.readdir(prefixDir);
+      const unreferenced = digests.filter((digest) => !referenced.has(digest));
+      for (const digest of unreferenced) {
+        await fs.promises.rm(path.join(prefixDir, digest), { force: true });
+      }
+      if (unreferenced.length === digests.length) {
+        await fs.promises.rm(prefixDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Returns the path of the entry file for `key`.
+   *
+   * @param {string} key - Cache key.
+   *
+   * @returns {string} Path to entry file.
+   */
+  entryPath(key) {
+    return path.join(this.options.dir, 'entries', `${key}.json`);
+  }
+
+  /**
+   * Returns the path of the object file for contents with digest `digest`.
+   *
+   * @param {string} digest - Hex-encoded SHA-256 digest.
+   *
+   * @returns {string} Path to object file.
+   */
+  objectPath(digest) {
+    return path.join(this.options.dir, 'objects', digest.slice(0, 2), digest);
+  }
+
+}
+
+/**
+ * Returns the total size of the unique contents referenced by `entries`.
+ *
+ * @param {Object[]} entries - Cache entry objects.
+ *
+ * @returns {number} Size in bytes.
+ */
+const getSize = (entries) => {
+  const sizes = new Map();
+  entries.forEach((entry) => {
+    entry.files.forEach((file) => {
+      if (file.sha256) {
+        sizes.set(file.sha256, file.size);
+      }
+    });
+  });
+  let total = 0;
+  sizes.forEach((size) => {
+    total += size;
+  });
+  return total;
+};
+
+module.exports = FetchCache;
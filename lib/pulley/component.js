@@ -0,0 +1,177 @@
+/**
+ * @file Event-emitting base class for sources, actions and bundlers.
+ *
+ * Components emit the standard events in `EVENTS` to report on long-running
+ * operations. Every event is emitted under its own name and again as `event`,
+ * so that a single listener can follow all of a component's events; see
+ * `logger.js`. Listeners receive an event object:
+ *
+ *     {
+ *       event: 'progress',
+ *       component: 'HttpSource',
+ *       time: '2024-01-01T00:00:00.000Z',
+ *       files: 1,
+ *       totalFiles: 3,
+ *     }
+ *
+ * - `start` and `done` bracket an operation, such as `fetch`, and give its
+ *   `operation` name. `done` also gives its `duration` in milliseconds.
+ * - `progress` gives any of `bytes` and `files` done so far, along with
+ *   `totalBytes` and `totalFiles` when they are known.
+ * - `warning` gives a `message` describing a problem which was recovered from.
+ * - `file-written` gives the `path` of a file written to disk.
+ * - `error` gives the `message` and `error` with which an operation failed.
+ *   Unlike Node's usual `error` events, these are only emitted when there is
+ *   a listener for them, since the error is also thrown to the caller.
+ *
+ * Messages are redacted before they are emitted; see `redaction.js`.
+ */
+
+const EventEmitter = require('events');
+
+const { redact } = require('./redaction.js');
+
+/**
+ * Names of standard component events.
+ */
+const EVENTS = ['start', 'progress', 'warning', 'file-written', 'done', 'error'];
+
+/**
+ * Base class for Pulley components which report on their operations.
+ */
+class Component extends EventEmitter {
+
+  /**
+   * Emits event `name` with `details`, under its own name and as `event`.
+   *
+   * @param {string} name - Event name; one of `EVENTS`.
+   * @param {Object=} details - Event-specific properties.
+   *
+   * @returns {Object} Event object emitted.
+   */
+  emitEvent(name, details = {}) {
+    const event = {
+      event: name,
+      component: this.constructor.name,
+      time: new Date().toISOString(),
+      ...details,
+    };
+    if (typeof event.message === 'string') {
+      event.message = redact(event.message);
+    }
+    if (name !== 'error' || this.listenerCount('error') > 0) {
+      this.emit(name, event);
+    }
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Emits a `start` event for operation `operation`.
+   *
+   * @param {string} operation - Name of operation, e.g. `fetch`.
+   * @param {Object=} details - Additional event properties.
+   *
+   * @returns {Object} Event object emitted.
+   */
+  emitStart(operation, details = {}) {
+    return this.emitEvent('start', { operation, ...details });
+  }
+
+  /**
+   * Emits a `progress` event.
+   *
+   * @param {Object} progress - Progress of current operation.
+   * @param {number=} progress.bytes - Bytes done so far.
+   * @param {number=} progress.totalBytes - Total bytes, if known.
+   * @param {number=} progress.files - Files done so far.
+   * @param {number=} progress.totalFiles - Total files, if known.
+   *
+   * @returns {Object} Event object emitted.
+   */
+  emitProgress(progress) {
+    return this.emitEvent('progress', progress);
+  }
+
+  /**
+   * Emits a `warning` event.
+   *
+   * @param {string} message - Human readable description of problem.
+   * @param {Object=} details - Additional event properties.
+   *
+   * @returns {Object} Event object emitted.
+   */
+  emitWarning(message, details = {}) {
+    return this.emitEvent('warning', { message, ...details });
+  }
+
+  /**
+   * Emits a `file-written` event.
+   *
+   * @param {string} path - Absolute path of file written.
+   * @param {Object=} details - Additional event properties.
+   *
+   * @returns {Object} Event object emitted.
+   */
+  emitFileWritten(path, details = {}) {
+    return this.emitEvent('file-written', { path, ...details });
+  }
+
+  /**
+   * Emits a `done` event for operation `operation`.
+   *
+   * @param {string} operation - Name of operation, e.g. `fetch`.
+   * @param {Object=} details - Additional event properties.
+   *
+   * @returns {Object} Event object emitted.
+   */
+  emitDone(operation, details = {}) {
+    return this.emitEvent('done', { operation, ...details });
+  }
+
+  /**
+   * Emits an `error` event for error `err`.
+   *
+   * @param {Error} err - Error which occurred.
+   * @param {Object=} details - Additional event properties.
+   *
+   * @returns {Object} Event object emitted.
+   */
+  emitError(err, details = {}) {
+    const message = (err && err.message) || String(err);
+    return this.emitEvent('error', { ...details, message, error: err });
+  }
+
+  /**
+   * Runs operation `operation`, emitting `start` before it, and `done` or
+   * `error` once it settles.
+   *
+   * Operations which resolve to streams are done once the stream is returned,
+   * which may be before every file has passed through it.
+   *
+   * @param {string} operation - Name of operation, e.g. `fetch`.
+   * @param {function} fn - Function which performs the operation and returns
+   * (or resolves to) its result.
+   * @param {Object=} details - Additional properties for each event.
+   *
+   * @returns {Promise} Promise that resolves to the result of `fn`.
+   */
+  async track(operation, fn, details = {}) {
+    const started = Date.now();
+    this.emitStart(operation, details);
+    try {
+      const result = await fn();
+      this.emitDone(operation, { ...details, duration: Date.now() - started });
+      return result;
+    }
+    catch (err) {
+      this.emitError(err, { ...details, operation, duration: Date.now() - started });
+      throw err;
+    }
+  }
+
+}
+
+Component.EVENTS = EVENTS;
+
+module.exports = Component;
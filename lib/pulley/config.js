@@ -0,0 +1,867 @@
+/**
+ * @file Pulleyfile configuration loader.
+ *
+ * Loads JSON and YAML pulleyfiles, and supports the following on top of
+ * plain JSON/YAML:
+ *
+ * - `${VAR}`, `${VAR:-default}` and `${env:VAR:-default}` interpolation of
+ *   environment variables in string values. `$${` produces a literal `${`.
+ * - A top-level `extends` key naming one or more base files, which this file
+ *   is deep-merged over.
+ * - An `include` key in any object, naming one or more files whose contents
+ *   replace the object (with the object's other keys merged over them).
+ * - A top-level `environments` object whose entries are overlays deep-merged
+ *   over the rest of the file when that environment is selected. Overlays
+ *   are only interpolated once selected, so variables used by other
+ *   environments need not be set.
+ *
+ * Included and extended files are resolved relative to the including file.
+ * When merging, objects are merged recursively while arrays and other values
+ * are replaced.
+ *
+ * Problems are reported with `ConfigError`, which carries the file, line and
+ * key path (as a JSON pointer) at which each problem was found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { validateRule, validateRules } = require('./rules/rule.js');
+const { jsonSchema } = require('./rules/schema.js');
+const { ConfigError } = require('./errors.js');
+const { findCycles, getDependencyRules } = require('./scheduler.js');
+const { TIMED_STAGES } = require('./pipeline.js');
+
+/**
+ * JSON Schema which loaded pulleyfiles must conform to.
+ *
+ * Besides packages and the bundler, pulleyfiles may set the options of the
+ * pipeline which runs them; see `Pipeline`.
+ */
+const configSchema = {
+  type: 'object',
+  required: ['packages'],
+  additionalProperties: false,
+  definitions: {
+    duration: {
+      type: ['number', 'string'],
+      exclusiveMinimum: 0,
+      pattern: '^\\s*(\\d+(\\.\\d+)?|(\\d+(\\.\\d+)?(ms|s|m|h|d)\\s*)+)\\s*$',
+    },
+    plugin: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: { type: 'string', minLength: 1 },
+        options: { type: 'object' },
+        authentication: { type: 'object' },
+      },
+    },
+    package: {
+      type: 'object',
+      required: ['name', 'source'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        metadata: { type: 'object' },
+        source: { $ref: '#/definitions/plugin' },
+        actions: {
+          type: 'array',
+          items: { $ref: '#/definitions/plugin' },
+        },
+        dependsOn: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+  properties: {
+    dest: { type: 'string', minLength: 1 },
+    concurrency: { type: 'integer', minimum: 1 },
+    partial: { type: 'boolean' },
+    plan: { type: 'boolean' },
+    timeout: { $ref: '#/definitions/duration' },
+    timeouts: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(TIMED_STAGES.map((stage) => [stage, { $ref: '#/definitions/duration' }])),
+    },
+    bundler: { $ref: '#/definitions/plugin' },
+    packages: {
+      type: 'array',
+      items: { $ref: '#/definitions/package' },
+    },
+  },
+};
+
+/**
+ * Escapes a single JSON pointer reference token.
+ *
+ * @param {string} token - Unescaped reference token.
+ *
+ * @returns {string} Escaped reference token.
+ */
+const escapeToken = (token) => {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+/**
+ * Determines whether `value` is a plain (non-array, non-null) object.
+ *
+ * @param {*} value - Value to check.
+ *
+ * @returns {boolean} True if value is a plain object.
+ */
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return (prototype === Object.prototype || prototype === null);
+};
+
+/**
+ * String within an environment overlay, whose interpolation is deferred
+ * until the overlay is applied.
+ */
+class DeferredString {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} value - Uninterpolated string.
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+}
+
+/**
+ * Determines whether strings at JSON pointer `pointer` are interpolated only
+ * once their environment overlay is applied.
+ *
+ * The names of included and extended files are always interpolated when
+ * loaded, since they are needed to load the overlay.
+ *
+ * @param {string} pointer - JSON pointer of value within the configuration.
+ * @param {string} local - JSON pointer of value within its own file.
+ *
+ * @returns {boolean} True if interpolation is deferred.
+ */
+const isDeferred = (pointer, local) => {
+  if (!pointer.startsWith('/environments/')) {
+    return false;
+  }
+  const tokens = local.split('/');
+  return !(tokens.includes('include') || tokens[1] === 'extends');
+};
+
+/**
+ * Records the line of every key and array item in JSON text `text`.
+ *
+ * Expects `text` to be valid JSON.
+ *
+ * @param {string} text - JSON text.
+ *
+ * @returns {Object} Object mapping JSON pointers to 1-based line numbers.
+ */
+const locateJson = (text) => {
+  const lines = {};
+  let i = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === '\n') {
+        line++;
+      }
+      i++;
+    }
+  };
+
+  const readString = () => {
+    const start = i++;
+    while (text[i] !== '"') {
+      i += (text[i] === '\\') ? 2 : 1;
+    }
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+
+  const readValue = (pointer) => {
+    skipWhitespace();
+    if (!lines.hasOwnProperty(pointer)) {
+      lines[pointer] = line;
+    }
+
+    if (text[i] === '{' || text[i] === '[') {
+      const isObject = (text[i] === '{');
+      const close = isObject ? '}' : ']';
+      let index = 0;
+      i++;
+      skipWhitespace();
+      while (text[i] !== close) {
+        let childPointer;
+        if (isObject) {
+          const keyLine = line;
+          childPointer = `${pointer}/${escapeToken(readString())}`;
+          lines[childPointer] = keyLine;
+          skipWhitespace();
+          i++; // Colon.
+        }
+        else {
+          childPointer = `${pointer}/${index++}`;
+        }
+        readValue(childPointer);
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          skipWhitespace();
+        }
+      }
+      i++;
+      return;
+    }
+
+    if (text[i] === '"') {
+      readString();
+      return;
+    }
+
+    while (i < text.length && !/[\s,\]}]/.test(text[i])) {
+      i++;
+    }
+  };
+
+  readValue('');
+  return lines;
+};
+
+/**
+ * Records the line of every key and array item of `data` in YAML text `text`.
+ *
+ * Locations are determined from indentation and key names rather than by a
+ * full YAML parse, so values written using flow style (`{a: 1}`) are
+ * attributed to the line of their parent key.
+ *
+ * @param {string} text - YAML text.
+ * @param {*} data - Data parsed from `text`.
+ *
+ * @returns {Object} Object mapping JSON pointers to 1-based line numbers.
+ */
+const locateYaml = (text, data) => {
+  const sourceLines = text.split(/\r?\n/);
+  const lines = { '': 1 };
+
+  const isMeaningful = (i) => {
+    const trimmed = sourceLines[i].trim();
+    return (trimmed !== '' && !trimmed.startsWith('#') && trimmed !== '---');
+  };
+  const indentOf = (i) => /^\s*/.exec(sourceLines[i])[0].length;
+  const keyIndentOf = (i) => /^\s*(?:-\s+)*/.exec(sourceLines[i])[0].length;
+  const isDash = (i) => /^\s*-(\s|$)/.test(sourceLines[i]);
+
+  const findFirst = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (isMeaningful(i)) {
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  // Finds the end of the block belonging to the key or item on line `i`.
+  const findEnd = (i, to, indent) => {
+    for (let j = i + 1; j < to; j++) {
+      if (!isMeaningful(j)) {
+        continue;
+      }
+      if (indentOf(j) < indent || (indentOf(j) === indent && !isDash(j))) {
+        return j;
+      }
+    }
+    return to;
+  };
+
+  const walk = (value, pointer, from, to) => {
+    const first = findFirst(from, to);
+    if (first === -1) {
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      const itemIndent = indentOf(first);
+      const items = [];
+      for (let i = first; i < to; i++) {
+        if (isMeaningful(i) && isDash(i) && indentOf(i) === itemIndent) {
+          items.push(i);
+        }
+      }
+      value.forEach((item, index) => {
+        if (index >= items.length) {
+          return;
+        }
+        const itemPointer = `${pointer}/${index}`;
+        const itemEnd = (index + 1 < items.length) ? items[index + 1] : to;
+        lines[itemPointer] = items[index] + 1;
+        walk(item, itemPointer, items[index], itemEnd);
+      });
+      return;
+    }
+
+    if (isPlainObject(value)) {
+      const contentIndent = keyIndentOf(first);
+      Object.keys(value).forEach((key) => {
+        const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^(["']?)${escaped}\\1\\s*:(\\s|$)`);
+        for (let i = first; i < to; i++) {
+          if (!isMeaningful(i) || keyIndentOf(i) !== contentIndent) {
+            continue;
+          }
+          if (pattern.test(sourceLines[i].slice(contentIndent))) {
+            const childPointer = `${pointer}/${escapeToken(key)}`;
+            lines[childPointer] = i + 1;
+            walk(value[key], childPointer, i + 1, findEnd(i, to, contentIndent));
+            return;
+          }
+        }
+      });
+    }
+  };
+
+  walk(data, '', 0, sourceLines.length);
+  return lines;
+};
+
+/**
+ * Parses configuration text `text` read from file `file`.
+ *
+ * Files with a `.json` extension are parsed as JSON; all others as YAML.
+ *
+ * @param {string} text - Configuration text.
+ * @param {string} file - Path of file from which text was read.
+ *
+ * @returns {Object} Object with `data` and `origins` properties, where
+ * `origins` maps JSON pointers to `{ file, line }` objects.
+ */
+const parseConfig = (text, file) => {
+  let data;
+  let lines;
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    try {
+      data = JSON.parse(text);
+    }
+    catch (err) {
+      const match = /position (\d+)/.exec(err.message);
+      const line = match
+        ? text.slice(0, Number(match[1])).split('\n').length
+        : undefined;
+      throw new ConfigError(`Invalid JSON: ${err.message}`, { file, line });
+    }
+    lines = locateJson(text);
+  }
+  else {
+    try {
+      data = yaml.load(text, { filename: file });
+    }
+    catch (err) {
+      const line = err.mark ? (err.mark.line + 1) : undefined;
+      throw new ConfigError(`Invalid YAML: ${err.reason || err.message}`, { file, line });
+    }
+    lines = locateYaml(text, data);
+  }
+
+  const origins = new Map();
+  Object.keys(lines).forEach((pointer) => {
+    origins.set(pointer, { file, line: lines[pointer] });
+  });
+
+  return { data, origins };
+};
+
+/**
+ * Finds the origin of `pointer`, or of its closest located ancestor.
+ *
+ * @param {Map} origins - Map of JSON pointers to origins.
+ * @param {string} pointer - JSON pointer.
+ *
+ * @returns {Object} Origin object with `file` and `line` properties.
+ */
+const findOrigin = (origins, pointer) => {
+  let current = pointer;
+  while (!origins.has(current) && current !== '') {
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+  return origins.get(current) || {};
+};
+
+/**
+ * Interpolates environment variables into every string value in `value`.
+ *
+ * @param {*} value - Value to interpolate.
+ * @param {string} pointer - JSON pointer of `value`.
+ * @param {Object} env - Environment variables.
+ * @param {Map} origins - Map of JSON pointers to origins, used for errors.
+ * @param {function=} defer - Callback which receives the JSON pointer of each
+ * string and returns true if it should be wrapped in a `DeferredString`
+ * rather than interpolated.
+ *
+ * @returns {*} Interpolated value.
+ */
+const interpolate = (value, pointer, env, origins, defer = () => false) => {
+  if (typeof value === 'string') {
+    if (defer(pointer)) {
+      return new DeferredString(value);
+    }
+    return value.replace(/\$\$\{|\$\{([^}]*)\}/g, (match, expression) => {
+      if (match === '$${') {
+        return '${';
+      }
+
+      const parsed = /^(?:env:)?([A-Za-z_][A-Za-z0-9_]*)(?::-(.*))?$/.exec(expression);
+      if (!parsed) {
+        const origin = findOrigin(origins, pointer);
+        throw new ConfigError(`Invalid interpolation '${match}'`, { ...origin, keyPath: pointer || '/' });
+      }
+
+      // Only the `:-` form treats an empty variable as unset.
+      const [, name, fallback] = parsed;
+      if (fallback !== undefined) {
+        return (env[name] !== undefined && env[name] !== '') ? env[name] : fallback;
+      }
+      if (env[name] !== undefined) {
+        return env[name];
+      }
+
+      const origin = findOrigin(origins, pointer);
+      throw new ConfigError(`Environment variable '${name}' is not set`, { ...origin, keyPath: pointer || '/' });
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => {
+      return interpolate(item, `${pointer}/${index}`, env, origins, defer);
+    });
+  }
+
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = interpolate(value[key], `${pointer}/${escapeToken(key)}`, env, origins, defer);
+    });
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Interpolates every `DeferredString` in `value`, leaving other strings as
+ * they are.
+ *
+ * @param {*} value - Value to interpolate.
+ * @param {string} pointer - JSON pointer of `value`.
+ * @param {Object} env - Environment variables.
+ * @param {Map} origins - Map of JSON pointers to origins, used for errors.
+ *
+ * @returns {*} Interpolated value.
+ */
+const interpolateDeferred = (value, pointer, env, origins) => {
+  if (value instanceof DeferredString) {
+    return interpolate(value.value, pointer, env, origins);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => {
+      return interpolateDeferred(item, `${pointer}/${index}`, env, origins);
+    });
+  }
+
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = interpolateDeferred(value[key], `${pointer}/${escapeToken(key)}`, env, origins);
+    });
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Deep-merges `overlay` over `base`, along with their origins.
+ *
+ * Objects are merged recursively. Arrays and other values in `overlay`
+ * replace those in `base`, as do the origins of everything beneath them.
+ *
+ * @param {Object} base - Object with `data` and `origins` properties.
+ * @param {Object} overlay - Object with `data` and `origins` properties.
+ *
+ * @returns {Object} Merged object with `data` and `origins` properties.
+ */
+const merge = (base, overlay) => {
+  const replaced = [];
+
+  const mergeData = (a, b, pointer) => {
+    if (!isPlainObject(a) || !isPlainObject(b)) {
+      replaced.push(pointer);
+      return b;
+    }
+    const result = { ...a };
+    Object.keys(b).forEach((key) => {
+      const childPointer = `${pointer}/${escapeToken(key)}`;
+      result[key] = a.hasOwnProperty(key) ? mergeData(a[key], b[key], childPointer) : b[key];
+    });
+    return result;
+  };
+
+  const data = mergeData(base.data, overlay.data, '');
+  const origins = new Map();
+
+  base.origins.forEach((origin, pointer) => {
+    const isReplaced = replaced.some((prefix) => {
+      return (pointer === prefix || pointer.startsWith(`${prefix}/`));
+    });
+    if (!isReplaced) {
+      origins.set(pointer, origin);
+    }
+  });
+  overlay.origins.forEach((origin, pointer) => {
+    origins.set(pointer, origin);
+  });
+
+  return { data, origins };
+};
+
+/**
+ * Returns the origins beneath `fromPointer`, relocated beneath `toPointer`.
+ *
+ * @param {Map} origins - Map of JSON pointers to origins.
+ * @param {string} fromPointer - JSON pointer whose descendants are relocated.
+ * @param {string} toPointer - JSON pointer to relocate descendants to.
+ *
+ * @returns {Map} New map of relocated origins.
+ */
+const relocate = (origins, fromPointer, toPointer) => {
+  const relocated = new Map();
+  origins.forEach((origin, pointer) => {
+    if (pointer === fromPointer || pointer.startsWith(`${fromPointer}/`)) {
+      relocated.set(`${toPointer}${pointer.slice(fromPointer.length)}`, origin);
+    }
+  });
+  return relocated;
+};
+
+/**
+ * Normalizes an `include` or `extends` value into an array of file paths.
+ *
+ * @param {*} value - Value of `include` or `extends` key.
+ * @param {string} key - Name of key, used for errors.
+ * @param {Object} location - Location of key, used for errors.
+ *
+ * @returns {string[]} Array of file paths.
+ */
+const toFileList = (value, key, location) => {
+  const files = Array.isArray(value) ? value : [value];
+  if (files.length === 0 || !files.every((file) => typeof file === 'string' && file !== '')) {
+    throw new ConfigError(`'${key}' must be a file path or an array of file paths`, location);
+  }
+  return files;
+};
+
+/**
+ * Loads, interpolates and resolves includes and extends for a single file.
+ *
+ * @param {string} file - Absolute path to configuration file.
+ * @param {Object} context - Loading context.
+ * @param {Object} context.env - Environment variables.
+ * @param {string[]} context.files - Array of every file loaded so far.
+ * @param {string[]} stack - Files currently being loaded, used to detect cycles.
+ * @param {string=} pointer - JSON pointer at which the file's contents are
+ * placed within the configuration. Defaults to the root.
+ *
+ * @returns {Promise} Promise that resolves to object with `data` and
+ * `origins` properties.
+ */
+const loadFile = async (file, context, stack, pointer = '') => {
+  if (stack.includes(file)) {
+    const cycle = [...stack.slice(stack.indexOf(file)), file].join(' -> ');
+    throw new ConfigError(`Circular include: ${cycle}`, { file: stack[stack.length - 1] });
+  }
+  const nextStack = [...stack, file];
+
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  }
+  catch (err) {
+    throw new ConfigError(`Unable to read configuration file: ${err.message}`, { file });
+  }
+  if (!context.files.includes(file)) {
+    context.files.push(file);
+  }
+
+  const parsed = parseConfig(text, file);
+  let loaded = {
+    data: interpolate(parsed.data, '', context.env, parsed.origins, (local) => isDeferred(`${pointer}${local}`, local)),
+    origins: parsed.origins,
+  };
+
+  loaded = await resolveIncludes(loaded, '', file, context, nextStack, pointer);
+
+  if (isPlainObject(loaded.data) && loaded.data.hasOwnProperty('extends')) {
+    const location = { ...findOrigin(loaded.origins, '/extends'), keyPath: '/extends' };
+    const baseFiles = toFileList(loaded.data.extends, 'extends', location);
+
+    const own = { data: { ...loaded.data }, origins: new Map(loaded.origins) };
+    delete own.data.extends;
+    own.origins.delete('/extends');
+
+    let merged = { data: {}, origins: new Map() };
+    for (const baseFile of baseFiles) {
+      const base = await loadFile(path.resolve(path.dirname(file), baseFile), context, nextStack, pointer);
+      merged = merge(merged, base);
+    }
+    loaded = merge(merged, own);
+  }
+
+  return loaded;
+};
+
+/**
+ * Resolves `include` keys in `loaded.data` and its descendants.
+ *
+ * @param {Object} loaded - Object with `data` and `origins` properties.
+ * @param {string} pointer - JSON pointer of `loaded.data` within its file.
+ * @param {string} file - Absolute path of file containing `loaded.data`.
+ * @param {Object} context - Loading context.
+ * @param {string[]} stack - Files currently being loaded.
+ * @param {string=} base - JSON pointer at which the file's contents are
+ * placed within the configuration. Defaults to the root.
+ *
+ * @returns {Promise} Promise that resolves to object with `data` and
+ * `origins` properties.
+ */
+const resolveIncludes = async (loaded, pointer, file, context, stack, base = '') => {
+  let { data, origins } = loaded;
+
+  const resolveChild = async (childPointer, childData) => {
+    const child = await resolveIncludes({ data: childData, origins }, childPointer, file, context, stack, base);
+    origins = child.origins;
+    return child.data;
+  };
+
+  if (Array.isArray(data)) {
+    const items = [];
+    for (let index = 0; index < data.length; index++) {
+      items.push(await resolveChild(`${pointer}/${index}`, data[index]));
+    }
+    return { data: items, origins };
+  }
+
+  if (!isPlainObject(data)) {
+    return { data, origins };
+  }
+
+  const resolved = {};
+  for (const key of Object.keys(data)) {
+    resolved[key] = (key === 'include')
+      ? data[key]
+      : await resolveChild(`${pointer}/${escapeToken(key)}`, data[key]);
+  }
+
+  if (!resolved.hasOwnProperty('include')) {
+    return { data: resolved, origins };
+  }
+
+  const includePointer = `${pointer}/include`;
+  const location = { ...findOrigin(origins, includePointer), keyPath: includePointer };
+  const includeFiles = toFileList(resolved.include, 'include', location);
+  delete resolved.include;
+
+  // Separate this object's own origins from those of the rest of the file.
+  const own = new Map();
+  const rest = new Map();
+  origins.forEach((origin, originPointer) => {
+    const isOwn = (originPointer.startsWith(`${pointer}/`) && !originPointer.startsWith(`${includePointer}`));
+    (isOwn ? own : rest).set(originPointer, origin);
+  });
+
+  let merged = null;
+  for (const includeFile of includeFiles) {
+    const included = await loadFile(path.resolve(path.dirname(file), includeFile), context, stack, `${base}${pointer}`);
+    const relocated = { data: included.data, origins: relocate(included.origins, '', pointer) };
+    merged = merged ? merge(merged, relocated) : relocated;
+  }
+
+  if (Object.keys(resolved).length > 0) {
+    merged = merge(merged, { data: resolved, origins: own });
+  }
+
+  merged.origins.forEach((origin, originPointer) => {
+    rest.set(originPointer, origin);
+  });
+  if (!rest.has(pointer)) {
+    rest.set(pointer, findOrigin(origins, pointer));
+  }
+
+  return { data: merged.data, origins: rest };
+};
+
+/**
+ * Applies environment overlay `environment` to `loaded.data`.
+ *
+ * The top-level `environments` key is always removed from the result. Only
+ * the selected overlay is interpolated.
+ *
+ * @param {Object} loaded - Object with `data` and `origins` properties.
+ * @param {string=} environment - Name of environment to apply, if any.
+ * @param {Object} env - Environment variables.
+ *
+ * @returns {Object} Object with `data` and `origins` properties.
+ */
+const applyEnvironment = (loaded, environment, env) => {
+  if (!isPlainObject(loaded.data) || !loaded.data.hasOwnProperty('environments')) {
+    return loaded;
+  }
+
+  const { environments } = loaded.data;
+  const location = { ...findOrigin(loaded.origins, '/environments'), keyPath: '/environments' };
+  if (!isPlainObject(environments)) {
+    throw new ConfigError(`'environments' must be an object`, location);
+  }
+
+  const base = { data: { ...loaded.data }, origins: new Map() };
+  delete base.data.environments;
+  loaded.origins.forEach((origin, pointer) => {
+    if (pointer !== '/environments' && !pointer.startsWith('/environments/')) {
+      base.origins.set(pointer, origin);
+    }
+  });
+
+  if (!environment) {
+    return base;
+  }
+
+  if (!environments.hasOwnProperty(environment)) {
+    const known = Object.keys(environments).join(', ') || 'none';
+    throw new ConfigError(`Unknown environment '${environment}'; defined environments: ${known}`, location);
+  }
+
+  const overlayPointer = `/environments/${escapeToken(environment)}`;
+  return merge(base, {
+    data: interpolateDeferred(environments[environment], overlayPointer, env, loaded.origins),
+    origins: relocate(loaded.origins, overlayPointer, ''),
+  });
+};
+
+/**
+ * Validates loaded configuration against `configSchema`, and checks that
+ * each package's `dependsOn` names other packages without forming a cycle.
+ *
+ * @param {Object} loaded - Object with `data` and `origins` properties.
+ * @param {string} file - Path of root configuration file.
+ *
+ * @returns {Promise} Promise that resolves if configuration is valid, and
+ * rejects with a ConfigError otherwise.
+ */
+const validateConfig = async (loaded, file) => {
+  try {
+    await validateRule([jsonSchema, loaded.data, configSchema]);
+    const errors = await findDependencyErrors(loaded.data.packages);
+    if (errors.length > 0) {
+      const err = new Error(errors[0].message);
+      err.errors = errors;
+      throw err;
+    }
+  }
+  catch (err) {
+    const problems = (err.errors || [{ pointer: '', message: err.message }]).map((error) => {
+      return {
+        ...findOrigin(loaded.origins, error.pointer),
+        keyPath: error.pointer || '/',
+        message: error.message,
+      };
+    });
+
+    if (problems.length === 1) {
+      throw new ConfigError(problems[0].message, problems[0], problems);
+    }
+
+    const lines = problems.map((problem) => {
+      return `  ${(new ConfigError(problem.message, problem)).message}`;
+    });
+    throw new ConfigError(`Configuration is invalid:\n${lines.join('\n')}`, { file }, problems);
+  }
+};
+
+/**
+ * Finds unknown dependencies and dependency cycles between `packages`.
+ *
+ * @param {Object[]} packages - Package configuration objects.
+ *
+ * @returns {Promise} Promise that resolves to an array of errors, each with a
+ * `pointer` to the `dependsOn` at fault and a `message`.
+ */
+const findDependencyErrors = async (packages) => {
+  const names = packages.map((pkg) => pkg.name);
+  const cycles = findCycles(packages);
+  const errors = [];
+
+  for (const [index, pkg] of packages.entries()) {
+    const report = await validateRules(getDependencyRules(pkg, names, cycles));
+    report.failures.forEach((failure) => {
+      errors.push({ pointer: `/packages/${index}/dependsOn`, message: failure.message });
+    });
+  }
+  return errors;
+};
+
+/**
+ * Loads the pulleyfile at `file`.
+ *
+ * @param {string} file - Path to pulleyfile.
+ * @param {Object=} options - Optional loader options.
+ * @param {Object=} options.env - Environment variables used for interpolation.
+ * Defaults to `process.env`.
+ * @param {string=} options.environment - Name of environment overlay to apply.
+ * Defaults to the `PULLEY_ENV` environment variable.
+ * @param {boolean=} options.validate - Whether to validate the result against
+ * `configSchema`. Defaults to true.
+ *
+ * @returns {Promise} Promise that resolves to an object with `config` (the
+ * loaded configuration), `files` (every file that was read), and `locate()`
+ * (which returns the file and line of a JSON pointer within `config`).
+ */
+const loadConfig = async (file, options = {}) => {
+  const env = options.env || process.env;
+  const environment = (options.environment !== undefined)
+    ? options.environment
+    : env.PULLEY_ENV;
+  const rootFile = path.resolve(file);
+  const context = { env, files: [] };
+
+  let loaded = await loadFile(rootFile, context, []);
+  loaded = applyEnvironment(loaded, environment, env);
+
+  if (options.validate !== false) {
+    await validateConfig(loaded, rootFile);
+  }
+
+  return {
+    config: loaded.data,
+    files: context.files,
+    locate: (pointer) => findOrigin(loaded.origins, pointer),
+  };
+};
+
+module.exports = {
+  configSchema,
+  parseConfig,
+  loadConfig,
+};
@@ -0,0 +1,93 @@
+/**
+ * @file Base CredentialProvider class.
+ */
+
+const { validateRules } = require('./rules/rule.js');
+const { normalizeOptions, getSensitiveValues, getSchemaRules } = require('./options.js');
+
+/**
+ * Base class for Pulley credential providers.
+ *
+ * Credential providers resolve an `AuthenticatedSource`'s authentication
+ * options when they are needed, so that secrets do not have to be written
+ * into config files.
+ */
+class CredentialProvider {
+
+  /**
+   * Constructor.
+   *
+   * Sets this provider's options property. If this provider declares an
+   * option schema, the options are normalized against it first.
+   *
+   * @param {Object} options - Provider options object.
+   */
+  constructor(options) {
+    this.options = normalizeOptions(this.constructor.optionSchema, options);
+  }
+
+  /**
+   * Schema describing this provider's options.
+   *
+   * @returns {Object|null} Option schema, or null if options are undescribed.
+   */
+  static get optionSchema() {
+    return null;
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * These rules should only check this provider's own options; they must not
+   * read any credentials.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [];
+  }
+
+  /**
+   * Validates this provider's option rules and reports the results.
+   *
+   * @param {Object=} options - Optional validation options.
+   * @param {boolean=} options.failFast - Stop validating after first failure.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to validation report object.
+   */
+  async validate(options) {
+    const rules = [
+      ...getSchemaRules(this.constructor.optionSchema, this.options),
+      ...this.getOptionRules(),
+    ];
+    return validateRules(rules, { ...options, secrets: this.getSensitiveValues() });
+  }
+
+  /**
+   * Returns the values of this provider's sensitive options, which are masked in
+   * rule messages and while pipelines run.
+   *
+   * @returns {string[]} Sensitive values.
+   */
+  getSensitiveValues() {
+    return getSensitiveValues(this.constructor.optionSchema, this.options);
+  }
+
+  /**
+   * Resolves authentication options.
+   *
+   * Errors thrown by this method must not include any credentials.
+   *
+   * @param {Object=} context - Details of the source being authenticated.
+   * @param {string|null} context.host - Host the source connects to, if any.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolve(context) {
+    throw new Error(`'resolve()' method not implemented for CredentialProvider`);
+  }
+
+}
+
+module.exports = CredentialProvider;
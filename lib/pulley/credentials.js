@@ -0,0 +1,212 @@
+/**
+ * @file Helpers shared by credential providers.
+ *
+ * Credentials files, whether plain or encrypted, map host names to the
+ * authentication options used for that host:
+ *
+ *     {
+ *       "github.com": { "token": "..." },
+ *       "*.example.com": { "username": "deploy", "password": "..." },
+ *       "*": { "token": "..." }
+ *     }
+ *
+ * Encrypted files hold such an object encrypted with AES-256-GCM, using a key
+ * derived from a passphrase with scrypt. They can be created with
+ * `encryptSecrets()`.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+/**
+ * Version of the encrypted secrets format written by this module.
+ */
+const ENCRYPTED_VERSION = 1;
+
+/**
+ * Cipher used for encrypted secrets.
+ */
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Default scrypt parameters used to derive keys from passphrases.
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Determines whether `value` is a plain (non-array, non-null) object.
+ *
+ * @param {*} value - Value to check.
+ *
+ * @returns {boolean} True if value is a plain object.
+ */
+const isPlainObject = (value) => {
+  return (value !== null && typeof value === 'object' && !Array.isArray(value));
+};
+
+/**
+ * Selects the entry for host `host` from credentials object `entries`.
+ *
+ * An exact match is preferred, followed by the longest matching wildcard
+ * pattern such as `*.example.com`, and finally the `*` entry.
+ *
+ * @param {Object} entries - Object mapping host names to entries.
+ * @param {string|null} host - Host name.
+ *
+ * @returns {Object} Authentication options object for host.
+ */
+const selectHostEntry = (entries, host) => {
+  if (!isPlainObject(entries)) {
+    throw new Error(`Credentials must be an object mapping host names to credentials`);
+  }
+
+  let key = null;
+  if (host) {
+    const normalized = host.toLowerCase();
+    const hosts = Object.keys(entries);
+    key = hosts.find((pattern) => pattern.toLowerCase() === normalized) || null;
+    if (key === null) {
+      const wildcards = hosts
+        .filter((pattern) => pattern.startsWith('*.') && normalized.endsWith(pattern.slice(1).toLowerCase()))
+        .sort((a, b) => b.length - a.length);
+      key = wildcards[0] || null;
+    }
+  }
+  if (key === null && Object.prototype.hasOwnProperty.call(entries, '*')) {
+    key = '*';
+  }
+
+  if (key === null) {
+    throw new Error(host ? `No credentials found for host '${host}'` : `No host given and no '*' credentials found`);
+  }
+  if (!isPlainObject(entries[key])) {
+    throw new Error(`Credentials for '${key}' must be an object`);
+  }
+  return entries[key];
+};
+
+/**
+ * Parses the text of a `.netrc` file.
+ *
+ * Macro definitions are skipped.
+ *
+ * @param {string} text - File contents.
+ *
+ * @returns {Object[]} Array of entry objects with `machine` (null for the
+ * `default` entry), `login`, `password` and `account` properties.
+ */
+const parseNetrc = (text) => {
+  const entries = [];
+  let entry = null;
+
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const tokens = lines[i].replace(/#.*$/, '').trim().split(/\s+/).filter((token) => token);
+    for (let j = 0; j < tokens.length; j++) {
+      const token = tokens[j];
+      if (token === 'machine' || token === 'default') {
+        entry = { machine: (token === 'machine') ? tokens[++j] : null };
+        entries.push(entry);
+      }
+      else if (token === 'macdef') {
+        // Macro definitions continue until the next blank line.
+        while (i + 1 < lines.length && lines[i + 1].trim() !== '') {
+          i++;
+        }
+        entry = null;
+        break;
+      }
+      else if (entry && ['login', 'password', 'account'].includes(token)) {
+        entry[token] = tokens[++j];
+      }
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Derives an encryption key from `passphrase`.
+ *
+ * @param {string} passphrase - Passphrase.
+ * @param {Buffer} salt - Random salt.
+ * @param {Object} params - Scrypt parameters.
+ *
+ * @returns {Promise} Promise that resolves to a 32-byte key.
+ */
+const deriveKey = (passphrase, salt, params) => {
+  const { N, r, p } = params;
+  return scryptAsync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+};
+
+/**
+ * Encrypts credentials object `secrets` using `passphrase`.
+ *
+ * @param {Object} secrets - Object mapping host names to credentials.
+ * @param {string} passphrase - Passphrase.
+ *
+ * @returns {Promise} Promise that resolves to the encrypted file contents.
+ */
+const encryptSecrets = async (secrets, passphrase) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  const encrypted = {
+    version: ENCRYPTED_VERSION,
+    cipher: CIPHER,
+    kdf: 'scrypt',
+    kdfParams: SCRYPT_PARAMS,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+  return `${JSON.stringify(encrypted, null, 2)}\n`;
+};
+
+/**
+ * Decrypts encrypted file contents `text` using `passphrase`.
+ *
+ * @param {string} text - Encrypted file contents.
+ * @param {string} passphrase - Passphrase.
+ *
+ * @returns {Promise} Promise that resolves to the decrypted object.
+ */
+const decryptSecrets = async (text, passphrase) => {
+  let encrypted;
+  try {
+    encrypted = JSON.parse(text);
+  }
+  catch (err) {
+    throw new Error(`Encrypted secrets are not valid JSON`);
+  }
+  if (!isPlainObject(encrypted) || encrypted.version !== ENCRYPTED_VERSION
+    || encrypted.cipher !== CIPHER || encrypted.kdf !== 'scrypt') {
+    throw new Error(`Encrypted secrets use an unsupported format`);
+  }
+
+  const key = await deriveKey(passphrase, Buffer.from(encrypted.salt, 'base64'), encrypted.kdfParams || SCRYPT_PARAMS);
+  let decrypted;
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+  }
+  catch (err) {
+    throw new Error(`Unable to decrypt secrets; the passphrase may be incorrect or the file may be corrupt`);
+  }
+  return JSON.parse(decrypted.toString('utf8'));
+};
+
+module.exports = {
+  selectHostEntry,
+  parseNetrc,
+  encryptSecrets,
+  decryptSecrets,
+};
@@ -0,0 +1,125 @@
+/**
+ * @file Credential provider which runs a command.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const CredentialProvider = require('../credentialProvider.js');
+const { jsonSchema } = require('../rules/schema.js');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Credential provider which runs a command and reads a secret from its
+ * standard output.
+ *
+ * The command is run without a shell, with the source's host in the
+ * `PULLEY_CREDENTIAL_HOST` environment variable. Its output, without
+ * surrounding whitespace, is used as the authentication option named `key`.
+ * If `json` is true, the output is instead parsed as a JSON object of
+ * authentication options.
+ */
+class CommandCredentialProvider extends CredentialProvider {
+
+  /**
+   * Schema describing this provider's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      command: {
+        type: 'string',
+        required: true,
+        description: 'Command to run',
+      },
+      args: {
+        type: 'array',
+        default: () => [],
+        description: 'Arguments passed to command',
+      },
+      key: {
+        type: 'string',
+        default: 'token',
+        description: 'Authentication option set to the command\'s output',
+      },
+      json: {
+        type: 'boolean',
+        default: false,
+        description: 'Whether output is a JSON object of authentication options',
+      },
+      timeout: {
+        type: 'duration',
+        default: '30s',
+        description: 'Maximum time command may run for',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { command, args, key, timeout } = this.options;
+    return [
+      [jsonSchema, command, { type: 'string', minLength: 1 }],
+      [jsonSchema, args, { type: 'array', items: { type: 'string' } }],
+      [jsonSchema, key, { type: 'string', minLength: 1 }],
+      [jsonSchema, timeout, { type: 'integer', minimum: 1 }],
+    ];
+  }
+
+  /**
+   * Runs this provider's command and reads its output.
+   *
+   * @param {Object=} context - Details of the source being authenticated.
+   * @param {string|null} context.host - Host the source connects to, if any.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolve(context = {}) {
+    const { command, args, key, json, timeout } = this.options;
+
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync(command, args, {
+        env: { ...process.env, PULLEY_CREDENTIAL_HOST: context.host || '' },
+        timeout,
+        maxBuffer: 1024 * 1024,
+      }));
+    }
+    catch (err) {
+      // Output is never included, since it may contain the secret.
+      const reason = err.killed ? `timed out after ${timeout}ms`
+        : (typeof err.code === 'number') ? `exited with code ${err.code}`
+        : `could not be run (${err.code || 'unknown error'})`;
+      throw new Error(`Command '${command}' ${reason}`);
+    }
+
+    const output = stdout.trim();
+    if (output === '') {
+      throw new Error(`Command '${command}' produced no output`);
+    }
+    if (!json) {
+      return { [key]: output };
+    }
+
+    let authentication;
+    try {
+      authentication = JSON.parse(output);
+    }
+    catch (err) {
+      throw new Error(`Output of command '${command}' is not valid JSON`);
+    }
+    if (authentication === null || typeof authentication !== 'object' || Array.isArray(authentication)) {
+      throw new Error(`Output of command '${command}' is not a JSON object`);
+    }
+    return authentication;
+  }
+
+}
+
+module.exports = CommandCredentialProvider;
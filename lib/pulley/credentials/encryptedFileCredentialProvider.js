@@ -0,0 +1,99 @@
+/**
+ * @file Credential provider which reads a passphrase-encrypted secrets file.
+ */
+
+const fs = require('fs');
+
+const CredentialProvider = require('../credentialProvider.js');
+const { selectHostEntry, decryptSecrets } = require('../credentials.js');
+const { isAbsolute } = require('../rules/filesystem.js');
+const { jsonSchema } = require('../rules/schema.js');
+
+/**
+ * Credential provider which reads a secrets file encrypted with a passphrase.
+ *
+ * The file is created with `encryptSecrets()`; see `credentials.js` for its
+ * format. Its passphrase is read from the environment variable named by
+ * `passphraseEnv`, so that it never appears in config. Once decrypted, the
+ * entry for the source's host (or `host`, if given) is used.
+ */
+class EncryptedFileCredentialProvider extends CredentialProvider {
+
+  /**
+   * Schema describing this provider's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      file: {
+        type: 'path',
+        required: true,
+        description: 'Path to encrypted secrets file',
+      },
+      passphraseEnv: {
+        type: 'string',
+        default: 'PULLEY_SECRETS_PASSPHRASE',
+        description: 'Name of environment variable holding passphrase',
+      },
+      host: {
+        type: 'string',
+        description: 'Host to look up; defaults to the source\'s host',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const rules = [
+      [isAbsolute, this.options.file],
+      [jsonSchema, this.options.passphraseEnv, { type: 'string', minLength: 1 }],
+    ];
+    if (this.options.host !== undefined) {
+      rules.push([jsonSchema, this.options.host, { type: 'string', minLength: 1 }]);
+    }
+    return rules;
+  }
+
+  /**
+   * Decrypts this provider's file and reads the entry for the source's host.
+   *
+   * @param {Object=} context - Details of the source being authenticated.
+   * @param {string|null} context.host - Host the source connects to, if any.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolve(context = {}) {
+    const { file, passphraseEnv } = this.options;
+
+    const passphrase = process.env[passphraseEnv];
+    if (!passphrase) {
+      throw new Error(`Environment variable '${passphraseEnv}' is not set`);
+    }
+
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    }
+    catch (err) {
+      throw new Error(`Unable to read '${file}': ${err.code || 'read failed'}`);
+    }
+
+    let entries;
+    try {
+      entries = await decryptSecrets(text, passphrase);
+    }
+    catch (err) {
+      throw new Error(`${err.message} ('${file}')`);
+    }
+
+    return { ...selectHostEntry(entries, this.options.host || context.host || null) };
+  }
+
+}
+
+module.exports = EncryptedFileCredentialProvider;
@@ -0,0 +1,66 @@
+/**
+ * @file Credential provider which reads environment variables.
+ */
+
+const CredentialProvider = require('../credentialProvider.js');
+const { jsonSchema } = require('../rules/schema.js');
+
+/**
+ * Credential provider which reads authentication options from environment
+ * variables.
+ *
+ * `variables` maps authentication option names to the names of environment
+ * variables, e.g. `{ "token": "GITHUB_TOKEN" }`. Every variable must be set
+ * and non-empty.
+ */
+class EnvCredentialProvider extends CredentialProvider {
+
+  /**
+   * Schema describing this provider's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      variables: {
+        type: 'object',
+        required: true,
+        description: 'Authentication option names mapped to environment variable names',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [
+      [jsonSchema, this.options.variables, {
+        type: 'object',
+        additionalProperties: { type: 'string', minLength: 1 },
+      }],
+    ];
+  }
+
+  /**
+   * Reads each of this provider's environment variables.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolve() {
+    const authentication = {};
+    Object.entries(this.options.variables).forEach(([key, variable]) => {
+      const value = process.env[variable];
+      if (value === undefined || value === '') {
+        throw new Error(`Environment variable '${variable}' is not set`);
+      }
+      authentication[key] = value;
+    });
+    return authentication;
+  }
+
+}
+
+module.exports = EnvCredentialProvider;
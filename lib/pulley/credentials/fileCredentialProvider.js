@@ -0,0 +1,81 @@
+/**
+ * @file Credential provider which reads a credentials file.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const CredentialProvider = require('../credentialProvider.js');
+const { selectHostEntry } = require('../credentials.js');
+const { isAbsolute } = require('../rules/filesystem.js');
+const { jsonSchema } = require('../rules/schema.js');
+
+/**
+ * Credential provider which reads a JSON or YAML credentials file.
+ *
+ * The file maps host names to authentication options; see `credentials.js`
+ * for its format. The entry for the source's host (or `host`, if given) is
+ * used.
+ */
+class FileCredentialProvider extends CredentialProvider {
+
+  /**
+   * Schema describing this provider's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      file: {
+        type: 'path',
+        required: true,
+        description: 'Path to JSON or YAML credentials file',
+      },
+      host: {
+        type: 'string',
+        description: 'Host to look up; defaults to the source\'s host',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const rules = [
+      [isAbsolute, this.options.file],
+    ];
+    if (this.options.host !== undefined) {
+      rules.push([jsonSchema, this.options.host, { type: 'string', minLength: 1 }]);
+    }
+    return rules;
+  }
+
+  /**
+   * Reads the entry for the source's host from this provider's file.
+   *
+   * @param {Object=} context - Details of the source being authenticated.
+   * @param {string|null} context.host - Host the source connects to, if any.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolve(context = {}) {
+    const { file } = this.options;
+
+    let entries;
+    try {
+      entries = yaml.load(await fs.promises.readFile(file, 'utf8'), { filename: file });
+    }
+    catch (err) {
+      // Parse errors may quote the file's contents, so only their type is given.
+      throw new Error(`Unable to read '${file}': ${err.code || err.name}`);
+    }
+
+    return { ...selectHostEntry(entries, this.options.host || context.host || null) };
+  }
+
+}
+
+module.exports = FileCredentialProvider;
@@ -0,0 +1,115 @@
+/**
+ * @file Credential provider which reads a `.netrc` file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CredentialProvider = require('../credentialProvider.js');
+const { parseNetrc } = require('../credentials.js');
+const { hasAtLeastOneOfKeys } = require('../rules/keys.js');
+const { jsonSchema } = require('../rules/schema.js');
+
+/**
+ * Fields of `.netrc` entries which may be mapped to authentication options.
+ */
+const NETRC_FIELDS = ['login', 'password', 'account'];
+
+/**
+ * Credential provider which reads credentials from a `.netrc` file.
+ *
+ * The entry for the source's host (or `host`, if given) is used, falling back
+ * to the file's `default` entry. `keys` maps the entry's fields to
+ * authentication option names; for example, a git source authenticating with
+ * a token would use `{ "login": "username", "password": "token" }`.
+ */
+class NetrcCredentialProvider extends CredentialProvider {
+
+  /**
+   * Schema describing this provider's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      file: {
+        type: 'path',
+        default: () => process.env.NETRC || path.join(os.homedir(), '.netrc'),
+        description: 'Path to .netrc file; defaults to $NETRC or ~/.netrc',
+      },
+      host: {
+        type: 'string',
+        description: 'Host to look up; defaults to the source\'s host',
+      },
+      keys: {
+        type: 'object',
+        default: () => ({ login: 'username', password: 'password' }),
+        description: `Entry fields (${NETRC_FIELDS.join(', ')}) mapped to authentication option names`,
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const keySchema = { type: 'string', minLength: 1 };
+    const rules = [
+      [jsonSchema, this.options.keys, {
+        type: 'object',
+        additionalProperties: false,
+        properties: { login: keySchema, password: keySchema, account: keySchema },
+      }],
+      [hasAtLeastOneOfKeys, this.options.keys, NETRC_FIELDS],
+    ];
+    if (this.options.host !== undefined) {
+      rules.push([jsonSchema, this.options.host, { type: 'string', minLength: 1 }]);
+    }
+    return rules;
+  }
+
+  /**
+   * Reads the entry for the source's host from this provider's file.
+   *
+   * @param {Object=} context - Details of the source being authenticated.
+   * @param {string|null} context.host - Host the source connects to, if any.
+   *
+   * @returns {Promise} Promise that resolves to authentication options object.
+   */
+  async resolve(context = {}) {
+    const { file, keys } = this.options;
+    const host = this.options.host || context.host || null;
+
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    }
+    catch (err) {
+      throw new Error(`Unable to read '${file}': ${err.code || 'read failed'}`);
+    }
+
+    const entries = parseNetrc(text);
+    const entry = entries.find((candidate) => host && candidate.machine === host)
+      || entries.find((candidate) => candidate.machine === null);
+    if (!entry) {
+      throw new Error(host ? `No entry found for host '${host}' in '${file}'` : `No default entry found in '${file}'`);
+    }
+
+    const authentication = {};
+    Object.entries(keys).forEach(([field, key]) => {
+      if (entry[field] === undefined) {
+        throw new Error(`Entry for '${entry.machine || 'default'}' in '${file}' has no ${field}`);
+      }
+      authentication[key] = entry[field];
+    });
+    return authentication;
+  }
+
+}
+
+NetrcCredentialProvider.NETRC_FIELDS = NETRC_FIELDS;
+
+module.exports = NetrcCredentialProvider;
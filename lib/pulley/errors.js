@@ -0,0 +1,206 @@
+/**
+ * @file Error classes used throughout Pulley.
+ *
+ * Messages are redacted on construction, so that sensitive values never
+ * appear in them; see `redaction.js`.
+ */
+
+const { redact } = require('./redaction.js');
+
+/**
+ * Error describing a failure at a specific stage of a pipeline run.
+ */
+class PipelineError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} message - Human readable error message.
+   * @param {string} stage - Name of stage which failed, e.g. `fetch`.
+   * @param {string=} packageName - Name of package being processed, if any.
+   * @param {Error=} cause - Underlying error, if any.
+   */
+  constructor(message, stage, packageName, cause) {
+    super(redact(message));
+    this.name = 'PipelineError';
+    this.stage = stage;
+    this.packageName = packageName;
+    this.cause = cause;
+  }
+
+}
+
+/**
+ * Error describing a failure to register, look up or create a plugin.
+ */
+class RegistryError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} message - Human readable error message.
+   * @param {string=} type - Plugin type ID involved, e.g. `source:git`.
+   */
+  constructor(message, type) {
+    super(redact(message));
+    this.name = 'RegistryError';
+    this.type = type;
+  }
+
+}
+
+/**
+ * Error describing a problem with a configuration file.
+ *
+ * Where known, the error records the file, line and key path at which the
+ * problem was found, and includes them in its message.
+ */
+class ConfigError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} message - Human readable error message.
+   * @param {Object=} location - Optional location of problem.
+   * @param {string=} location.file - Path to configuration file.
+   * @param {number=} location.line - 1-based line number within file.
+   * @param {string=} location.keyPath - Key path of problem, e.g. `/dest`.
+   * @param {Object[]=} errors - Optional array of individual problems, each
+   * with `message`, `file`, `line` and `keyPath` properties.
+   */
+  constructor(message, location = {}, errors = []) {
+    const prefix = [
+      location.file ? `${location.file}${location.line ? `:${location.line}` : ''}` : null,
+      location.keyPath || null,
+    ].filter((part) => part).join(': ');
+
+    super(redact(prefix ? `${prefix}: ${message}` : message));
+    this.name = 'ConfigError';
+    this.file = location.file || null;
+    this.line = location.line || null;
+    this.keyPath = location.keyPath || null;
+    this.errors = errors;
+  }
+
+}
+
+/**
+ * Error describing a failed HTTP request.
+ */
+class HttpError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} message - Human readable error message.
+   * @param {number=} status - HTTP status code, if a response was received.
+   * @param {boolean=} retryable - Whether the request may be retried.
+   */
+  constructor(message, status, retryable) {
+    super(redact(message));
+    this.name = 'HttpError';
+    this.status = status || null;
+    this.retryable = !!retryable;
+  }
+
+}
+
+/**
+ * Error describing a failure to read from or write to a fetch cache.
+ */
+class CacheError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} message - Human readable error message.
+   * @param {string=} key - Cache key involved, if any.
+   */
+  constructor(message, key) {
+    super(redact(message));
+    this.name = 'CacheError';
+    this.key = key || null;
+  }
+
+}
+
+/**
+ * Error describing a failure to resolve credentials from a credential
+ * provider.
+ *
+ * Messages name the provider which failed, but never include the credentials
+ * themselves.
+ */
+class CredentialError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} message - Human readable error message.
+   * @param {string=} provider - Name of credential provider involved, if any.
+   */
+  constructor(message, provider) {
+    super(redact(message));
+    this.name = 'CredentialError';
+    this.provider = provider || null;
+  }
+
+}
+
+/**
+ * Error signalling that a source's authentication was rejected.
+ *
+ * Sources throw this from `fetch()` when, for example, a server responds that
+ * their token has expired. `AuthenticatedSource` then re-authenticates and
+ * retries the fetch once.
+ */
+class AuthenticationError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string} message - Human readable error message.
+   * @param {Error=} cause - Underlying error, if any.
+   */
+  constructor(message, cause) {
+    super(redact(message));
+    this.name = 'AuthenticationError';
+    this.cause = cause;
+  }
+
+}
+
+/**
+ * Error signalling that an operation was cancelled by an `AbortSignal`, or
+ * that it timed out.
+ *
+ * Like the errors thrown by Node's own APIs when aborted, its `name` is
+ * `AbortError` and its `code` is `ABORT_ERR`.
+ */
+class AbortError extends Error {
+
+  /**
+   * Constructor.
+   *
+   * @param {string=} message - Human readable error message.
+   * @param {*=} cause - Reason given for aborting, if any.
+   */
+  constructor(message = 'The operation was aborted', cause) {
+    super(redact(message));
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.cause = cause;
+  }
+
+}
+
+module.exports = {
+  PipelineError,
+  RegistryError,
+  ConfigError,
+  HttpError,
+  CacheError,
+  CredentialError,
+  AuthenticationError,
+  AbortError,
+};
@@ -0,0 +1,116 @@
+/**
+ * @file Base FileAction class.
+ */
+
+const { pipeline } = require('stream');
+
+const Action = require('./action.js');
+const { jsonSchema } = require('./rules/schema.js');
+const { mapFiles } = require('./streams.js');
+const { abortStream, throwIfAborted } = require('./abort.js');
+
+/**
+ * Default number of files a file action processes at once.
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Base class for actions which transform one Vinyl file at a time.
+ *
+ * Subclasses implement `transformFile()` rather than `transform()`. Each file
+ * may be returned as-is or modified, replaced by any number of files, or
+ * dropped. Files are processed up to `concurrency` at a time, but are always
+ * emitted in the order they were received. A `progress` event counting the
+ * files processed is emitted as each file is transformed. If the context
+ * gives a `signal`, the returned stream is destroyed once it aborts.
+ *
+ * Subclasses which declare an option schema should include this class's
+ * schema, e.g. `{ ...super.optionSchema, prefix: { ... } }`.
+ */
+class FileAction extends Action {
+
+  /**
+   * Schema describing this action's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      concurrency: {
+        type: 'integer',
+        default: DEFAULT_CONCURRENCY,
+        description: 'Maximum number of files processed at once',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    return [
+      [jsonSchema, this.options.concurrency, { type: 'integer', minimum: 1 }],
+    ];
+  }
+
+  /**
+   * Prepares state shared by every file in a single call to `transform()`.
+   *
+   * Subclasses may override this to compile patterns or derive values from
+   * the package once, rather than for each file. Whatever it returns (or
+   * resolves to) is passed to `transformFile()` as its context.
+   *
+   * @param {Object} context - Package being transformed; see `transform()`.
+   *
+   * @returns {Promise} Promise that resolves to context for each file.
+   */
+  async prepare(context) {
+    return context;
+  }
+
+  /**
+   * Transforms a single Vinyl file.
+   *
+   * @param {Object} file - Vinyl file.
+   * @param {Object} context - Context returned by `prepare()`.
+   *
+   * @returns {Promise} Promise that resolves to a Vinyl file, an array of
+   * Vinyl files, or null to drop the file.
+   */
+  async transformFile(file, context) {
+    throw new Error(`'transformFile()' method not implemented for FileAction`);
+  }
+
+  /**
+   * Applies `transformFile()` to each file in the source stream `src`.
+   *
+   * @param {Object} src - Stream of Vinyl files.
+   * @param {Object=} context - Package being transformed.
+   * @param {string} context.name - Name of package.
+   * @param {Object} context.metadata - Package metadata.
+   * @param {AbortSignal=} context.signal - Signal which cancels the
+   * transformation.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async transform(src, context = {}) {
+    throwIfAborted(context.signal);
+    const fileContext = await this.prepare(context);
+    let files = 0;
+    const transformFiles = mapFiles(async (file) => {
+      const result = await this.transformFile(file, fileContext);
+      this.emitProgress({ package: context.name, files: ++files });
+      return result;
+    }, {
+      concurrency: this.options.concurrency,
+    });
+    return abortStream(pipeline(src, transformFiles, () => {}), context.signal);
+  }
+
+}
+
+FileAction.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+module.exports = FileAction;
@@ -0,0 +1,56 @@
+/**
+ * @file Helpers for writing files and identifying values by their contents.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Returns a JSON representation of `value` with object keys sorted.
+ *
+ * @param {*} value - Value to serialize.
+ *
+ * @returns {string} Stable JSON string.
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Writes `data` to `filepath` atomically, via a temporary file.
+ *
+ * @param {string} filepath - Path to write.
+ * @param {Buffer|string} data - Data to write.
+ * @param {Object=} options - Options passed to `fs.promises.writeFile()`,
+ * such as `mode`.
+ *
+ * @returns {Promise} Promise that resolves once file is written.
+ */
+const writeAtomic = async (filepath, data, options) => {
+  const temp = `${filepath}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+  try {
+    await fs.promises.writeFile(temp, data, options);
+    await fs.promises.rename(temp, filepath);
+  }
+  catch (err) {
+    await fs.promises.rm(temp, { force: true });
+    throw err;
+  }
+};
+
+module.exports = {
+  stableStringify,
+  writeAtomic,
+};
@@ -0,0 +1,69 @@
+/**
+ * @file Helpers for matching relative file paths against glob patterns.
+ */
+
+const minimatch = require('minimatch');
+
+const { jsonSchema } = require('./rules/schema.js');
+
+/**
+ * Option schema for selecting files by relative path, shared by actions.
+ */
+const selectionOptionSchema = {
+  include: {
+    type: 'array',
+    default: ['**'],
+    description: 'Glob patterns of files to act on, relative to their base',
+  },
+  exclude: {
+    type: 'array',
+    default: [],
+    description: 'Glob patterns of files not to act on, relative to their base',
+  },
+};
+
+/**
+ * Returns rules that confirm selection options in `options` are valid.
+ *
+ * @param {Object} options - Normalized options containing selection options.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getSelectionRules = (options) => {
+  const patterns = { type: 'array', items: { type: 'string', minLength: 1 } };
+  return [
+    [jsonSchema, options.include, { ...patterns, minItems: 1 }],
+    [jsonSchema, options.exclude, patterns],
+  ];
+};
+
+/**
+ * Creates a function which tests relative paths against glob patterns.
+ *
+ * A path matches if it matches at least one `include` pattern and no
+ * `exclude` patterns. Patterns match dotfiles, and paths are compared using
+ * forward slashes regardless of platform.
+ *
+ * @param {string[]=} include - Patterns of paths to include. Defaults to all.
+ * @param {string[]=} exclude - Patterns of paths to exclude.
+ *
+ * @returns {function} Function which receives a relative path and returns
+ * true if it matches.
+ */
+const createMatcher = (include, exclude) => {
+  const options = { dot: true };
+  const includes = (include && include.length > 0) ? include : ['**'];
+  const excludes = exclude || [];
+
+  return (relative) => {
+    const normalized = relative.split('\\').join('/');
+    return includes.some((pattern) => minimatch(normalized, pattern, options))
+      && !excludes.some((pattern) => minimatch(normalized, pattern, options));
+  };
+};
+
+module.exports = {
+  selectionOptionSchema,
+  getSelectionRules,
+  createMatcher,
+};
@@ -0,0 +1,221 @@
+/**
+ * @file Logger which writes component events as text or JSON lines.
+ *
+ * A logger is attached to one or more components, and writes a line for each
+ * event they emit; see `component.js`. Lines are either human readable:
+ *
+ *     2024-01-01T00:00:00.000Z example HttpSource: fetch started
+ *     2024-01-01T00:00:00.250Z example HttpSource: files 1/3, bytes 1.2 MB/4.8 MB
+ *
+ * or JSON objects, one per line, containing every property of the event:
+ *
+ *     {"event":"start","component":"HttpSource","time":"...","package":"example","operation":"fetch"}
+ *
+ * Progress events are written at most once per `progressInterval` for each
+ * attached component, except for the last progress event of an operation
+ * whose total is known.
+ */
+
+const { normalizeOptions } = require('./options.js');
+const { redactObject } = require('./redaction.js');
+
+/**
+ * Supported log formats.
+ */
+const FORMATS = ['text', 'json'];
+
+/**
+ * Units used to format byte counts.
+ */
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Logger which writes the events emitted by components to a stream.
+ */
+class Logger {
+
+  /**
+   * Constructor.
+   *
+   * @param {Object=} options - Logger options object.
+   */
+  constructor(options) {
+    this.options = normalizeOptions(Logger.optionSchema, options);
+    if (!FORMATS.includes(this.options.format)) {
+      throw new Error(`Unknown log format '${this.options.format}'; expected one of: ${FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Schema describing this logger's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      format: {
+        type: 'string',
+        default: 'text',
+        description: `Format of log lines; one of: ${FORMATS.join(', ')}`,
+      },
+      stream: {
+        type: 'any',
+        default: () => process.stderr,
+        description: 'Writable stream to which lines are written',
+      },
+      progress: {
+        type: 'boolean',
+        default: true,
+        description: 'Whether progress events are written',
+      },
+      progressInterval: {
+        type: 'duration',
+        default: '1s',
+        description: 'Minimum time between progress lines for each component',
+      },
+    };
+  }
+
+  /**
+   * Writes every event emitted by `component` until detached.
+   *
+   * @param {Object} component - Component instance.
+   * @param {Object=} fields - Properties added to each of the component's
+   * events, such as the `package` it belongs to.
+   *
+   * @returns {function} Function which detaches this logger from component.
+   */
+  attach(component, fields = {}) {
+    let lastProgress = 0;
+    const listener = (event) => {
+      if (event.event === 'progress') {
+        const now = Date.now();
+        if (!this.options.progress || (now - lastProgress < this.options.progressInterval && !isComplete(event))) {
+          return;
+        }
+        lastProgress = now;
+      }
+      this.log({ ...event, ...fields });
+    };
+
+    component.on('event', listener);
+    return () => component.removeListener('event', listener);
+  }
+
+  /**
+   * Writes event `event` as a single line.
+   *
+   * @param {Object} event - Event object.
+   */
+  log(event) {
+    this.options.stream.write(`${this.format(event)}\n`);
+  }
+
+  /**
+   * Formats event `event` in this logger's format.
+   *
+   * Sensitive values are masked, and errors are reduced to their name and
+   * message.
+   *
+   * @param {Object} event - Event object.
+   *
+   * @returns {string} Formatted line, without a trailing newline.
+   */
+  format(event) {
+    const { error, ...properties } = event;
+    const redacted = redactObject(properties);
+    if (error) {
+      redacted.error = (error && error.name) || 'Error';
+    }
+
+    if (this.options.format === 'json') {
+      return JSON.stringify(redacted);
+    }
+    const label = [redacted.package, redacted.component].filter((part) => part).join(' ');
+    return `${redacted.time} ${label}: ${describeEvent(redacted)}`;
+  }
+
+}
+
+/**
+ * Determines whether progress event `event` reports a finished operation.
+ *
+ * @param {Object} event - Progress event object.
+ *
+ * @returns {boolean} True if every known total has been reached.
+ */
+const isComplete = (event) => {
+  const totals = [['bytes', 'totalBytes'], ['files', 'totalFiles']]
+    .filter(([, total]) => typeof event[total] === 'number');
+  return totals.length > 0 && totals.every(([done, total]) => event[done] >= event[total]);
+};
+
+/**
+ * Describes event `event` in a human readable way.
+ *
+ * @param {Object} event - Event object.
+ *
+ * @returns {string} Description of event.
+ */
+const describeEvent = (event) => {
+  switch (event.event) {
+    case 'start':
+      return `${event.operation} started`;
+    case 'done':
+      return `${event.operation} done in ${event.duration}ms`;
+    case 'progress':
+      return describeProgress(event);
+    case 'warning':
+      return `warning: ${event.message}`;
+    case 'file-written':
+      return `wrote ${event.path}`;
+    case 'error':
+      return `${event.operation ? `${event.operation} ` : ''}failed: ${event.message}`;
+    default:
+      return event.message || event.event;
+  }
+};
+
+/**
+ * Describes the counts in progress event `event`.
+ *
+ * @param {Object} event - Progress event object.
+ *
+ * @returns {string} Description of progress.
+ */
+const describeProgress = (event) => {
+  const parts = [];
+  if (typeof event.files === 'number') {
+    const total = (typeof event.totalFiles === 'number') ? `/${event.totalFiles}` : '';
+    parts.push(`files ${event.files}${total}`);
+  }
+  if (typeof event.bytes === 'number') {
+    const total = (typeof event.totalBytes === 'number') ? `/${formatBytes(event.totalBytes)}` : '';
+    parts.push(`bytes ${formatBytes(event.bytes)}${total}`);
+  }
+  if (event.url) {
+    parts.push(event.url);
+  }
+  return parts.join(', ') || 'in progress';
+};
+
+/**
+ * Formats byte count `bytes` using the largest suitable unit.
+ *
+ * @param {number} bytes - Number of bytes.
+ *
+ * @returns {string} Formatted byte count, e.g. `1.2 MB`.
+ */
+const formatBytes = (bytes) => {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return (unit === 0) ? `${value} ${BYTE_UNITS[unit]}` : `${value.toFixed(1)} ${BYTE_UNITS[unit]}`;
+};
+
+Logger.FORMATS = FORMATS;
+
+module.exports = Logger;
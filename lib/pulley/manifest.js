@@ -0,0 +1,342 @@
+/**
+ * @file Bundle manifests describing the packages and files in a bundle.
+ *
+ * A manifest is a JSON file written to the root of a bundle's destination.
+ * It lists each package's name, metadata and provenance, along with the path,
+ * size, mode and SHA-256 digest of every file in the package. Bundles written
+ * as archives also list each archive file, which is what `verifyManifest()`
+ * checks for those bundles. Sensitive values within metadata and provenance
+ * are masked; see `redaction.js`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { redactObject } = require('./redaction.js');
+
+/**
+ * Version of the manifest format written by this module.
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Default name of manifest files.
+ */
+const DEFAULT_MANIFEST_FILE = 'pulley-manifest.json';
+
+/**
+ * Supported bundle layouts.
+ *
+ * - `directory`: Each package's files are written to `<dest>/<name>/`.
+ * - `archive`: Packages are written into archive files within `<dest>`.
+ */
+const LAYOUTS = ['directory', 'archive'];
+
+/**
+ * Returns the SHA-256 digest of `data`.
+ *
+ * @param {Buffer|string} data - Data to hash.
+ *
+ * @returns {string} Hex-encoded digest.
+ */
+const sha256 = (data) => {
+  return crypto.createHash('sha256').update(data).digest('hex');
+};
+
+/**
+ * Returns the SHA-256 digest of the file at `filepath`.
+ *
+ * @param {string} filepath - Path of file to hash.
+ *
+ * @returns {Promise} Promise that resolves to hex-encoded digest.
+ */
+const hashFile = (filepath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filepath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
+/**
+ * Formats permission bits `mode` as a four-digit octal string.
+ *
+ * @param {number} mode - Permission bits.
+ *
+ * @returns {string} Octal mode, e.g. `0644`.
+ */
+const formatMode = (mode) => {
+  return (mode & 0o7777).toString(8).padStart(4, '0');
+};
+
+/**
+ * Describes bundle entry `entry` for inclusion in a manifest.
+ *
+ * Symbolic links are described by their target, which is also what their
+ * size and digest are calculated from.
+ *
+ * @param {Object} entry - Bundle entry; see `bundling.js`.
+ *
+ * @returns {Object} Manifest file object.
+ */
+const describeEntry = (entry) => {
+  if (entry.type === 'symlink') {
+    return {
+      path: entry.path,
+      type: 'symlink',
+      target: entry.target,
+      size: Buffer.byteLength(entry.target),
+      mode: formatMode(entry.mode),
+      sha256: sha256(entry.target),
+    };
+  }
+  return {
+    path: entry.path,
+    type: 'file',
+    size: entry.contents.length,
+    mode: formatMode(entry.mode),
+    sha256: sha256(entry.contents),
+  };
+};
+
+/**
+ * Creates a manifest object.
+ *
+ * @param {Object} bundle - Description of bundle.
+ * @param {string} bundle.bundler - Name of bundler which wrote bundle.
+ * @param {string} bundle.layout - Bundle layout; one of `LAYOUTS`.
+ * @param {Object[]} bundle.packages - Bundled packages.
+ * @param {Object} bundle.packages[].pkg - Package object passed to bundler.
+ * @param {Object[]=} bundle.packages[].entries - Package's bundle entries.
+ * @param {Object[]=} bundle.packages[].files - Package's files, already
+ * described by `describeEntry()` and sorted by path, given in place of
+ * `entries`.
+ * @param {Object[]=} bundle.archives - Archives written, for archive layouts.
+ * @param {string} bundle.archives[].path - Archive path relative to dest.
+ * @param {string[]} bundle.archives[].packages - Names of packages within.
+ * @param {string} dest - Bundle destination base path.
+ *
+ * @returns {Promise} Promise that resolves to manifest object.
+ */
+const createManifest = async (bundle, dest) => {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    bundler: bundle.bundler,
+    layout: bundle.layout,
+    packages: bundle.packages.map(({ pkg, entries, files }) => {
+      return {
+        name: pkg.name,
+        metadata: redactObject(pkg.metadata || {}),
+        provenance: redactObject(pkg.provenance || {}),
+        files: files || entries.map(describeEntry),
+      };
+    }),
+  };
+
+  if (bundle.layout === 'archive') {
+    manifest.archives = [];
+    for (const archive of bundle.archives) {
+      const filepath = path.join(dest, archive.path);
+      const stats = await fs.promises.stat(filepath);
+      manifest.archives.push({
+        path: archive.path,
+        packages: archive.packages,
+        size: stats.size,
+        sha256: await hashFile(filepath),
+      });
+    }
+  }
+
+  return manifest;
+};
+
+/**
+ * Serializes manifest object `manifest` as it is written to disk.
+ *
+ * @param {Object} manifest - Manifest object.
+ *
+ * @returns {string} Manifest JSON.
+ */
+const formatManifest = (manifest) => {
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+};
+
+/**
+ * Creates a manifest for a written bundle and writes it to `dest`.
+ *
+ * @param {Object} bundle - Description of bundle; see `createManifest()`.
+ * @param {string} dest - Bundle destination base path.
+ * @param {string=} filename - Name of manifest file.
+ *
+ * @returns {Promise} Promise that resolves to manifest object.
+ */
+const writeManifest = async (bundle, dest, filename = DEFAULT_MANIFEST_FILE) => {
+  const manifest = await createManifest(bundle, dest);
+  await fs.promises.writeFile(path.join(dest, filename), formatManifest(manifest));
+  return manifest;
+};
+
+/**
+ * Reads the manifest within `dest`.
+ *
+ * @param {string} dest - Bundle destination base path.
+ * @param {string=} filename - Name of manifest file.
+ *
+ * @returns {Promise} Promise that resolves to manifest object.
+ */
+const readManifest = async (dest, filename = DEFAULT_MANIFEST_FILE) => {
+  const filepath = path.join(dest, filename);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.promises.readFile(filepath, 'utf8'));
+  }
+  catch (err) {
+    throw new Error(`Unable to read manifest '${filepath}': ${err.message}`);
+  }
+
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Manifest '${filepath}' has unsupported version '${manifest.version}'`);
+  }
+  if (!LAYOUTS.includes(manifest.layout)) {
+    throw new Error(`Manifest '${filepath}' has unsupported layout '${manifest.layout}'`);
+  }
+  return manifest;
+};
+
+/**
+ * Lists every file and symbolic link beneath `dir`, relative to `root`.
+ *
+ * @param {string} root - Root directory.
+ * @param {string=} dir - Directory to list; defaults to `root`.
+ *
+ * @returns {Promise} Promise that resolves to an array of relative paths,
+ * using forward slashes.
+ */
+const listFiles = async (root, dir = root) => {
+  const files = [];
+  const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const dirent of dirents) {
+    const filepath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      files.push(...await listFiles(root, filepath));
+    }
+    else {
+      files.push(path.relative(root, filepath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+};
+
+/**
+ * Compares the file at `filepath` against manifest file object `expected`.
+ *
+ * @param {string} filepath - Path of file on disk.
+ * @param {Object} expected - Manifest file or archive object.
+ * @param {boolean} checkMode - Whether permission bits are compared.
+ *
+ * @returns {Promise} Promise that resolves to an array of reasons the file
+ * differs, which is empty if it matches.
+ */
+const compareFile = async (filepath, expected, checkMode) => {
+  const stats = await fs.promises.lstat(filepath);
+
+  if (expected.type === 'symlink') {
+    if (!stats.isSymbolicLink()) {
+      return ['type'];
+    }
+    const target = await fs.promises.readlink(filepath);
+    return (target === expected.target) ? [] : ['target'];
+  }
+  if (!stats.isFile()) {
+    return ['type'];
+  }
+
+  const reasons = [];
+  if (stats.size !== expected.size) {
+    reasons.push('size');
+  }
+  if (checkMode && formatMode(stats.mode) !== expected.mode) {
+    reasons.push('mode');
+  }
+  if (await hashFile(filepath) !== expected.sha256) {
+    reasons.push('sha256');
+  }
+  return reasons;
+};
+
+/**
+ * Verifies the bundle within `dest` against its manifest.
+ *
+ * For directory layouts, each package file is compared by size, mode and
+ * digest. For archive layouts, each archive file is compared by size and
+ * digest. Files present in `dest` but absent from the manifest are reported
+ * as extra; the manifest file itself is ignored.
+ *
+ * @param {string} dest - Bundle destination base path.
+ * @param {string=} filename - Name of manifest file.
+ *
+ * @returns {Promise} Promise that resolves to a verification report object
+ * with `valid`, `missing`, `extra` and `modified` properties. Modified files
+ * are reported as `{ path, reasons }`.
+ */
+const verifyManifest = async (dest, filename = DEFAULT_MANIFEST_FILE) => {
+  const manifest = await readManifest(dest, filename);
+
+  const expected = new Map();
+  if (manifest.layout === 'directory') {
+    manifest.packages.forEach((pkg) => {
+      pkg.files.forEach((file) => {
+        expected.set(`${pkg.name}/${file.path}`, file);
+      });
+    });
+  }
+  else {
+    manifest.archives.forEach((archive) => {
+      expected.set(archive.path, { ...archive, type: 'file' });
+    });
+  }
+
+  const actual = new Set(await listFiles(dest));
+  actual.delete(filename);
+
+  const missing = [];
+  const modified = [];
+  for (const [relative, file] of expected) {
+    if (!actual.has(relative)) {
+      missing.push(relative);
+      continue;
+    }
+    const filepath = path.join(dest, ...relative.split('/'));
+    const reasons = await compareFile(filepath, file, (manifest.layout === 'directory'));
+    if (reasons.length > 0) {
+      modified.push({ path: relative, reasons });
+    }
+  }
+  const extra = [...actual].filter((relative) => !expected.has(relative)).sort();
+
+  return {
+    valid: (missing.length === 0 && extra.length === 0 && modified.length === 0),
+    missing,
+    extra,
+    modified,
+  };
+};
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEFAULT_MANIFEST_FILE,
+  LAYOUTS,
+  sha256,
+  hashFile,
+  formatMode,
+  describeEntry,
+  listFiles,
+  createManifest,
+  formatManifest,
+  writeManifest,
+  readManifest,
+  verifyManifest,
+};
@@ -0,0 +1,341 @@
+/**
+ * @file Declarative option schemas with defaults and coercion.
+ *
+ * An option schema is an object whose keys are option names, and whose values
+ * describe each option:
+ *
+ *     static get optionSchema() {
+ *       return {
+ *         path: { type: 'path', required: true, description: 'Directory to read' },
+ *         recursive: { type: 'boolean', default: true },
+ *         timeout: { type: 'duration', default: '30s' },
+ *       };
+ *     }
+ *
+ * Supported types are `string`, `boolean`, `number`, `integer`, `duration`
+ * (coerced to milliseconds), `path` (coerced to an absolute path), `array`,
+ * `object` and `any`. A `coerce` callback may be given to perform additional
+ * conversion after the built-in coercion for the option's type.
+ *
+ * Options whose names look sensitive, such as `token` or `password`, are
+ * returned by `getSensitiveValues()` so that their values can be redacted;
+ * see `redaction.js`. Set `sensitive` in an option's spec to `true` or
+ * `false` to override this. Options may also be given as `Secret` instances,
+ * which are unwrapped and always treated as sensitive.
+ */
+
+const path = require('path');
+
+const { Secret, isSensitiveKey, unwrapSecret } = require('./redaction.js');
+const { hasKeys, hasOnlyKeys } = require('./rules/keys.js');
+const { isOfType } = require('./rules/objects.js');
+
+/**
+ * Property of normalized options objects listing the options that were given
+ * as `Secret` instances.
+ */
+const SECRET_KEYS = Symbol('secretKeys');
+
+/**
+ * Number of milliseconds in each supported duration unit.
+ */
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Option types mapped to the type that their normalized values must have.
+ */
+const NORMALIZED_TYPES = {
+  duration: 'number',
+  path: 'string',
+};
+
+/**
+ * Parses a duration such as `30s`, `1h30m` or `250` into milliseconds.
+ *
+ * Strings without units are treated as milliseconds.
+ *
+ * @param {string} value - Duration string.
+ *
+ * @returns {number|undefined} Duration in milliseconds, or undefined if invalid.
+ */
+const parseDuration = (value) => {
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (!/^(\d+(\.\d+)?(ms|s|m|h|d)\s*)+$/.test(trimmed)) {
+    return undefined;
+  }
+
+  let total = 0;
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+  let match;
+  while ((match = pattern.exec(trimmed)) !== null) {
+    total += Number(match[1]) * DURATION_UNITS[match[2]];
+  }
+  return total;
+};
+
+/**
+ * Built-in coercion functions for each option type.
+ *
+ * Each function returns the coerced value, or the original value if it cannot
+ * be coerced. Values which cannot be coerced are reported during validation.
+ */
+const COERCIONS = {
+  string: (value) => {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+    return value;
+  },
+  boolean: (value) => {
+    if (typeof value === 'string') {
+      const lowered = value.trim().toLowerCase();
+      if (['true', 'yes', 'on', '1'].includes(lowered)) {
+        return true;
+      }
+      if (['false', 'no', 'off', '0', ''].includes(lowered)) {
+        return false;
+      }
+    }
+    if (value === 1 || value === 0) {
+      return (value === 1);
+    }
+    return value;
+  },
+  number: (value) => {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value);
+    }
+    return value;
+  },
+  integer: (value) => {
+    return COERCIONS.number(value);
+  },
+  duration: (value) => {
+    if (typeof value === 'string') {
+      const parsed = parseDuration(value);
+      return (parsed === undefined) ? value : parsed;
+    }
+    return value;
+  },
+  path: (value, basePath) => {
+    if (typeof value === 'string') {
+      return path.resolve(basePath, value);
+    }
+    return value;
+  },
+  array: (value) => {
+    if (typeof value === 'string') {
+      return value.split(',').map((item) => item.trim()).filter((item) => item !== '');
+    }
+    if (value !== null && value !== undefined && !Array.isArray(value)) {
+      return [value];
+    }
+    return value;
+  },
+  object: (value) => value,
+  any: (value) => value,
+};
+
+/**
+ * Normalizes `options` against option schema `schema`.
+ *
+ * Defaults are applied for missing options, and values are coerced to the
+ * type declared by the schema. Unknown options are preserved so that they can
+ * be reported during validation. If no schema is given, options are neither
+ * defaulted nor coerced.
+ *
+ * In either case, `Secret` values are unwrapped. The result remembers which
+ * options they were given for, so that `getSensitiveValues()` returns them.
+ *
+ * @param {Object|null} schema - Option schema.
+ * @param {Object} options - Options object to normalize.
+ * @param {Object=} settings - Optional normalization settings.
+ * @param {string=} settings.basePath - Base for resolving `path` options.
+ * @param {boolean=} settings.sensitive - Treat every option as sensitive,
+ * unless its spec sets `sensitive` to false.
+ *
+ * @returns {Object} New, normalized options object.
+ */
+const normalizeOptions = (schema, options, settings = {}) => {
+  if (!schema && (options === null || typeof options !== 'object')) {
+    return options;
+  }
+
+  const normalized = { ...(options || {}) };
+  const secretKeys = Object.keys(normalized).filter((key) => normalized[key] instanceof Secret);
+  secretKeys.forEach((key) => {
+    normalized[key] = unwrapSecret(normalized[key]);
+  });
+
+  const result = schema ? applySchema(schema, normalized, settings) : normalized;
+  Object.defineProperty(result, SECRET_KEYS, { value: secretKeys });
+  return result;
+};
+
+/**
+ * Determines whether option `key` is sensitive.
+ *
+ * @param {Object|null} schema - Option schema.
+ * @param {string} key - Option name.
+ * @param {Object} settings - Normalization settings.
+ *
+ * @returns {boolean} True if the option's value should be redacted.
+ */
+const isSensitiveOption = (schema, key, settings) => {
+  const spec = (schema && schema.hasOwnProperty(key)) ? schema[key] : {};
+  if (typeof spec.sensitive === 'boolean') {
+    return spec.sensitive;
+  }
+  return !!settings.sensitive || isSensitiveKey(key);
+};
+
+/**
+ * Returns the values of the sensitive options within `options`, including
+ * options that were given as `Secret` instances to `normalizeOptions()`.
+ *
+ * Strings and numbers are returned as strings, including those within arrays
+ * and plain objects, so that they may be masked in rule messages; see
+ * `validateRules()`.
+ *
+ * @param {Object|null} schema - Option schema.
+ * @param {Object} options - Normalized options object.
+ * @param {Object=} settings - Normalization settings; see
+ * `normalizeOptions()`.
+ *
+ * @returns {string[]} Sensitive values.
+ */
+const getSensitiveValues = (schema, options, settings = {}) => {
+  if (!options || typeof options !== 'object') {
+    return [];
+  }
+  const values = [];
+  const collect = (value) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      values.push(String(value));
+    }
+    else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+  const secretKeys = options[SECRET_KEYS] || [];
+  Object.keys(options).forEach((key) => {
+    if (secretKeys.includes(key) || isSensitiveOption(schema, key, settings)) {
+      collect(options[key]);
+    }
+  });
+  return values;
+};
+
+/**
+ * Applies defaults and coercion from `schema` to `normalized` in place.
+ *
+ * @param {Object} schema - Option schema.
+ * @param {Object} normalized - Copy of options object to normalize.
+ * @param {Object} settings - Normalization settings.
+ *
+ * @returns {Object} The normalized options object.
+ */
+const applySchema = (schema, normalized, settings) => {
+  const basePath = settings.basePath || process.cwd();
+
+  Object.keys(schema).forEach((key) => {
+    const spec = schema[key];
+
+    if (normalized[key] === undefined && spec.hasOwnProperty('default')) {
+      normalized[key] = (typeof spec.default === 'function')
+        ? spec.default(normalized)
+        : spec.default;
+    }
+    if (normalized[key] === undefined) {
+      return;
+    }
+
+    const coerce = COERCIONS[spec.type || 'any'];
+    if (!coerce) {
+      throw new Error(`Unknown option type '${spec.type}' for option '${key}'`);
+    }
+
+    let value = coerce(normalized[key], basePath);
+    if (spec.coerce) {
+      value = spec.coerce(value, normalized);
+    }
+    normalized[key] = value;
+  });
+
+  return normalized;
+};
+
+/**
+ * Returns an array of rules that confirm `options` conforms to `schema`.
+ *
+ * Rejects unknown options using `hasOnlyKeys`, requires options marked as
+ * `required` using `hasKeys`, and confirms that each normalized option value
+ * has the type declared by the schema.
+ *
+ * @param {Object|null} schema - Option schema.
+ * @param {Object} options - Normalized options object.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getSchemaRules = (schema, options) => {
+  if (!schema) {
+    return [];
+  }
+
+  const keys = Object.keys(schema);
+  const requiredKeys = keys.filter((key) => schema[key].required);
+  const rules = [[hasOnlyKeys, options, keys]];
+
+  if (requiredKeys.length > 0) {
+    rules.push([hasKeys, options, requiredKeys]);
+  }
+
+  keys.forEach((key) => {
+    const type = schema[key].type;
+    if (!type || type === 'any' || !options || options[key] === undefined) {
+      return;
+    }
+    rules.push([isOfType, options[key], NORMALIZED_TYPES[type] || type, key]);
+  });
+
+  return rules;
+};
+
+/**
+ * Describes each option in `schema` for use in help output or documentation.
+ *
+ * @param {Object|null} schema - Option schema.
+ *
+ * @returns {Object[]} Array of option descriptions.
+ */
+const describeOptions = (schema) => {
+  return Object.keys(schema || {}).map((key) => {
+    const spec = schema[key];
+    return {
+      name: key,
+      type: spec.type || 'any',
+      required: !!spec.required,
+      default: spec.default,
+      description: spec.description || '',
+      sensitive: isSensitiveOption(schema, key, {}),
+    };
+  });
+};
+
+module.exports = {
+  parseDuration,
+  normalizeOptions,
+  isSensitiveOption,
+  getSensitiveValues,
+  getSchemaRules,
+  describeOptions,
+};
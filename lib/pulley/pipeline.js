@@ -0,0 +1,664 @@
+/**
+ * @file Pipeline class which connects sources, actions and bundlers.
+ */
+
+const AuthenticatedSource = require('./authenticatedSource.js');
+const { PipelineError } = require('./errors.js');
+const { redactError, withSecrets } = require('./redaction.js');
+const { parseDuration } = require('./options.js');
+const { abortStream, createLinkedSignal, isAbortError } = require('./abort.js');
+const { validateRules } = require('./rules/rule.js');
+const { DEFAULT_CONCURRENCY, findCycles, getDependencyRules, schedule } = require('./scheduler.js');
+const { collect, fromFiles } = require('./streams.js');
+
+/**
+ * Names of each pipeline stage, in the order they are run.
+ */
+const STAGES = ['validate', 'authenticate', 'fetch', 'transform', 'bundle'];
+
+/**
+ * Names of stages which may be given a timeout.
+ */
+const TIMED_STAGES = ['authenticate', 'fetch', 'transform', 'bundle'];
+
+/**
+ * Runs the Pulley lifecycle for one or more packages.
+ *
+ * Every source, action and bundler is validated before any I/O takes place.
+ * Each package's source is then authenticated (if required) and fetched, and
+ * the result is passed through each of the package's actions in order.
+ * Finally, the prepared packages are passed to the bundler.
+ *
+ * Packages may name other packages they depend on in `dependsOn`, in which
+ * case they are only prepared once those packages have been prepared
+ * successfully, and are skipped if any of them fails. The files prepared for
+ * a package which others depend on are read into memory, so that its
+ * dependents' actions can read them through `dependencies`; see
+ * `Action#transform()`. Packages which do not
+ * depend on one another are prepared up to `concurrency` at a time; see
+ * `scheduler.js`. Unknown dependencies and dependency cycles fail validation.
+ *
+ * Each component emits `start` and `done` (or `error`) events around the
+ * stage it runs, alongside any events of its own; see `component.js`. If a
+ * `Logger` is given, it is attached to every component while the pipeline
+ * runs, with events from sources and actions given the `package` they
+ * belong to.
+ *
+ * The sensitive values of every component are redacted from errors and log
+ * output while the pipeline runs, along with any values registered during
+ * the run, such as the credentials of new sessions. They are forgotten once
+ * the run finishes; see `withSecrets()` in `redaction.js`.
+ *
+ * Runs may be cancelled with an `AbortSignal`, or limited by an overall
+ * `timeout`. Once the run aborts, the current stage is cancelled, remaining
+ * packages are skipped and nothing is bundled. Stages may also be given
+ * their own `timeouts`, which apply to each package's authentication, fetch
+ * and transformation, and to bundling. A stage which times out fails like
+ * any other, without aborting the rest of the run. Sources and actions may
+ * return streams which are only read while bundling, so reading them counts
+ * towards the `bundle` stage.
+ *
+ * In plan mode, packages are prepared as usual but the bundler writes
+ * nothing. Instead, the report includes a plan of the files it would create,
+ * overwrite and delete; see `plan.js`.
+ */
+class Pipeline {
+
+  /**
+   * Constructor.
+   *
+   * @param {Object} options - Pipeline options object.
+   * @param {Object[]} options.packages - Packages to run.
+   * @param {string} options.packages[].name - Name of package.
+   * @param {Object=} options.packages[].metadata - Arbitrary package metadata.
+   * @param {Object} options.packages[].source - Source instance for package.
+   * @param {Object[]=} options.packages[].actions - Action instances for package.
+   * @param {string[]=} options.packages[].dependsOn - Names of packages which
+   * must be prepared before this package.
+   * @param {Object} options.bundler - Bundler instance.
+   * @param {string} options.dest - Bundler destination base path.
+   * @param {boolean=} options.partial - Bundle successful packages even if
+   * other packages fail. Defaults to false.
+   * @param {Object=} options.cache - `FetchCache` instance through which
+   * sources are fetched, if any.
+   * @param {Object=} options.logger - `Logger` instance which writes the
+   * events emitted while running, if any.
+   * @param {number|string=} options.timeout - Maximum duration of each run,
+   * in milliseconds or as a duration string such as `5m`.
+   * @param {Object=} options.timeouts - Maximum duration of each stage, keyed
+   * by stage name; one of `authenticate`, `fetch`, `transform` or `bundle`.
+   * @param {number=} options.concurrency - Maximum number of packages prepared
+   * at once. Defaults to 1.
+   * @param {boolean=} options.plan - Plan the changes to `dest` rather than
+   * bundling. Defaults to false.
+   */
+  constructor(options) {
+    this.packages = options.packages || [];
+    this.bundler = options.bundler;
+    this.dest = options.dest;
+    this.partial = !!options.partial;
+    this.plan = !!options.plan;
+    this.cache = options.cache || null;
+    this.logger = options.logger || null;
+    this.timeout = toMilliseconds(options.timeout, 'timeout');
+    this.timeouts = normalizeTimeouts(options.timeouts || {});
+    this.concurrency = (options.concurrency === undefined) ? DEFAULT_CONCURRENCY : options.concurrency;
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new Error(`Invalid concurrency '${this.concurrency}'; expected a positive integer`);
+    }
+  }
+
+  /**
+   * Validates every source, action and bundler in this pipeline, along with
+   * the bundler's destination and the dependencies between packages.
+   * Dependency results are given a `component` of `dependsOn`.
+   *
+   * @param {Object=} options - Optional validation options.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to an object containing a
+   * validation report for each package and for the bundler.
+   */
+  async validate(options = {}) {
+    const packages = [];
+    const validateOptions = { signal: options.signal };
+    const names = this.packages.map((pkg) => pkg.name);
+    const cycles = findCycles(this.packages);
+
+    for (const pkg of this.packages) {
+      const components = [['source', pkg.source]];
+      (pkg.actions || []).forEach((action, index) => {
+        components.push([`actions[${index}]`, action]);
+      });
+      const report = await validateComponents(components, validateOptions);
+      const dependencies = await validateRules(getDependencyRules(pkg, names, cycles), validateOptions);
+      dependencies.results.forEach((result) => {
+        report.results.push({ component: 'dependsOn', ...result });
+      });
+      report.failures = report.results.filter((result) => !result.passed);
+      report.valid = (report.failures.length === 0);
+      packages.push(report);
+    }
+
+    const bundler = await validateComponents([['bundler', this.bundler]], validateOptions);
+    if (this.bundler) {
+      const destination = await this.bundler.validateDestination(this.dest, validateOptions);
+      destination.results.forEach((result) => {
+        bundler.results.push({ component: 'dest', ...result });
+      });
+      bundler.failures = bundler.results.filter((result) => !result.passed);
+      bundler.valid = (bundler.failures.length === 0);
+    }
+
+    return {
+      valid: (bundler.valid && packages.every((report) => report.valid)),
+      packages,
+      bundler,
+    };
+  }
+
+  /**
+   * Runs this pipeline.
+   *
+   * Resolves to a report describing the outcome for each package. Failures do
+   * not cause the promise to reject; instead, each failed package's result
+   * includes the stage at which it failed and a `PipelineError` describing
+   * the failure. The report's `aborted` property is true if the run was
+   * cancelled or timed out. In plan mode, packages which would have been
+   * bundled have a status of `planned`, and the report's `plan` property
+   * holds the bundler's plan.
+   *
+   * @param {Object=} options - Optional run options.
+   * @param {AbortSignal=} options.signal - Signal which cancels the run.
+   *
+   * @returns {Promise} Promise that resolves to pipeline report object.
+   */
+  async run(options = {}) {
+    const detach = this.attachLogger();
+    const run = createLinkedSignal([options.signal], {
+      timeout: this.timeout,
+      message: `Pipeline timed out after ${this.timeout}ms`,
+    });
+    try {
+      return await withSecrets(this.getSensitiveValues(), () => this.runStages(run.signal));
+    }
+    finally {
+      run.dispose();
+      detach();
+    }
+  }
+
+  /**
+   * Returns the sensitive values of every source, action and bundler in this
+   * pipeline.
+   *
+   * @returns {string[]} Sensitive values.
+   */
+  getSensitiveValues() {
+    const components = [
+      ...this.packages.flatMap((pkg) => [pkg.source, ...(pkg.actions || [])]),
+      this.bundler,
+    ];
+    return components
+      .filter((component) => component && typeof component.getSensitiveValues === 'function')
+      .flatMap((component) => component.getSensitiveValues());
+  }
+
+  /**
+   * Calls `fn` with a signal which aborts when `signal` does, or once stage
+   * `stage`'s timeout elapses.
+   *
+   * @param {string} stage - Name of stage.
+   * @param {AbortSignal} signal - Signal of the current run.
+   * @param {function} fn - Function which receives the stage's signal and
+   * returns (or resolves to) the result of the stage.
+   *
+   * @returns {Promise} Promise that resolves to the result of `fn`.
+   */
+  async runStage(stage, signal, fn) {
+    const timeout = this.timeouts[stage];
+    const linked = createLinkedSignal([signal], {
+      timeout,
+      message: `Stage '${stage}' timed out after ${timeout}ms`,
+    });
+    try {
+      return await fn(linked.signal);
+    }
+    finally {
+      linked.dispose();
+    }
+  }
+
+  /**
+   * Attaches this pipeline's logger to each of its components.
+   *
+   * @returns {function} Function which detaches the logger again.
+   */
+  attachLogger() {
+    if (!this.logger) {
+      return () => {};
+    }
+
+    const detachers = [];
+    const attach = (component, fields) => {
+      if (component && typeof component.on === 'function') {
+        detachers.push(this.logger.attach(component, fields));
+      }
+    };
+    this.packages.forEach((pkg) => {
+      attach(pkg.source, { package: pkg.name });
+      (pkg.actions || []).forEach((action) => attach(action, { package: pkg.name }));
+    });
+    attach(this.bundler, {});
+
+    return () => detachers.forEach((detach) => detach());
+  }
+
+  /**
+   * Runs each stage of this pipeline; see `run()`.
+   *
+   * @param {AbortSignal} signal - Signal which cancels the run.
+   *
+   * @returns {Promise} Promise that resolves to pipeline report object.
+   */
+  async runStages(signal) {
+    const results = this.packages.map((pkg) => {
+      return {
+        name: pkg.name,
+        status: 'pending',
+        stage: null,
+        cached: false,
+        error: null,
+        validation: null,
+      };
+    });
+
+    // Validation.
+    let validation;
+    try {
+      validation = await this.validate({ signal });
+    }
+    catch (err) {
+      if (!isAbortError(err)) {
+        throw err;
+      }
+      results.forEach((result) => fail(result, 'validate', err.message, err));
+      return makeReport(results, null, false, null, true);
+    }
+    results.forEach((result, index) => {
+      const report = validation.packages[index];
+      result.validation = report;
+      if (!report.valid) {
+        fail(result, 'validate', describeFailures(report));
+      }
+    });
+
+    if (!validation.valid) {
+      const bundlerMessage = validation.bundler.valid
+        ? 'Pipeline not run because validation failed'
+        : `Bundler validation failed: ${describeFailures(validation.bundler)}`;
+      results.filter((result) => result.status === 'pending').forEach((result) => {
+        skip(result, 'validate', bundlerMessage);
+      });
+      return makeReport(results, validation, false, null, signal.aborted);
+    }
+
+    // Authentication, fetching and transformation.
+    const preparedByIndex = [];
+    const outputs = new Map();
+    const dependedOn = new Set(this.packages.flatMap((pkg) => pkg.dependsOn || []));
+    await schedule(this.packages, async (pkg, index) => {
+      if (signal.aborted) {
+        skip(results[index], 'fetch', 'Not run because the pipeline was aborted');
+        return false;
+      }
+      const dependencies = {};
+      (pkg.dependsOn || []).forEach((name) => {
+        const dependency = preparedByIndex.find((prepared) => prepared && prepared.name === name);
+        dependencies[name] = this.describeDependency(dependency, outputs.get(name));
+      });
+      let prepared = await this.preparePackage(pkg, results[index], signal, dependencies);
+      if (prepared && dependedOn.has(pkg.name)) {
+        const files = await this.readPrepared(prepared, results[index], signal);
+        outputs.set(pkg.name, files);
+        prepared = files ? { ...prepared, stream: fromFiles(files) } : null;
+      }
+      preparedByIndex[index] = prepared;
+      return !!preparedByIndex[index];
+    }, {
+      concurrency: this.concurrency,
+      onSkip: (index, dependencyIndex) => {
+        const dependency = results[dependencyIndex];
+        const reason = signal.aborted
+          ? 'the pipeline was aborted'
+          : `dependency '${dependency.name}' ${(dependency.status === 'failed') ? 'failed' : 'was not run'}`;
+        skip(results[index], 'fetch', `Not run because ${reason}`);
+      },
+    });
+    const prepared = [];
+    preparedByIndex.forEach((pkg, index) => {
+      if (pkg) {
+        prepared.push({ pkg, result: results[index] });
+      }
+    });
+
+    if (signal.aborted) {
+      prepared.forEach(({ result }) => {
+        skip(result, 'bundle', 'Not bundled because the pipeline was aborted');
+      });
+      return makeReport(results, validation, false, null, true);
+    }
+
+    const hasFailures = results.some((result) => result.status === 'failed');
+    if (prepared.length === 0 || (hasFailures && !this.partial)) {
+      prepared.forEach(({ result }) => {
+        skip(result, 'bundle', 'Not bundled because other packages failed');
+      });
+      return makeReport(results, validation, false, null, false);
+    }
+
+    // Bundling, or planning.
+    const method = this.plan ? 'plan' : 'bundle';
+    let summary;
+    try {
+      const packages = prepared.map(({ pkg }) => pkg);
+      summary = await this.runStage('bundle', signal, (stageSignal) => {
+        return this.bundler.track(method, () => {
+          return this.bundler[method](packages, this.dest, { signal: stageSignal });
+        });
+      });
+    }
+    catch (err) {
+      prepared.forEach(({ result }) => {
+        fail(result, 'bundle', err.message, err);
+      });
+      return makeReport(results, validation, false, null, signal.aborted);
+    }
+
+    prepared.forEach(({ result }) => {
+      result.status = this.plan ? 'planned' : 'bundled';
+      result.stage = 'bundle';
+    });
+    if (this.plan) {
+      return makeReport(results, validation, false, null, false, summary);
+    }
+    return makeReport(results, validation, true, summary, false);
+  }
+
+  /**
+   * Authenticates, fetches and transforms a single package.
+   *
+   * @param {Object} pkg - Package being prepared.
+   * @param {Object} result - Result object for package, updated on failure.
+   * @param {AbortSignal} signal - Signal which cancels the run.
+   * @param {Object=} dependencies - Description of each package that `pkg`
+   * depends on, keyed by package name; given to actions as `dependencies`.
+   * See `describeDependency()`.
+   *
+   * @returns {Promise} Promise that resolves to a package object suitable for
+   * `Bundler#bundle()`, or null if preparation failed.
+   */
+  async preparePackage(pkg, result, signal, dependencies = {}) {
+    let stage = 'fetch';
+    const details = { package: pkg.name };
+    const fetchSource = async () => {
+      if (pkg.source instanceof AuthenticatedSource) {
+        stage = 'authenticate';
+        result.stage = stage;
+        await this.runStage(stage, signal, (stageSignal) => {
+          return pkg.source.track('authenticate', () => pkg.source.getSession({ signal: stageSignal }), details);
+        });
+      }
+      stage = 'fetch';
+      result.stage = stage;
+      return this.runStage(stage, signal, (stageSignal) => {
+        return pkg.source.track('fetch', () => pkg.source.fetch({ signal: stageSignal }), details);
+      });
+    };
+
+    try {
+      result.stage = stage;
+      let fetched;
+      if (this.cache) {
+        // Sources are only authenticated if their files are not cached.
+        fetched = await this.cache.fetch(pkg.source, fetchSource);
+        result.cached = fetched.hit;
+      }
+      else {
+        fetched = {
+          stream: await fetchSource(),
+          metadata: pkg.source.getMetadata(),
+          provenance: pkg.source.getProvenance(),
+        };
+      }
+      let stream = fetched.stream;
+      const metadata = { ...(pkg.metadata || {}), ...fetched.metadata };
+
+      stage = 'transform';
+      result.stage = stage;
+      stream = await this.runStage(stage, signal, async (stageSignal) => {
+        let transformed = stream;
+        for (const action of (pkg.actions || [])) {
+          const input = transformed;
+          transformed = await action.track('transform', () => {
+            return action.transform(input, { name: pkg.name, metadata, dependencies, signal: stageSignal });
+          }, details);
+        }
+        return transformed;
+      });
+      result.status = 'prepared';
+
+      return {
+        name: pkg.name,
+        metadata,
+        provenance: { type: pkg.source.constructor.name, ...fetched.provenance },
+        dependsOn: pkg.dependsOn || [],
+        stream,
+      };
+    }
+    catch (err) {
+      fail(result, stage, err.message, err);
+      return null;
+    }
+  }
+
+  /**
+   * Reads every file of prepared package `prepared`, as part of its
+   * `transform` stage.
+   *
+   * @param {Object} prepared - Package object returned by `preparePackage()`.
+   * @param {Object} result - Result object for package, updated on failure.
+   * @param {AbortSignal} signal - Signal which cancels the run.
+   *
+   * @returns {Promise} Promise that resolves to an array of Vinyl files, or
+   * to null if reading failed.
+   */
+  async readPrepared(prepared, result, signal) {
+    try {
+      return await this.runStage('transform', signal, (stageSignal) => {
+        return collect(abortStream(prepared.stream, stageSignal));
+      });
+    }
+    catch (err) {
+      fail(result, 'transform', err.message, err);
+      return null;
+    }
+  }
+
+  /**
+   * Describes prepared package `dependency` to the packages which depend on
+   * it.
+   *
+   * @param {Object} dependency - Package object returned by
+   * `preparePackage()`.
+   * @param {Vinyl[]} files - Files prepared for the package.
+   *
+   * @returns {Object} Object with the package's `metadata` and `provenance`,
+   * the bundler's `dest`, and a `read()` function which returns a new stream
+   * of copies of the package's files.
+   */
+  describeDependency(dependency, files) {
+    return {
+      metadata: dependency.metadata,
+      provenance: dependency.provenance,
+      dest: this.dest,
+      read: () => fromFiles(files.map((file) => file.clone())),
+    };
+  }
+
+}
+
+/**
+ * Converts timeout `value` to milliseconds.
+ *
+ * @param {number|string=} value - Timeout in milliseconds, or as a duration
+ * string.
+ * @param {string} label - Name of timeout, given in error messages.
+ *
+ * @returns {number|undefined} Timeout in milliseconds, or undefined if none.
+ */
+const toMilliseconds = (value, label) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const ms = (typeof value === 'string') ? parseDuration(value) : value;
+  if (typeof ms !== 'number' || !(ms > 0)) {
+    throw new Error(`Invalid ${label} '${value}'; expected a positive number of milliseconds or a duration such as '30s'`);
+  }
+  return ms;
+};
+
+/**
+ * Converts each of the stage timeouts in `timeouts` to milliseconds.
+ *
+ * @param {Object} timeouts - Timeouts keyed by stage name.
+ *
+ * @returns {Object} Timeouts in milliseconds, keyed by stage name.
+ */
+const normalizeTimeouts = (timeouts) => {
+  const normalized = {};
+  Object.keys(timeouts).forEach((stage) => {
+    if (!TIMED_STAGES.includes(stage)) {
+      throw new Error(`Unknown stage '${stage}' in timeouts; expected one of: ${TIMED_STAGES.join(', ')}`);
+    }
+    normalized[stage] = toMilliseconds(timeouts[stage], `timeout for stage '${stage}'`);
+  });
+  return normalized;
+};
+
+/**
+ * Validates each of the given components and merges their results.
+ *
+ * @param {Array} components - Array of `[label, instance]` pairs.
+ * @param {Object=} options - Validation options passed to each component.
+ *
+ * @returns {Promise} Promise that resolves to merged validation report.
+ */
+const validateComponents = async (components, options = {}) => {
+  const results = [];
+
+  for (const [label, component] of components) {
+    if (!component) {
+      results.push({
+        component: label,
+        name: 'Component exists',
+        brief: 'Confirms component has been provided',
+        passed: false,
+        message: `No ${label} provided`,
+      });
+      continue;
+    }
+    const report = await component.validate(options);
+    report.results.forEach((result) => {
+      const component = result.component ? `${label}.${result.component}` : label;
+      results.push({ ...result, component });
+    });
+  }
+
+  const failures = results.filter((result) => !result.passed);
+  return {
+    valid: (failures.length === 0),
+    results,
+    failures,
+  };
+};
+
+/**
+ * Describes the failures in a validation report as a single string.
+ *
+ * @param {Object} report - Validation report.
+ *
+ * @returns {string} Description of failures.
+ */
+const describeFailures = (report) => {
+  return report.failures.map((failure) => {
+    return `${failure.component}: ${failure.message}`;
+  }).join('; ');
+};
+
+/**
+ * Marks package result `result` as failed at stage `stage`.
+ *
+ * The message and underlying error are redacted, since errors thrown by
+ * sources may include their credentials.
+ *
+ * @param {Object} result - Package result object.
+ * @param {string} stage - Name of stage which failed.
+ * @param {string} message - Description of failure.
+ * @param {Error=} cause - Underlying error, if any.
+ */
+const fail = (result, stage, message, cause) => {
+  result.status = 'failed';
+  result.stage = stage;
+  result.error = new PipelineError(
+    `Package '${result.name}' failed during ${stage}: ${message}`,
+    stage,
+    result.name,
+    cause && redactError(cause)
+  );
+};
+
+/**
+ * Marks package result `result` as skipped at stage `stage`.
+ *
+ * @param {Object} result - Package result object.
+ * @param {string} stage - Name of stage at which package was skipped.
+ * @param {string} message - Reason package was skipped.
+ */
+const skip = (result, stage, message) => {
+  result.status = 'skipped';
+  result.stage = stage;
+  result.error = new PipelineError(message, stage, result.name);
+};
+
+/**
+ * Creates a pipeline report object.
+ *
+ * @param {Object[]} results - Package result objects.
+ * @param {Object} validation - Pipeline validation report.
+ * @param {boolean} bundled - Whether the bundler ran successfully.
+ * @param {Object=} summary - Summary returned by the bundler, if any.
+ * @param {boolean=} aborted - Whether the run was cancelled or timed out.
+ * @param {Object=} plan - Plan returned by the bundler in plan mode, if any.
+ *
+ * @returns {Object} Pipeline report object.
+ */
+const makeReport = (results, validation, bundled, summary, aborted, plan) => {
+  const success = plan
+    ? results.every((result) => result.status === 'planned')
+    : (bundled && results.every((result) => result.status === 'bundled'));
+  return {
+    success,
+    bundled,
+    aborted: !!aborted,
+    summary: summary || null,
+    plan: plan || null,
+    validation,
+    packages: results,
+  };
+};
+
+Pipeline.STAGES = STAGES;
+Pipeline.TIMED_STAGES = TIMED_STAGES;
+
+module.exports = Pipeline;
@@ -0,0 +1,497 @@
+/**
+ * @file Plans describing the changes a bundler would make to its destination.
+ *
+ * A plan is returned by `Bundler#plan()` in place of writing anything. It
+ * lists each file which bundling would create, overwrite or delete beneath
+ * the destination, by path relative to it. Files whose type, contents and
+ * mode already match are only counted as unchanged. Overwritten text files
+ * are given a unified diff of their contents.
+ *
+ * Plans may be formatted as human-readable text or JSON with `formatPlan()`,
+ * for instance to be reviewed alongside a change to a bundle's configuration.
+ */
+
+const fs = require('fs');
+
+const { formatMode, hashFile } = require('./manifest.js');
+const { redactObject } = require('./redaction.js');
+const { isBinary } = require('./text.js');
+
+/**
+ * Actions a plan may list for a file.
+ */
+const CHANGE_ACTIONS = ['create', 'overwrite', 'delete'];
+
+/**
+ * Formats in which plans may be printed.
+ *
+ * - `text`: A list of changes followed by their diffs and a summary.
+ * - `json`: The plan object, as indented JSON.
+ */
+const PLAN_FORMATS = ['text', 'json'];
+
+/**
+ * Number of unchanged lines shown around each change in a diff.
+ */
+const DIFF_CONTEXT = 3;
+
+/**
+ * Maximum number of line pairs compared when diffing the changed region of
+ * two files. Larger regions are shown as removed and added in full.
+ */
+const MAX_DIFF_COMPARISONS = 4000000;
+
+/**
+ * Creates an empty plan.
+ *
+ * @param {Object} bundler - Bundler instance creating plan.
+ * @param {string} dest - Bundler destination base path.
+ *
+ * @returns {Object} Plan object.
+ */
+const createPlan = (bundler, dest) => {
+  const summary = { unchanged: 0 };
+  CHANGE_ACTIONS.forEach((action) => {
+    summary[action] = 0;
+  });
+  return {
+    bundler: bundler.constructor.name,
+    dest,
+    changes: [],
+    summary,
+  };
+};
+
+/**
+ * Sorts the changes in plan `plan` by path.
+ *
+ * @param {Object} plan - Plan object.
+ *
+ * @returns {Object} Plan object.
+ */
+const finishPlan = (plan) => {
+  plan.changes.sort((a, b) => {
+    if (a.path < b.path) {
+      return -1;
+    }
+    return (a.path > b.path) ? 1 : 0;
+  });
+  return plan;
+};
+
+/**
+ * Adds change `change` to plan `plan`.
+ *
+ * @param {Object} plan - Plan object.
+ * @param {Object} change - Change object.
+ */
+const addChange = (plan, change) => {
+  plan.changes.push(change);
+  plan.summary[change.action]++;
+};
+
+/**
+ * Describes the file, symbolic link or directory at `target`.
+ *
+ * @param {string} target - Path of file.
+ *
+ * @returns {Promise} Promise that resolves to an object with the file's
+ * `type`, `size` and `mode`, and `linkTarget` for symbolic links, or null if
+ * nothing exists at `target`.
+ */
+const statTarget = async (target) => {
+  let stats;
+  try {
+    stats = await fs.promises.lstat(target);
+  }
+  catch (err) {
+    // A file may exist in place of one of the target's directories.
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+      return null;
+    }
+    throw err;
+  }
+
+  if (stats.isSymbolicLink()) {
+    const linkTarget = await fs.promises.readlink(target);
+    return { type: 'symlink', size: Buffer.byteLength(linkTarget), mode: null, linkTarget };
+  }
+  if (stats.isDirectory()) {
+    return { type: 'directory', size: null, mode: null };
+  }
+  return { type: 'file', size: stats.size, mode: formatMode(stats.mode) };
+};
+
+/**
+ * Plans writing file `wanted` to `target`.
+ *
+ * @param {Object} plan - Plan object.
+ * @param {string} target - Absolute path to which file would be written.
+ * @param {Object} wanted - File to be written.
+ * @param {string} wanted.path - Path of file relative to the destination.
+ * @param {string} wanted.type - Either `file` or `symlink`.
+ * @param {Buffer=} wanted.contents - Contents of file.
+ * @param {string=} wanted.target - Target of symbolic link.
+ * @param {number=} wanted.mode - Permission bits of file, if they are set
+ * when it is written.
+ * @param {Object=} details - Additional properties of the change, such as the
+ * `package` the file belongs to.
+ *
+ * @returns {Promise} Promise that resolves once the file is planned.
+ */
+const planWrite = async (plan, target, wanted, details = {}) => {
+  const existing = await statTarget(target);
+  const data = (wanted.type === 'symlink') ? Buffer.from(wanted.target) : wanted.contents;
+  const mode = (wanted.type === 'symlink' || wanted.mode === undefined) ? null : formatMode(wanted.mode);
+  const change = {
+    action: 'create',
+    path: wanted.path,
+    type: wanted.type,
+    ...details,
+    size: data.length,
+    mode,
+    diff: null,
+  };
+  if (!existing) {
+    addChange(plan, change);
+    return;
+  }
+
+  let previous = null;
+  if (existing.type === 'symlink') {
+    previous = Buffer.from(existing.linkTarget);
+  }
+  else if (existing.type === 'file') {
+    previous = await fs.promises.readFile(target);
+  }
+  const unchanged = (existing.type === wanted.type && previous.equals(data)
+    && (mode === null || existing.mode === mode));
+  if (unchanged) {
+    plan.summary.unchanged++;
+    return;
+  }
+
+  Object.assign(change, {
+    action: 'overwrite',
+    previousType: existing.type,
+    previousSize: existing.size,
+    previousMode: existing.mode,
+  });
+  const isText = (existing.type === 'file' && wanted.type === 'file' && !isBinary(previous) && !isBinary(data));
+  if (isText && !previous.equals(data)) {
+    change.diff = createDiff(previous.toString('utf8'), data.toString('utf8'), wanted.path);
+  }
+  addChange(plan, change);
+};
+
+/**
+ * Plans copying the file at `source` to `target`.
+ *
+ * Files are compared by digest rather than read into memory, and are not
+ * diffed.
+ *
+ * @param {Object} plan - Plan object.
+ * @param {string} target - Absolute path to which file would be written.
+ * @param {string} source - Path of file to be written.
+ * @param {string} relative - Path of file relative to the destination.
+ * @param {Object=} details - Additional properties of the change.
+ *
+ * @returns {Promise} Promise that resolves once the file is planned.
+ */
+const planCopy = async (plan, target, source, relative, details = {}) => {
+  const existing = await statTarget(target);
+  const { size } = await fs.promises.stat(source);
+  const change = {
+    action: 'create',
+    path: relative,
+    type: 'file',
+    ...details,
+    size,
+    mode: null,
+    diff: null,
+  };
+  if (existing) {
+    if (existing.type === 'file' && await hashFile(target) === await hashFile(source)) {
+      plan.summary.unchanged++;
+      return;
+    }
+    Object.assign(change, {
+      action: 'overwrite',
+      previousType: existing.type,
+      previousSize: existing.size,
+      previousMode: existing.mode,
+    });
+  }
+  addChange(plan, change);
+};
+
+/**
+ * Plans deleting the file at `target`, if it exists.
+ *
+ * @param {Object} plan - Plan object.
+ * @param {string} target - Absolute path of file.
+ * @param {string} relative - Path of file relative to the destination.
+ * @param {Object=} details - Additional properties of the change.
+ *
+ * @returns {Promise} Promise that resolves once the file is planned.
+ */
+const planDelete = async (plan, target, relative, details = {}) => {
+  const existing = await statTarget(target);
+  if (!existing) {
+    return;
+  }
+  addChange(plan, {
+    action: 'delete',
+    path: relative,
+    type: existing.type,
+    ...details,
+    size: null,
+    mode: null,
+    previousSize: existing.size,
+    previousMode: existing.mode,
+    diff: null,
+  });
+};
+
+/**
+ * Splits `text` into lines, each keeping its trailing newline, if any.
+ *
+ * @param {string} text - Text to split.
+ *
+ * @returns {string[]} Lines of text.
+ */
+const splitLines = (text) => {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+};
+
+/**
+ * Compares lines `before` with lines `after`.
+ *
+ * Lines common to the start and end of both are matched directly, and the
+ * remaining lines by their longest common subsequence, unless there are more
+ * than `MAX_DIFF_COMPARISONS` pairs of them.
+ *
+ * @param {string[]} before - Original lines.
+ * @param {string[]} after - Changed lines.
+ *
+ * @returns {Array} Array of `[marker, line]` pairs, where marker is a space
+ * for unchanged lines, `-` for removed lines and `+` for added lines.
+ */
+const compareLines = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < before.length - start && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+    end++;
+  }
+
+  const removed = before.slice(start, before.length - end);
+  const added = after.slice(start, after.length - end);
+  const ops = before.slice(0, start).map((line) => [' ', line]);
+
+  if (removed.length * added.length > MAX_DIFF_COMPARISONS) {
+    ops.push(...removed.map((line) => ['-', line]), ...added.map((line) => ['+', line]));
+  }
+  else {
+    // lengths[i * width + j] is the length of the longest common subsequence
+    // of removed.slice(i) and added.slice(j).
+    const width = added.length + 1;
+    const lengths = new Uint32Array((removed.length + 1) * width);
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = (removed[i] === added[j])
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length || j < added.length) {
+      if (i < removed.length && j < added.length && removed[i] === added[j]) {
+        ops.push([' ', removed[i++]]);
+        j++;
+      }
+      else if (j === added.length || (i < removed.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        ops.push(['-', removed[i++]]);
+      }
+      else {
+        ops.push(['+', added[j++]]);
+      }
+    }
+  }
+
+  ops.push(...before.slice(before.length - end).map((line) => [' ', line]));
+  return ops;
+};
+
+/**
+ * Formats a hunk range for a unified diff header.
+ *
+ * @param {number} start - Number of lines before the hunk.
+ * @param {number} count - Number of lines in the hunk.
+ *
+ * @returns {string} Range, e.g. `12,7`.
+ */
+const formatRange = (start, count) => {
+  if (count === 1) {
+    return `${start + 1}`;
+  }
+  return `${(count === 0) ? start : start + 1},${count}`;
+};
+
+/**
+ * Creates a unified diff between texts `before` and `after`.
+ *
+ * Diffs follow the format of `git diff`, with up to `DIFF_CONTEXT` unchanged
+ * lines around each change, and a marker after lines which do not end with a
+ * newline.
+ *
+ * @param {string} before - Original text.
+ * @param {string} after - Changed text.
+ * @param {string} file - Path of file, given in the diff's headers.
+ *
+ * @returns {string|null} Unified diff, or null if texts are identical.
+ */
+const createDiff = (before, after, file) => {
+  const ops = compareLines(splitLines(before), splitLines(after));
+
+  const ranges = [];
+  ops.forEach(([marker], index) => {
+    if (marker === ' ') {
+      return;
+    }
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= 2 * DIFF_CONTEXT + 1) {
+      last.end = index;
+    }
+    else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  // Number of original and changed lines before each operation.
+  const positions = [];
+  let oldLine = 0;
+  let newLine = 0;
+  ops.forEach(([marker]) => {
+    positions.push([oldLine, newLine]);
+    oldLine += (marker === '+') ? 0 : 1;
+    newLine += (marker === '-') ? 0 : 1;
+  });
+
+  const lines = [`--- a/${file}`, `+++ b/${file}`];
+  ranges.forEach((range) => {
+    const from = Math.max(0, range.start - DIFF_CONTEXT);
+    const to = Math.min(ops.length, range.end + DIFF_CONTEXT + 1);
+    const hunk = ops.slice(from, to);
+    const oldCount = hunk.filter(([marker]) => marker !== '+').length;
+    const newCount = hunk.filter(([marker]) => marker !== '-').length;
+    const [oldStart, newStart] = positions[from];
+    lines.push(`@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`);
+    hunk.forEach(([marker, line]) => {
+      if (line.endsWith('\n')) {
+        lines.push(`${marker}${line.slice(0, -1)}`);
+      }
+      else {
+        lines.push(`${marker}${line}`, '\\ No newline at end of file');
+      }
+    });
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Describes change `change` on a single line.
+ *
+ * @param {Object} change - Change object.
+ *
+ * @returns {string} Description of change.
+ */
+const describeChange = (change) => {
+  const details = [];
+  if (change.previousType && change.previousType !== change.type) {
+    details.push(`${change.previousType} -> ${change.type}`);
+  }
+  else if (change.type !== 'file') {
+    details.push(change.type);
+  }
+
+  if (change.action === 'delete') {
+    details.push(`${change.previousSize} bytes`);
+  }
+  else if (change.action === 'overwrite' && change.previousSize !== null && change.previousSize !== change.size) {
+    details.push(`${change.previousSize} -> ${change.size} bytes`);
+  }
+  else {
+    details.push(`${change.size} bytes`);
+  }
+
+  if (change.action === 'delete') {
+    if (change.previousMode) {
+      details.push(`mode ${change.previousMode}`);
+    }
+  }
+  else if (change.previousMode && change.mode && change.previousMode !== change.mode) {
+    details.push(`mode ${change.previousMode} -> ${change.mode}`);
+  }
+  else if (change.mode) {
+    details.push(`mode ${change.mode}`);
+  }
+
+  return `${change.action.padEnd(9)} ${change.path} (${details.join(', ')})`;
+};
+
+/**
+ * Formats plan `plan` for printing.
+ *
+ * Sensitive values are masked; see `redaction.js`.
+ *
+ * @param {Object} plan - Plan object.
+ * @param {string=} format - Output format; one of `PLAN_FORMATS`. Defaults
+ * to `text`.
+ *
+ * @returns {string} Formatted plan, ending with a newline.
+ */
+const formatPlan = (plan, format = 'text') => {
+  if (!PLAN_FORMATS.includes(format)) {
+    throw new Error(`Unknown plan format '${format}'; expected one of: ${PLAN_FORMATS.join(', ')}`);
+  }
+  const redacted = redactObject(plan);
+  if (format === 'json') {
+    return `${JSON.stringify(redacted, null, 2)}\n`;
+  }
+
+  const lines = [`Plan for ${redacted.bundler} in ${redacted.dest}`, ''];
+  if (redacted.changes.length === 0) {
+    lines.push('No changes.');
+  }
+  else {
+    lines.push(...redacted.changes.map(describeChange));
+  }
+  redacted.changes.filter((change) => change.diff).forEach((change) => {
+    lines.push('', change.diff.replace(/\n$/, ''));
+  });
+
+  const { summary } = redacted;
+  lines.push('', `${summary.create} to create, ${summary.overwrite} to overwrite, ${summary.delete} to delete, ${summary.unchanged} unchanged`);
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  CHANGE_ACTIONS,
+  PLAN_FORMATS,
+  createPlan,
+  finishPlan,
+  planWrite,
+  planCopy,
+  planDelete,
+  createDiff,
+  formatPlan,
+};
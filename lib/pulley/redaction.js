@@ -0,0 +1,429 @@
+/**
+ * @file Redaction of sensitive values from messages and serialized objects.
+ *
+ * Values become sensitive when they are:
+ *
+ * - given for an option whose schema spec sets `sensitive: true`;
+ * - given for an option whose name matches `SENSITIVE_KEY_PATTERN`, such as
+ *   `token` or `password`, unless its schema spec sets `sensitive: false`;
+ * - given for any authentication option of an `AuthenticatedSource`, unless
+ *   its schema spec sets `sensitive: false`; or
+ * - wrapped in a `Secret`.
+ *
+ * Components report their sensitive values through `getSensitiveValues()`.
+ * Pipelines register them for the duration of each run using
+ * `withSecrets()`, along with the values registered during the run, such as
+ * resolved credentials and new sessions. Once the run finishes they are
+ * forgotten, so that the secrets of one run do not redact the output of
+ * later, unrelated runs. Values registered outside any such scope are masked
+ * process-wide until they are unregistered with `unregisterSecret()`.
+ *
+ * Once registered, `redact()` masks sensitive values wherever they appear in
+ * a string. Rule messages, Pulley errors and pipeline failures are redacted
+ * in this way, and `redactObject()` masks them within objects before they are
+ * serialized.
+ */
+
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Replacement shown in place of sensitive values.
+ */
+const MASK = '********';
+
+/**
+ * Minimum length of sensitive values masked wherever they appear in strings.
+ *
+ * Shorter values are only masked where they are not part of a longer word,
+ * since masking them within words would mask unrelated text.
+ */
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Matches the names of keys whose values are treated as sensitive.
+ */
+const SENSITIVE_KEY_PATTERN = /token|password|passphrase|passwd|secret|api[-_]?key|private[-_]?key|credential|authorization|cookie/i;
+
+/**
+ * Sensitive values registered outside any scope, mapped to the number of
+ * times each has been registered.
+ */
+const secrets = new Map();
+
+/**
+ * Scope of the current asynchronous context, if any; see `withSecrets()`.
+ */
+const scopes = new AsyncLocalStorage();
+
+/**
+ * Wrapper which marks a value as sensitive.
+ *
+ * Options given as Secret instances are unwrapped when normalized, and their
+ * values registered as sensitive. Secrets are masked when converted to
+ * strings, serialized as JSON or inspected.
+ */
+class Secret {
+
+  /**
+   * Constructor.
+   *
+   * @param {*} value - Sensitive value.
+   */
+  constructor(value) {
+    Object.defineProperty(this, 'value', { value, enumerable: false });
+  }
+
+  /**
+   * Returns the sensitive value.
+   *
+   * @returns {*} Unmasked value.
+   */
+  reveal() {
+    return this.value;
+  }
+
+  /**
+   * Returns the mask shown in place of the value.
+   *
+   * @returns {string} Mask.
+   */
+  toString() {
+    return MASK;
+  }
+
+  /**
+   * Returns the mask shown in place of the value.
+   *
+   * @returns {string} Mask.
+   */
+  toJSON() {
+    return MASK;
+  }
+
+  /**
+   * Returns the representation used by `util.inspect()`.
+   *
+   * @returns {string} Masked representation.
+   */
+  [util.inspect.custom]() {
+    return `Secret(${MASK})`;
+  }
+
+}
+
+/**
+ * Determines whether values of key `key` are treated as sensitive.
+ *
+ * @param {string} key - Object key or option name.
+ *
+ * @returns {boolean} True if values of key are sensitive.
+ */
+const isSensitiveKey = (key) => {
+  return SENSITIVE_KEY_PATTERN.test(String(key));
+};
+
+/**
+ * Returns the value wrapped by `value` if it is a Secret.
+ *
+ * @param {*} value - Value, which may be a Secret.
+ *
+ * @returns {*} Unwrapped value.
+ */
+const unwrapSecret = (value) => {
+  return (value instanceof Secret) ? value.reveal() : value;
+};
+
+/**
+ * Returns every non-empty string and number within `value` as a string.
+ *
+ * @param {*} value - Value, which may be a Secret, array or plain object.
+ *
+ * @returns {string[]} Sensitive strings.
+ */
+const toSecretValues = (value) => {
+  const unwrapped = unwrapSecret(value);
+  if (typeof unwrapped === 'string' || typeof unwrapped === 'number') {
+    const text = String(unwrapped);
+    return (text.length > 0) ? [text] : [];
+  }
+  if (Array.isArray(unwrapped)) {
+    return unwrapped.flatMap(toSecretValues);
+  }
+  if (isPlainObject(unwrapped)) {
+    return Object.values(unwrapped).flatMap(toSecretValues);
+  }
+  return [];
+};
+
+/**
+ * Registers `value` as sensitive, so that `redact()` masks it.
+ *
+ * Strings and numbers are registered, along with every string and number
+ * within arrays and plain objects. Within `withSecrets()`, values are
+ * registered for the rest of the scope; otherwise they are registered
+ * process-wide.
+ *
+ * @param {*} value - Sensitive value.
+ */
+const registerSecret = (value) => {
+  const scope = scopes.getStore();
+  toSecretValues(value).forEach((text) => {
+    if (scope) {
+      scope.values.add(text);
+    }
+    else {
+      secrets.set(text, (secrets.get(text) || 0) + 1);
+    }
+  });
+};
+
+/**
+ * Unregisters `value`, which was registered outside any scope.
+ *
+ * Values registered more than once remain sensitive until they have been
+ * unregistered as many times.
+ *
+ * @param {*} value - Sensitive value given to `registerSecret()`.
+ */
+const unregisterSecret = (value) => {
+  toSecretValues(value).forEach((text) => {
+    const count = secrets.get(text) || 0;
+    if (count > 1) {
+      secrets.set(text, count - 1);
+    }
+    else {
+      secrets.delete(text);
+    }
+  });
+};
+
+/**
+ * Returns the values of sensitive keys within `value`.
+ *
+ * @param {*} value - Object or array to search.
+ *
+ * @returns {string[]} Sensitive strings.
+ */
+const getSensitiveKeyValues = (value) => {
+  if (Array.isArray(value)) {
+    return value.flatMap(getSensitiveKeyValues);
+  }
+  if (!isPlainObject(value)) {
+    return [];
+  }
+  return Object.entries(value).flatMap(([key, child]) => {
+    return (isSensitiveKey(key) || child instanceof Secret)
+      ? toSecretValues(child)
+      : getSensitiveKeyValues(child);
+  });
+};
+
+/**
+ * Registers the values of sensitive keys within `value` as sensitive.
+ *
+ * @param {*} value - Object or array to search.
+ */
+const registerSensitiveValues = (value) => {
+  getSensitiveKeyValues(value).forEach(registerSecret);
+};
+
+/**
+ * Calls `fn` within a new scope in which `values` are registered as
+ * sensitive, along with any values registered until `fn` settles.
+ *
+ * Scopes are tracked through asynchronous calls, and nested scopes also mask
+ * the values of the scopes they are nested within.
+ *
+ * @param {*} values - Sensitive values; see `registerSecret()`.
+ * @param {function} fn - Function which is called within the scope, and may
+ * return a promise.
+ *
+ * @returns {*} Value returned by `fn`.
+ */
+const withSecrets = (values, fn) => {
+  const scope = { values: new Set(toSecretValues(values)), parent: scopes.getStore() || null };
+  return scopes.run(scope, fn);
+};
+
+/**
+ * Returns every sensitive value registered process-wide or in the current
+ * scope.
+ *
+ * @returns {string[]} Sensitive strings.
+ */
+const getSecrets = () => {
+  const values = new Set(secrets.keys());
+  for (let scope = scopes.getStore(); scope; scope = scope.parent) {
+    scope.values.forEach((value) => values.add(value));
+  }
+  return [...values];
+};
+
+/**
+ * Masks each of `values` within `text`, whatever its length.
+ *
+ * @param {string} text - Text to redact.
+ * @param {Iterable} values - Sensitive strings to mask.
+ *
+ * @returns {string} Redacted text.
+ */
+const maskValues = (text, values) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  // Longer values are replaced first, in case one value contains another.
+  const sorted = [...values].filter((value) => value.length > 0).sort((a, b) => b.length - a.length);
+  return sorted.reduce((result, value) => result.split(value).join(MASK), text);
+};
+
+/**
+ * Masks every sensitive value registered process-wide or in the current
+ * scope within `text`.
+ *
+ * Values shorter than `MIN_SECRET_LENGTH` are only masked where they are not
+ * preceded or followed by a letter or digit.
+ *
+ * @param {string} text - Text to redact.
+ *
+ * @returns {string} Redacted text.
+ */
+const redact = (text) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const current = getSecrets();
+  if (current.length === 0) {
+    return text;
+  }
+  const long = current.filter((secret) => secret.length >= MIN_SECRET_LENGTH);
+  const short = current.filter((secret) => secret.length < MIN_SECRET_LENGTH);
+  const masked = maskValues(text, long);
+  return short.reduce((result, secret) => {
+    const escaped = secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return result.replace(new RegExp(`(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`, 'g'), MASK);
+  }, masked);
+};
+
+/**
+ * Redacts the message and stack of error `err` in place.
+ *
+ * @param {Error} err - Error to redact.
+ *
+ * @returns {Error} The same error.
+ */
+const redactError = (err) => {
+  if (err && typeof err === 'object') {
+    if (typeof err.message === 'string') {
+      err.message = redact(err.message);
+    }
+    if (typeof err.stack === 'string') {
+      err.stack = redact(err.stack);
+    }
+  }
+  return err;
+};
+
+/**
+ * Returns a copy of `value` with sensitive values masked.
+ *
+ * Values of sensitive keys and Secret instances are replaced with the mask,
+ * and registered sensitive values are masked within strings. Arrays and plain
+ * objects are copied recursively; other values are returned as-is.
+ *
+ * @param {*} value - Value to redact.
+ * @param {function=} isSensitive - Callback which receives each object key
+ * and returns true if its value should be masked. Defaults to
+ * `isSensitiveKey()`.
+ *
+ * @returns {*} Redacted copy of value.
+ */
+const redactObject = (value, isSensitive = isSensitiveKey) => {
+  if (value instanceof Secret) {
+    return MASK;
+  }
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactObject(item, isSensitive));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const redacted = {};
+  Object.entries(value).forEach(([key, child]) => {
+    const masked = (child !== undefined && child !== null && isSensitive(key));
+    redacted[key] = masked ? MASK : redactObject(child, isSensitive);
+  });
+  return redacted;
+};
+
+/**
+ * Prevents object `obj` from being printed or serialized with its sensitive
+ * values.
+ *
+ * Defines non-enumerable `toJSON()` and `util.inspect.custom` methods on the
+ * object, which use a copy redacted by `redactObject()`. The object itself is
+ * otherwise unchanged.
+ *
+ * @param {Object} obj - Object to protect.
+ * @param {function=} isSensitive - Callback which receives each object key
+ * and returns true if its value should be masked. Defaults to
+ * `isSensitiveKey()`.
+ *
+ * @returns {Object} The same object.
+ */
+const protectObject = (obj, isSensitive = isSensitiveKey) => {
+  const redacted = () => redactObject({ ...obj }, isSensitive);
+  Object.defineProperties(obj, {
+    toJSON: {
+      value: redacted,
+      enumerable: false,
+      configurable: true,
+      writable: true,
+    },
+    [util.inspect.custom]: {
+      value: (depth, options) => util.inspect(redacted(), { ...options, depth }),
+      enumerable: false,
+      configurable: true,
+      writable: true,
+    },
+  });
+  return obj;
+};
+
+/**
+ * Determines whether `value` is a plain object.
+ *
+ * @param {*} value - Value to check.
+ *
+ * @returns {boolean} True if value is a plain object.
+ */
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return (prototype === Object.prototype || prototype === null);
+};
+
+module.exports = {
+  MASK,
+  MIN_SECRET_LENGTH,
+  SENSITIVE_KEY_PATTERN,
+  Secret,
+  isSensitiveKey,
+  unwrapSecret,
+  registerSecret,
+  unregisterSecret,
+  registerSensitiveValues,
+  getSensitiveKeyValues,
+  withSecrets,
+  maskValues,
+  redact,
+  redactError,
+  redactObject,
+  protectObject,
+};
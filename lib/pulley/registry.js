@@ -0,0 +1,395 @@
+/**
+ * @file Registry of named plugins and config-driven instantiation.
+ *
+ * Plugins are registered under a type ID made up of their kind and name, e.g.
+ * `source:git`, `action:rename`, `bundler:tar` or `credentials:netrc`.
+ *
+ * Installed npm packages can expose plugins by declaring a `pulley` field in
+ * their package.json. The field may either map type IDs to modules which
+ * export plugin classes:
+ *
+ *     "pulley": {
+ *       "plugins": {
+ *         "source:git": "./lib/gitSource.js"
+ *       }
+ *     }
+ *
+ * or name a module which exports a function that receives the registry:
+ *
+ *     "pulley": "./lib/register.js"
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Action = require('./action.js');
+const AuthenticatedSource = require('./authenticatedSource.js');
+const Bundler = require('./bundler.js');
+const CredentialProvider = require('./credentialProvider.js');
+const Source = require('./source.js');
+const { RegistryError } = require('./errors.js');
+
+/**
+ * Plugin kinds mapped to the base class that their plugins must extend.
+ */
+const KINDS = {
+  source: Source,
+  action: Action,
+  bundler: Bundler,
+  credentials: CredentialProvider,
+};
+
+/**
+ * Splits type ID `typeId` into its kind and name.
+ *
+ * @param {string} typeId - Type ID, e.g. `source:git`.
+ *
+ * @returns {Object} Object with `kind` and `name` properties.
+ */
+const parseTypeId = (typeId) => {
+  const match = /^([a-z]+):(.+)$/.exec(typeId || '');
+  if (!match || !KINDS[match[1]]) {
+    const kinds = Object.keys(KINDS).join(', ');
+    throw new RegistryError(`Invalid plugin type '${typeId}'; expected '<kind>:<name>' where kind is one of: ${kinds}`, typeId);
+  }
+  return { kind: match[1], name: match[2] };
+};
+
+/**
+ * Registry of Pulley plugins.
+ */
+class Registry {
+
+  /**
+   * Constructor.
+   */
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Registers plugin class `Plugin` under type ID `typeId`.
+   *
+   * @param {string} typeId - Type ID, e.g. `source:git`.
+   * @param {Function} Plugin - Plugin class.
+   * @param {Object=} options - Optional registration options.
+   * @param {string=} options.version - Plugin version.
+   * @param {string=} options.packageName - Name of npm package providing plugin.
+   *
+   * @returns {Object} Registry entry.
+   */
+  register(typeId, Plugin, options = {}) {
+    const { kind, name } = parseTypeId(typeId);
+
+    if (typeof Plugin !== 'function' || !(Plugin.prototype instanceof KINDS[kind])) {
+      throw new RegistryError(`Plugin '${typeId}' must be a class extending ${KINDS[kind].name}`, typeId);
+    }
+
+    if (this.entries.has(typeId)) {
+      const existing = this.entries.get(typeId);
+      const origin = existing.packageName ? ` by '${existing.packageName}'` : '';
+      throw new RegistryError(`Plugin '${typeId}' is already registered${origin}`, typeId);
+    }
+
+    const entry = {
+      type: typeId,
+      kind,
+      name,
+      Plugin,
+      version: options.version || null,
+      packageName: options.packageName || null,
+    };
+    this.entries.set(typeId, entry);
+
+    return entry;
+  }
+
+  /**
+   * Removes the plugin registered under type ID `typeId`, if any.
+   *
+   * @param {string} typeId - Type ID.
+   *
+   * @returns {boolean} True if a plugin was removed.
+   */
+  unregister(typeId) {
+    return this.entries.delete(typeId);
+  }
+
+  /**
+   * Determines whether a plugin is registered under type ID `typeId`.
+   *
+   * @param {string} typeId - Type ID.
+   *
+   * @returns {boolean} True if plugin is registered.
+   */
+  has(typeId) {
+    return this.entries.has(typeId);
+  }
+
+  /**
+   * Retrieves the registry entry for type ID `typeId`.
+   *
+   * @param {string} typeId - Type ID.
+   *
+   * @returns {Object} Registry entry.
+   */
+  get(typeId) {
+    const { kind } = parseTypeId(typeId);
+
+    if (!this.entries.has(typeId)) {
+      const known = this.list(kind).map((entry) => entry.type);
+      const suggestion = known.length > 0
+        ? `; registered ${kind} plugins: ${known.join(', ')}`
+        : `; no ${kind} plugins are registered`;
+      throw new RegistryError(`Unknown plugin type '${typeId}'${suggestion}`, typeId);
+    }
+
+    return this.entries.get(typeId);
+  }
+
+  /**
+   * Lists registry entries, optionally limited to plugins of kind `kind`.
+   *
+   * @param {string=} kind - Optional plugin kind, e.g. `source`.
+   *
+   * @returns {Object[]} Array of registry entries.
+   */
+  list(kind) {
+    return [...this.entries.values()].filter((entry) => {
+      return (!kind || entry.kind === kind);
+    });
+  }
+
+  /**
+   * Creates a plugin instance of kind `kind` from plain config object `config`.
+   *
+   * The config's `type` may be either a plugin name (e.g. `git`) or a full
+   * type ID (e.g. `source:git`). Authentication options may only be given
+   * for sources which extend AuthenticatedSource. Their `provider` option may
+   * be a credential provider config, or the name of a credential provider
+   * which needs no options, e.g. `netrc`.
+   *
+   * @param {string} kind - Plugin kind, e.g. `source`.
+   * @param {Object} config - Plugin config object.
+   * @param {string} config.type - Plugin name or type ID.
+   * @param {Object=} config.options - Options passed to plugin constructor.
+   * @param {Object=} config.authentication - Authentication options.
+   *
+   * @returns {Object} Plugin instance.
+   */
+  create(kind, config) {
+    if (!config || typeof config.type !== 'string') {
+      throw new RegistryError(`Config for ${kind} must specify a 'type'`);
+    }
+
+    const typeId = config.type.includes(':') ? config.type : `${kind}:${config.type}`;
+    const entry = this.get(typeId);
+
+    if (entry.kind !== kind) {
+      throw new RegistryError(`Plugin '${typeId}' is a ${entry.kind}, not a ${kind}`, typeId);
+    }
+
+    const { Plugin } = entry;
+    if (Plugin.prototype instanceof AuthenticatedSource) {
+      return new Plugin(config.options || {}, this.createAuthentication(config.authentication || {}));
+    }
+    if (config.authentication) {
+      throw new RegistryError(`Plugin '${typeId}' does not accept authentication`, typeId);
+    }
+    if (kind === 'action') {
+      return new Plugin(this.createNestedActions(Plugin, config.options || {}));
+    }
+    return new Plugin(config.options || {});
+  }
+
+  /**
+   * Creates the credential provider referenced by authentication options
+   * `authentication`, if any.
+   *
+   * @param {Object} authentication - Authentication options object.
+   *
+   * @returns {Object} Authentication options object with any provider config
+   * replaced by a credential provider instance.
+   */
+  createAuthentication(authentication) {
+    const { provider } = authentication;
+    if (provider === undefined || provider instanceof CredentialProvider) {
+      return authentication;
+    }
+    const providerConfig = (typeof provider === 'string') ? { type: provider } : provider;
+    return { ...authentication, provider: this.createCredentialProvider(providerConfig) };
+  }
+
+  /**
+   * Creates nested actions declared by action class `Plugin` from config.
+   *
+   * @param {Function} Plugin - Action class.
+   * @param {Object} options - Action options object.
+   *
+   * @returns {Object} Options object with nested action configs replaced by
+   * action instances.
+   */
+  createNestedActions(Plugin, options) {
+    const created = { ...options };
+    Plugin.nestedActionOptions.forEach((key) => {
+      if (Array.isArray(options[key])) {
+        created[key] = options[key].map((child) => {
+          return (child instanceof Action) ? child : this.createAction(child);
+        });
+      }
+    });
+    return created;
+  }
+
+  /**
+   * Creates a source instance from plain config object `config`.
+   *
+   * @param {Object} config - Source config object.
+   *
+   * @returns {Object} Source instance.
+   */
+  createSource(config) {
+    return this.create('source', config);
+  }
+
+  /**
+   * Creates an action instance from plain config object `config`.
+   *
+   * @param {Object} config - Action config object.
+   *
+   * @returns {Object} Action instance.
+   */
+  createAction(config) {
+    return this.create('action', config);
+  }
+
+  /**
+   * Creates a credential provider instance from plain config object `config`.
+   *
+   * @param {Object} config - Credential provider config object.
+   *
+   * @returns {Object} Credential provider instance.
+   */
+  createCredentialProvider(config) {
+    return this.create('credentials', config);
+  }
+
+  /**
+   * Creates a bundler instance from plain config object `config`.
+   *
+   * @param {Object} config - Bundler config object.
+   *
+   * @returns {Object} Bundler instance.
+   */
+  createBundler(config) {
+    return this.create('bundler', config);
+  }
+
+  /**
+   * Discovers and registers plugins from installed npm packages.
+   *
+   * Searches the `node_modules` directories of `paths` (including scoped
+   * packages) for packages whose package.json declares a `pulley` field.
+   *
+   * @param {Object=} options - Optional discovery options.
+   * @param {string[]=} options.paths - Directories containing `node_modules`.
+   * Defaults to the current working directory.
+   *
+   * @returns {Promise} Promise that resolves to an array of new registry entries.
+   */
+  async discover(options = {}) {
+    const paths = options.paths || [process.cwd()];
+    const registered = [];
+
+    for (const basePath of paths) {
+      const packageDirs = await findPackageDirs(path.join(basePath, 'node_modules'));
+      for (const packageDir of packageDirs) {
+        registered.push(...this.registerPackage(packageDir));
+      }
+    }
+
+    return registered;
+  }
+
+  /**
+   * Registers plugins declared by the npm package at `packageDir`.
+   *
+   * @param {string} packageDir - Path to npm package directory.
+   *
+   * @returns {Object[]} Array of new registry entries.
+   */
+  registerPackage(packageDir) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+    }
+    catch (err) {
+      return [];
+    }
+
+    const declaration = manifest.pulley;
+    if (!declaration) {
+      return [];
+    }
+
+    const registrationOptions = {
+      version: manifest.version,
+      packageName: manifest.name,
+    };
+
+    if (typeof declaration === 'string') {
+      const before = new Set(this.entries.keys());
+      const register = require(path.resolve(packageDir, declaration));
+      if (typeof register !== 'function') {
+        throw new RegistryError(`Package '${manifest.name}' must export a registration function from '${declaration}'`);
+      }
+      register(this, registrationOptions);
+      return this.list().filter((entry) => !before.has(entry.type));
+    }
+
+    const plugins = declaration.plugins || {};
+    return Object.keys(plugins).map((typeId) => {
+      const Plugin = require(path.resolve(packageDir, plugins[typeId]));
+      return this.register(typeId, Plugin, registrationOptions);
+    });
+  }
+
+}
+
+/**
+ * Finds npm package directories, including scoped packages, in `modulesDir`.
+ *
+ * @param {string} modulesDir - Path to `node_modules` directory.
+ *
+ * @returns {Promise} Promise that resolves to array of package directories.
+ */
+const findPackageDirs = async (modulesDir) => {
+  let names;
+  try {
+    names = await fs.promises.readdir(modulesDir);
+  }
+  catch (err) {
+    return [];
+  }
+
+  const packageDirs = [];
+  for (const name of names.sort()) {
+    if (name.startsWith('.')) {
+      continue;
+    }
+    if (name.startsWith('@')) {
+      const scopedNames = await fs.promises.readdir(path.join(modulesDir, name));
+      scopedNames.sort().forEach((scopedName) => {
+        packageDirs.push(path.join(modulesDir, name, scopedName));
+      });
+      continue;
+    }
+    packageDirs.push(path.join(modulesDir, name));
+  }
+
+  return packageDirs;
+};
+
+Registry.KINDS = Object.keys(KINDS);
+
+module.exports = Registry;
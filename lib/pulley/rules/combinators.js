@@ -0,0 +1,223 @@
+/**
+ * @file Functions which compose existing rules into new rules.
+ *
+ * Each combinator accepts rules in the same format as `validateRule()`: either
+ * a Rule instance, or an indexed array whose first item is a Rule instance
+ * and whose subsequent items are passed to its test.
+ *
+ * Rules given as bare Rule instances receive whatever parameters are passed
+ * to the combined rule's test, so the following are equivalent:
+ *
+ *     [allOf([hasKeys, hasOnlyKeys]), options, ['token']]
+ *     allOf([[hasKeys, options, ['token']], [hasOnlyKeys, options, ['token']]])
+ *
+ * None of the combinators modify the rules they are given.
+ */
+
+const {
+  Rule,
+  extractRule,
+  validateRule,
+  makeInverseRule,
+} = require('./rule.js');
+
+/**
+ * Validates `rule`, passing `params` to its test if it is a bare Rule.
+ *
+ * @param {Array|Object} rule - Rule instance, or array with Rule and test data.
+ * @param {Array} params - Parameters passed to the combined rule's test.
+ *
+ * @returns {Promise} Rule validation Promise.
+ */
+const validateChild = (rule, params) => {
+  if (Array.isArray(rule)) {
+    return validateRule(rule);
+  }
+  return validateRule([rule, ...params]);
+};
+
+/**
+ * Validates each rule in `rules` and collects their outcomes.
+ *
+ * @param {Array} rules - Array of rules to validate.
+ * @param {Array} params - Parameters passed to the combined rule's test.
+ *
+ * @returns {Promise} Promise that resolves to an array of outcome objects.
+ */
+const settleChildren = (rules, params) => {
+  return Promise.all(rules.map(async (rule) => {
+    const { name } = extractRule(rule);
+    try {
+      return { name, passed: true, message: await validateChild(rule, params) };
+    }
+    catch (err) {
+      return { name, passed: false, message: err.message };
+    }
+  }));
+};
+
+/**
+ * Joins the names of the given rules for use in a combined rule's name.
+ *
+ * @param {Array} rules - Array of rules.
+ *
+ * @returns {string} Comma-separated rule names.
+ */
+const joinNames = (rules) => {
+  return rules.map((rule) => extractRule(rule).name).join(', ');
+};
+
+/**
+ * Creates a new rule which succeeds only if every given rule succeeds.
+ *
+ * @param {Array} rules - Array of rules to combine.
+ * @param {string=} name - Optional name to assign to new rule.
+ * @param {string=} brief - Optional brief description to assign to new rule.
+ *
+ * @returns {Object} Combined Rule instance.
+ */
+const allOf = (rules, name, brief) => {
+  return new Rule(
+    (name || `All of: ${joinNames(rules)}`),
+    (brief || 'Confirms that every rule is satisfied'),
+    async (...params) => {
+      const outcomes = await settleChildren(rules, params);
+      const failed = outcomes.filter((outcome) => !outcome.passed);
+
+      if (failed.length > 0) {
+        throw new Error(failed.map((outcome) => outcome.message).join('; '));
+      }
+
+      return outcomes.map((outcome) => outcome.message).join('; ');
+    }
+  );
+};
+
+/**
+ * Creates a new rule which succeeds if at least one given rule succeeds.
+ *
+ * @param {Array} rules - Array of rules to combine.
+ * @param {string=} name - Optional name to assign to new rule.
+ * @param {string=} brief - Optional brief description to assign to new rule.
+ *
+ * @returns {Object} Combined Rule instance.
+ */
+const anyOf = (rules, name, brief) => {
+  return new Rule(
+    (name || `Any of: ${joinNames(rules)}`),
+    (brief || 'Confirms that at least one rule is satisfied'),
+    async (...params) => {
+      const outcomes = await settleChildren(rules, params);
+      const passed = outcomes.filter((outcome) => outcome.passed);
+
+      if (passed.length === 0) {
+        const messages = outcomes.map((outcome) => outcome.message).join('; ');
+        throw new Error(`None of the rules were satisfied: ${messages}`);
+      }
+
+      return passed.map((outcome) => outcome.message).join('; ');
+    }
+  );
+};
+
+/**
+ * Creates a new rule which succeeds if exactly one given rule succeeds.
+ *
+ * @param {Array} rules - Array of rules to combine.
+ * @param {string=} name - Optional name to assign to new rule.
+ * @param {string=} brief - Optional brief description to assign to new rule.
+ *
+ * @returns {Object} Combined Rule instance.
+ */
+const oneOf = (rules, name, brief) => {
+  return new Rule(
+    (name || `One of: ${joinNames(rules)}`),
+    (brief || 'Confirms that exactly one rule is satisfied'),
+    async (...params) => {
+      const outcomes = await settleChildren(rules, params);
+      const passed = outcomes.filter((outcome) => outcome.passed);
+
+      if (passed.length === 0) {
+        const messages = outcomes.map((outcome) => outcome.message).join('; ');
+        throw new Error(`None of the rules were satisfied: ${messages}`);
+      }
+
+      if (passed.length > 1) {
+        const names = passed.map((outcome) => outcome.name).join(', ');
+        throw new Error(`More than one rule was satisfied: ${names}`);
+      }
+
+      return passed[0].message;
+    }
+  );
+};
+
+/**
+ * Creates a new rule which validates conditionally on another rule.
+ *
+ * If `predicateRule` succeeds, the resulting rule validates `thenRule`.
+ * Otherwise, it validates `elseRule`, or succeeds if no `elseRule` is given.
+ *
+ * @param {Array|Object} predicateRule - Rule which determines the branch taken.
+ * @param {Array|Object} thenRule - Rule validated if predicate succeeds.
+ * @param {(Array|Object)=} elseRule - Optional rule validated otherwise.
+ * @param {string=} name - Optional name to assign to new rule.
+ * @param {string=} brief - Optional brief description to assign to new rule.
+ *
+ * @returns {Object} Conditional Rule instance.
+ */
+const when = (predicateRule, thenRule, elseRule, name, brief) => {
+  const predicateName = extractRule(predicateRule).name;
+
+  return new Rule(
+    (name || `When ${predicateName}`),
+    (brief || `Confirms rules conditional on '${predicateName}' are satisfied`),
+    async (...params) => {
+      let predicatePassed = true;
+      try {
+        await validateChild(predicateRule, params);
+      }
+      catch (err) {
+        predicatePassed = false;
+      }
+
+      if (predicatePassed) {
+        return validateChild(thenRule, params);
+      }
+      if (elseRule) {
+        return validateChild(elseRule, params);
+      }
+      return `Condition '${predicateName}' not met; nothing to validate`;
+    }
+  );
+};
+
+/**
+ * Creates a new rule which validates the opposite of the given rule.
+ *
+ * Unlike passing a bare Rule to `makeInverseRule()`, `rule` may also be an
+ * array containing a Rule instance and its test data.
+ *
+ * @param {Array|Object} rule - Rule from which to create inverse rule.
+ * @param {string=} name - Optional name to assign to new rule.
+ * @param {string=} brief - Optional brief description to assign to new rule.
+ *
+ * @returns {Object} Rule instance which is the inverse of rule `rule`.
+ */
+const not = (rule, name, brief) => {
+  const ruleInstance = extractRule(rule);
+  const bound = new Rule(
+    ruleInstance.name,
+    ruleInstance.brief,
+    (...params) => validateChild(rule, params)
+  );
+  return makeInverseRule(bound, name, brief);
+};
+
+module.exports = {
+  allOf,
+  anyOf,
+  oneOf,
+  when,
+  not,
+};
@@ -0,0 +1,63 @@
+/**
+ * @file Validation rules dealing with dependencies between packages.
+ */
+
+const { Rule } = require('./rule.js');
+
+/**
+ * Validates that each dependency of a package names another package.
+ */
+const dependenciesExist = new Rule(
+  'Dependencies exist',
+  'Confirms each dependency names another package',
+  /**
+   * Confirms that each of the names in `dependsOn` is in `names`, and that
+   * none of them is `name` itself.
+   *
+   * @param {string[]} dependsOn - Names of packages depended on.
+   * @param {string[]} names - Names of every package.
+   * @param {string} name - Name of package whose dependencies are checked.
+   *
+   * @returns {Promise} Promise describing rule validation result.
+   */
+  async (dependsOn, names, name) => {
+    if (dependsOn.includes(name)) {
+      throw new Error(`Package '${name}' depends on itself`);
+    }
+
+    const unknown = dependsOn.filter((dependency) => !names.includes(dependency));
+    if (unknown.length > 0) {
+      throw new Error(`Package '${name}' depends on unknown packages: ${unknown.join(', ')}`);
+    }
+
+    return `Dependencies of package '${name}' exist`;
+  }
+);
+
+/**
+ * Validates that a package is not part of a dependency cycle.
+ */
+const hasNoDependencyCycles = new Rule(
+  'Has no dependency cycles',
+  'Confirms package does not depend on itself indirectly',
+  /**
+   * Confirms that package `name` is not part of any of `cycles`.
+   *
+   * @param {string} name - Name of package being checked.
+   * @param {Array} cycles - Dependency cycles, each an array of package names
+   * which starts and ends with the same name; see `findCycles()` in
+   * `scheduler.js`.
+   *
+   * @returns {Promise} Promise describing rule validation result.
+   */
+  async (name, cycles) => {
+    const cycle = cycles.find((names) => names.includes(name));
+    if (cycle) {
+      throw new Error(`Package '${name}' is part of a dependency cycle: ${cycle.join(' -> ')}`);
+    }
+
+    return `Package '${name}' is not part of a dependency cycle`;
+  }
+);
+
+module.exports = { dependenciesExist, hasNoDependencyCycles };
@@ -24,11 +24,13 @@ const pathExists = new Rule(
    * @returns {Promise} Promise describing rule validation results.
    */
   async (filepath) => {
-    let exists = await fs.promisify.access(filepath);
-    if (exists) {
-      return `File or directory at '${filepath} exists`;
+    try {
+      await fs.promises.access(filepath);
+    }
+    catch (err) {
+      throw new Error(`File or directory at '${filepath}' does not exist`);
     }
-    throw new Error(`File or directory at '${filepath}' does not exist`);
+    return `File or directory at '${filepath}' exists`;
   }
 );
 
@@ -1,16 +1,24 @@
 const rule = require('./rule.js');
+const combinators = require('./combinators.js');
+const paths = require('./paths.js');
 
+const dependenciesRules = require('./dependencies.js');
 const filesystemRules = require('./filesystem.js');
 const keysRules = require('./keys.js');
 const objectsRules = require('./objects.js');
+const schemaRules = require('./schema.js');
 const stringsRules = require('./strings.js');
 
 module.exports = {
   ...rule,
+  ...combinators,
+  ...paths,
   rules: {
+    dependencies: dependenciesRules,
     filesystem: filesystemRules,
     keys: keysRules,
     objects: objectsRules,
+    schema: schemaRules,
     strings: stringsRules,
   },
 };
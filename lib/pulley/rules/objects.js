@@ -58,4 +58,77 @@ const objectDoesNotExist = new Rule(
   }
 );
 
-module.exports = { objectExists, objectDoesNotExist };
+/**
+ * Validates that the given value is of the given type.
+ */
+const isOfType = new Rule(
+  'Is of type',
+  'Confirms value is of the required type',
+  /**
+   * Confirms that the given value `value` is of type `type`.
+   *
+   * Supported types are `string`, `boolean`, `number`, `integer`, `array`,
+   * `object` and `function`. Arrays and `null` are not considered objects.
+   *
+   * @param {*} value - Value whose type is being checked.
+   * @param {string} type - Name of required type.
+   * @param {string=} name - Optional human-readable name describing value.
+   *
+   * @return {Promise} Promise describing rule validation result.
+   */
+  async (value, type, name) => {
+    let valueName = name || 'value';
+    let matches;
+
+    switch (type) {
+      case 'array':
+        matches = Array.isArray(value);
+        break;
+      case 'object':
+        matches = (value !== null && typeof value === 'object' && !Array.isArray(value));
+        break;
+      case 'integer':
+        matches = Number.isInteger(value);
+        break;
+      case 'number':
+        matches = (typeof value === 'number' && !isNaN(value));
+        break;
+      default:
+        matches = (typeof value === type);
+    }
+
+    if (matches) {
+      return `Value '${valueName}' is of type ${type}`;
+    }
+
+    throw new Error(`Value '${valueName}' is not of type ${type}`);
+  }
+);
+
+/**
+ * Validates that the given value is an instance of the given class.
+ */
+const isInstanceOf = new Rule(
+  'Is instance of',
+  'Confirms value is an instance of the required class',
+  /**
+   * Confirms that the given value `value` is an instance of class `Class`.
+   *
+   * @param {*} value - Value being checked.
+   * @param {Function} Class - Required class.
+   * @param {string=} name - Optional human-readable name describing value.
+   *
+   * @return {Promise} Promise describing rule validation result.
+   */
+  async (value, Class, name) => {
+    const valueName = name || 'value';
+
+    if (value instanceof Class) {
+      return `Value '${valueName}' is an instance of ${Class.name}`;
+    }
+
+    throw new Error(`Value '${valueName}' is not an instance of ${Class.name}`);
+  }
+);
+
+module.exports = { objectExists, objectDoesNotExist, isOfType, isInstanceOf };
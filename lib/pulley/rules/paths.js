@@ -0,0 +1,228 @@
+/**
+ * @file Functions which scope existing rules to paths within an object.
+ *
+ * Paths may be given using dotted notation (e.g. `server.host`,
+ * `mirrors[0].url`, `headers['x-token']`) or as JSON pointers (e.g.
+ * `/server/host`). A `*` segment, written `[*]` or `.*` in dotted notation,
+ * matches every item of an array or every value of an object.
+ */
+
+const { Rule } = require('./rule.js');
+
+/**
+ * Wildcard path segment.
+ */
+const WILDCARD = Symbol('wildcard');
+
+/**
+ * Parses a JSON pointer into an array of path segments.
+ *
+ * @param {string} pointer - JSON pointer, e.g. `/mirrors/0/url`.
+ *
+ * @returns {Array} Array of path segments.
+ */
+const parsePointer = (pointer) => {
+  return pointer.split('/').slice(1).map((token) => {
+    if (token === '*') {
+      return WILDCARD;
+    }
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+};
+
+/**
+ * Parses a dotted path into an array of path segments.
+ *
+ * @param {string} dotted - Dotted path, e.g. `mirrors[*].url`.
+ *
+ * @returns {Array} Array of path segments.
+ */
+const parseDotted = (dotted) => {
+  const segments = [];
+  const pattern = /([^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\]/g;
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(dotted)) !== null) {
+    const between = dotted.slice(position, match.index);
+    if (between !== '' && between !== '.') {
+      throw new Error(`Invalid path '${dotted}' near '${between}'`);
+    }
+    position = pattern.lastIndex;
+
+    const segment = (match[1] !== undefined) ? match[1] : match[2];
+    if (segment === '*') {
+      segments.push(WILDCARD);
+    }
+    else if (/^['"]/.test(segment)) {
+      segments.push(segment.slice(1, -1));
+    }
+    else {
+      segments.push(segment);
+    }
+  }
+
+  if (position !== dotted.length) {
+    throw new Error(`Invalid path '${dotted}' near '${dotted.slice(position)}'`);
+  }
+
+  return segments;
+};
+
+/**
+ * Parses the given path into an array of path segments.
+ *
+ * Paths which are empty or begin with `/` are treated as JSON pointers; all
+ * other paths are treated as dotted paths.
+ *
+ * @param {string} path - Dotted path or JSON pointer.
+ *
+ * @returns {Array} Array of path segments.
+ */
+const parsePath = (path) => {
+  if (path === '' || path.startsWith('/')) {
+    return parsePointer(path);
+  }
+  return parseDotted(path);
+};
+
+/**
+ * Formats an array of concrete path segments for display.
+ *
+ * @param {Array} segments - Array of path segments.
+ * @param {boolean} asPointer - Whether to format segments as a JSON pointer.
+ *
+ * @returns {string} Formatted path.
+ */
+const formatPath = (segments, asPointer) => {
+  if (asPointer) {
+    return segments.map((segment) => {
+      return `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }).join('');
+  }
+
+  return segments.reduce((formatted, segment) => {
+    if (typeof segment === 'number') {
+      return `${formatted}[${segment}]`;
+    }
+    if (!/^[A-Za-z_$][\w$-]*$/.test(segment)) {
+      return `${formatted}['${segment}']`;
+    }
+    return formatted ? `${formatted}.${segment}` : segment;
+  }, '');
+};
+
+/**
+ * Resolves every value in `obj` which matches path `path`.
+ *
+ * Paths without wildcards always resolve to exactly one match, whose value is
+ * `undefined` if the path does not exist. Wildcard segments expand to every
+ * item of the array or object at that point, and so may resolve to zero
+ * matches.
+ *
+ * @param {Object} obj - Object in which to resolve path.
+ * @param {string} path - Dotted path or JSON pointer.
+ *
+ * @returns {Object[]} Array of objects with `path` and `value` properties.
+ */
+const resolvePath = (obj, path) => {
+  const asPointer = (path === '' || path.startsWith('/'));
+  let matches = [{ segments: [], value: obj }];
+
+  parsePath(path).forEach((segment) => {
+    matches = matches.reduce((expanded, match) => {
+      const { segments, value } = match;
+
+      if (segment === WILDCARD) {
+        if (Array.isArray(value)) {
+          value.forEach((item, index) => {
+            expanded.push({ segments: [...segments, index], value: item });
+          });
+        }
+        else if (value && typeof value === 'object') {
+          Object.keys(value).forEach((key) => {
+            expanded.push({ segments: [...segments, key], value: value[key] });
+          });
+        }
+        return expanded;
+      }
+
+      const key = (Array.isArray(value) && /^\d+$/.test(segment))
+        ? Number(segment)
+        : segment;
+      const child = (value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(Object(value), key))
+        ? value[key]
+        : undefined;
+
+      expanded.push({ segments: [...segments, key], value: child });
+      return expanded;
+    }, []);
+  });
+
+  return matches.map((match) => {
+    return {
+      path: formatPath(match.segments, asPointer),
+      value: match.value,
+    };
+  });
+};
+
+/**
+ * Creates a new rule which validates the value(s) found at a path.
+ *
+ * The resulting rule's test expects the object containing the path as its
+ * first parameter; any subsequent parameters are passed on to `rule`'s test
+ * after the resolved value. For example:
+ *
+ *     [atPath(hasKeys, 'server'), this.options, ['host']]
+ *     [atPath(isAbsolute, 'mirrors[*].path'), this.options]
+ *
+ * When the path contains wildcards, `rule` is validated against every match,
+ * and the resulting rule succeeds only if every match succeeds. Messages are
+ * prefixed with the resolved path of the value they describe.
+ *
+ * @param {Object} rule - Rule instance to validate at path.
+ * @param {string} path - Dotted path or JSON pointer.
+ * @param {string=} name - Optional name to assign to new rule.
+ * @param {string=} brief - Optional brief description to assign to new rule.
+ *
+ * @returns {Object} Path-scoped Rule instance.
+ */
+const atPath = (rule, path, name, brief) => {
+  // Parse eagerly so that malformed paths are reported when rules are defined.
+  parsePath(path);
+
+  return new Rule(
+    (name || `${rule.name} at '${path}'`),
+    (brief || rule.brief),
+    async (obj, ...params) => {
+      const matches = resolvePath(obj, path);
+
+      if (matches.length === 0) {
+        return `No values found at '${path}'`;
+      }
+
+      const outcomes = await Promise.all(matches.map(async (match) => {
+        const label = (match.path || '/');
+        try {
+          return { passed: true, message: `${label}: ${await rule.test(match.value, ...params)}` };
+        }
+        catch (err) {
+          return { passed: false, message: `${label}: ${err.message}` };
+        }
+      }));
+
+      const failed = outcomes.filter((outcome) => !outcome.passed);
+      if (failed.length > 0) {
+        throw new Error(failed.map((outcome) => outcome.message).join('; '));
+      }
+
+      return outcomes.map((outcome) => outcome.message).join('; ');
+    }
+  );
+};
+
+module.exports = {
+  atPath,
+  resolvePath,
+};
@@ -1,3 +1,6 @@
+const { isAbortError, raceSignal, throwIfAborted } = require('../abort.js');
+const { maskValues, redact } = require('../redaction.js');
+
 /**
  * Rule instance constructor.
  *
@@ -13,8 +16,6 @@ const Rule = function(name, brief, test) {
   this.test = test;
 };
 
-// TODO Add JSONSchema validation rule.
-
 /**
  * Validates the given rule.
  *
@@ -41,6 +42,99 @@ const validateRule = async (rule) => {
   return ruleInstance.test(...testParams);
 };
 
+/**
+ * Validates each rule in the given array of rules and reports the results.
+ *
+ * Each item in `rules` is expected to be in the format accepted by
+ * `validateRule()`. Rules are validated in order. When `failFast` is enabled,
+ * validation stops at the first rule that fails; otherwise, every rule is
+ * validated and all results are collected.
+ *
+ * Result messages are redacted, so that sensitive values given as test data
+ * never appear in reports. Any test data found in `secrets` is masked in the
+ * rule's message whatever its length, since it was taken from a sensitive
+ * option.
+ *
+ * If `signal` aborts, validation stops without waiting for the current rule's
+ * test to finish, and the returned promise rejects with an `AbortError`.
+ *
+ * @param {Array} rules - Array of rules, each as accepted by `validateRule()`.
+ * @param {Object=} options - Optional validation options.
+ * @param {boolean=} options.failFast - Stop validating after first failure.
+ * @param {AbortSignal=} options.signal - Signal which cancels validation.
+ * @param {string[]=} options.secrets - Values of sensitive options.
+ *
+ * @returns {Promise} Promise that resolves to validation report object.
+ */
+const validateRules = async (rules, options = {}) => {
+  const failFast = !!options.failFast;
+  const secrets = new Set(options.secrets || []);
+  const results = [];
+
+  for (const rule of rules) {
+    throwIfAborted(options.signal);
+    const ruleInstance = extractRule(rule);
+    const result = {
+      name: ruleInstance.name,
+      brief: ruleInstance.brief,
+      passed: true,
+      message: '',
+    };
+
+    const sensitive = getTestData(rule).filter((value) => secrets.has(value));
+    try {
+      result.message = redact(maskValues(await raceSignal(validateRule(rule), options.signal), sensitive));
+    }
+    catch (err) {
+      if (isAbortError(err) && options.signal && options.signal.aborted) {
+        throw err;
+      }
+      result.passed = false;
+      result.message = redact(maskValues((err && err.message) || String(err), sensitive));
+    }
+
+    results.push(result);
+
+    if (failFast && !result.passed) {
+      break;
+    }
+  }
+
+  const failures = results.filter((result) => !result.passed);
+
+  return {
+    valid: (failures.length === 0),
+    complete: (results.length === rules.length),
+    results,
+    failures,
+  };
+};
+
+/**
+ * Returns the strings and numbers given to `rule` as test data, including
+ * those within arrays and plain objects, as strings.
+ *
+ * @param {Array|Object} rule - Rule instance, or array with Rule instance.
+ *
+ * @returns {string[]} Test data values.
+ */
+const getTestData = (rule) => {
+  const values = [];
+  const collect = (value, depth) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      values.push(String(value));
+    }
+    else if (depth < 3 && value && typeof value === 'object'
+      && (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype)) {
+      Object.values(value).forEach((child) => collect(child, depth + 1));
+    }
+  };
+  if (Array.isArray(rule)) {
+    rule.slice(1).forEach((value) => collect(value, 0));
+  }
+  return values;
+};
+
 /**
  * Retrieves Rule instance from `rule`.
  *
@@ -67,6 +161,8 @@ const extractRule = (rule) => {
  * The resulting rule's validation succeeds in cases where the given rule
  * would fail, and fails in cases where the given rule would succeed.
  *
+ * The given rule is left untouched; a new Rule instance is returned.
+ *
  * @param {Object} rule - Rule from which to create inverse rule.
  * @param {string=} name - Optional name to assign to new rule.
  * @param {string=} brief - Optional brief description to assign to new rule.
@@ -74,28 +170,27 @@ const extractRule = (rule) => {
  * @returns {Object} Rule instance which is the inverse of rule `rule`.
  */
 const makeInverseRule = (rule, name, brief) => {
-  const invertedRule = rule;
-  const originalTest = rule.test;
-
-  invertedRule.name = (name || `Not ${rule.name}`);
-  invertedRule.brief = (brief || `Not ${rule.brief}`);
+  return new Rule(
+    (name || `Not ${rule.name}`),
+    (brief || `Not ${rule.brief}`),
+    async (...params) => {
+      let result;
+      try {
+        result = await rule.test(...params);
+      }
+      catch (err) {
+        return err.message;
+      }
 
-  invertedRule.test = async (...params) => {
-    let result;
-    try {
-      result = await originalTest(...params);
-    }
-    catch (err) {
-      return err.message;
+      throw new Error(result);
     }
-
-    throw new Error(result);
-  };
+  );
 };
 
 module.exports = {
   Rule: Rule,
   extractRule: extractRule,
   validateRule: validateRule,
+  validateRules: validateRules,
   makeInverseRule: makeInverseRule,
 };
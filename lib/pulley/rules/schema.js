@@ -0,0 +1,272 @@
+/**
+ * @file Validation rules dealing with JSON Schema.
+ *
+ * Implements a subset of JSON Schema draft-07 which is sufficient for
+ * describing nested option objects: `type`, `properties`, `required`,
+ * `additionalProperties`, `enum`, `const`, `pattern`, `minLength`,
+ * `maxLength`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `minItems`, `maxItems`, `items`, and `$ref` to local definitions.
+ */
+
+const { Rule } = require('./rule.js');
+
+/**
+ * Escapes a single JSON pointer reference token.
+ *
+ * @param {string} token - Unescaped reference token.
+ *
+ * @returns {string} Escaped reference token.
+ */
+const escapePointerToken = (token) => {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+/**
+ * Unescapes a single JSON pointer reference token.
+ *
+ * @param {string} token - Escaped reference token.
+ *
+ * @returns {string} Unescaped reference token.
+ */
+const unescapePointerToken = (token) => {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+};
+
+/**
+ * Returns the JSON Schema type name which describes `value`.
+ *
+ * @param {*} value - Value whose type is being determined.
+ *
+ * @returns {string} JSON Schema type name.
+ */
+const getSchemaType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+};
+
+/**
+ * Determines whether `value` satisfies JSON Schema type `type`.
+ *
+ * @param {*} value - Value being checked.
+ * @param {string} type - JSON Schema type name.
+ *
+ * @returns {boolean} True if value satisfies type.
+ */
+const matchesType = (value, type) => {
+  const valueType = getSchemaType(value);
+  if (type === 'number') {
+    return (valueType === 'number' || valueType === 'integer');
+  }
+  return (valueType === type);
+};
+
+/**
+ * Determines whether two JSON values are deeply equal.
+ *
+ * @param {*} a - Comparison value A.
+ * @param {*} b - Comparison value B.
+ *
+ * @returns {boolean} True if values are equal.
+ */
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (getSchemaType(a) !== getSchemaType(b) || typeof a !== 'object' || a === null) {
+    return false;
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+  return keysA.every((key) => isEqual(a[key], b[key]));
+};
+
+/**
+ * Resolves local `$ref` reference `ref` against root schema `root`.
+ *
+ * Only local references (those beginning with `#`) are supported.
+ *
+ * @param {Object} root - Root schema.
+ * @param {string} ref - Reference to resolve, e.g. `#/definitions/server`.
+ *
+ * @returns {Object} Referenced schema.
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported schema reference '${ref}'; only local references are supported`);
+  }
+
+  const tokens = ref.slice(1).split('/').slice(1).map((token) => {
+    return unescapePointerToken(decodeURIComponent(token));
+  });
+
+  return tokens.reduce((schema, token) => {
+    if (!schema || typeof schema !== 'object' || !schema.hasOwnProperty(token)) {
+      throw new Error(`Unable to resolve schema reference '${ref}'`);
+    }
+    return schema[token];
+  }, root);
+};
+
+/**
+ * Validates `value` against `schema`, appending any errors to `errors`.
+ *
+ * @param {*} value - Value being validated.
+ * @param {Object|boolean} schema - Schema to validate against.
+ * @param {Object} root - Root schema used to resolve references.
+ * @param {string} pointer - JSON pointer to `value` within validated document.
+ * @param {Object[]} errors - Array of error objects to append to.
+ */
+const validateSchema = (value, schema, root, pointer, errors) => {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    errors.push({ pointer, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    // In draft-07, sibling keywords of `$ref` are ignored.
+    validateSchema(value, resolveRef(root, schema.$ref), root, pointer, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        pointer,
+        message: `must be of type ${types.join(' or ')}, got ${getSchemaType(value)}`,
+      });
+      return;
+    }
+  }
+
+  if (schema.hasOwnProperty('const') && !isEqual(value, schema.const)) {
+    errors.push({ pointer, message: `must be equal to ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.some((item) => isEqual(value, item))) {
+    const allowed = schema.enum.map((item) => JSON.stringify(item)).join(', ');
+    errors.push({ pointer, message: `must be one of: ${allowed}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.hasOwnProperty('minLength') && value.length < schema.minLength) {
+      errors.push({ pointer, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.hasOwnProperty('maxLength') && value.length > schema.maxLength) {
+      errors.push({ pointer, message: `must be no more than ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !(new RegExp(schema.pattern, 'u')).test(value)) {
+      errors.push({ pointer, message: `must match pattern '${schema.pattern}'` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.hasOwnProperty('minimum') && value < schema.minimum) {
+      errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.hasOwnProperty('maximum') && value > schema.maximum) {
+      errors.push({ pointer, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.hasOwnProperty('exclusiveMinimum') && value <= schema.exclusiveMinimum) {
+      errors.push({ pointer, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.hasOwnProperty('exclusiveMaximum') && value >= schema.exclusiveMaximum) {
+      errors.push({ pointer, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.hasOwnProperty('minItems') && value.length < schema.minItems) {
+      errors.push({ pointer, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.hasOwnProperty('maxItems') && value.length > schema.maxItems) {
+      errors.push({ pointer, message: `must contain no more than ${schema.maxItems} items` });
+    }
+    if (Array.isArray(schema.items)) {
+      // Tuple validation; items beyond the tuple use `additionalItems`.
+      value.forEach((item, index) => {
+        const itemSchema = (index < schema.items.length)
+          ? schema.items[index]
+          : schema.additionalItems;
+        validateSchema(item, itemSchema, root, `${pointer}/${index}`, errors);
+      });
+    }
+    else if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        validateSchema(item, schema.items, root, `${pointer}/${index}`, errors);
+      });
+    }
+  }
+
+  if (getSchemaType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (!value.hasOwnProperty(key)) {
+        errors.push({ pointer, message: `missing required property '${key}'` });
+      }
+    });
+
+    Object.keys(value).forEach((key) => {
+      const childPointer = `${pointer}/${escapePointerToken(key)}`;
+      if (properties.hasOwnProperty(key)) {
+        validateSchema(value[key], properties[key], root, childPointer, errors);
+      }
+      else if (schema.additionalProperties === false) {
+        errors.push({ pointer: childPointer, message: 'is not an allowed property' });
+      }
+      else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(value[key], schema.additionalProperties, root, childPointer, errors);
+      }
+    });
+  }
+};
+
+/**
+ * Validates that a value conforms to a JSON Schema.
+ */
+const jsonSchema = new Rule(
+  'Matches JSON Schema',
+  'Confirms value conforms to a JSON Schema',
+  /**
+   * Confirms that the given value `value` conforms to schema `schema`.
+   *
+   * Every failure is reported along with the JSON pointer of the offending
+   * value, e.g. `/server/port: must be <= 65535`. The root value is
+   * reported using an empty pointer, displayed as `/`.
+   *
+   * @param {*} value - Value being validated.
+   * @param {Object} schema - JSON Schema (draft-07 subset) to validate against.
+   *
+   * @returns {Promise} Promise describing rule validation results.
+   */
+  async (value, schema) => {
+    const errors = [];
+    validateSchema(value, schema, schema, '', errors);
+
+    if (errors.length > 0) {
+      const messages = errors.map((error) => `${error.pointer || '/'}: ${error.message}`);
+      const err = new Error(`Value does not match schema: ${messages.join('; ')}`);
+      err.errors = errors;
+      throw err;
+    }
+
+    return `Value matches schema`;
+  }
+);
+
+module.exports = { jsonSchema };
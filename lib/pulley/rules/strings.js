@@ -92,9 +92,35 @@ const stringsAreEqual = new Rule(
   }
 );
 
+/**
+ * Validates that string is a valid regular expression.
+ */
+const isValidRegExp = new Rule(
+  'String is valid regular expression',
+  'Confirms string can be compiled as a regular expression',
+  /**
+   * Confirms that string `str` compiles as a regular expression with `flags`.
+   *
+   * @param {string} str - Regular expression source.
+   * @param {string=} flags - Regular expression flags.
+   *
+   * @returns {Promise} Promise describing rule validation results.
+   */
+  async (str, flags) => {
+    try {
+      new RegExp(str, flags);
+    }
+    catch (err) {
+      throw new Error(`'${str}' is not a valid regular expression: ${err.message}`);
+    }
+    return `'${str}' is a valid regular expression`;
+  }
+);
+
 module.exports = {
   stringIsLength,
   stringIsMinLength,
   stringIsMaxLength,
   stringsAreEqual,
+  isValidRegExp,
 };
@@ -0,0 +1,324 @@
+/**
+ * @file Scheduling of packages which depend on one another.
+ *
+ * Packages may name the packages they depend on in `dependsOn`. A package is
+ * only run once every package it depends on has run successfully, and
+ * packages which do not depend on one another run concurrently, up to a
+ * concurrency limit. When a package fails, the packages which depend on it,
+ * directly or indirectly, are skipped, while unrelated packages still run.
+ */
+
+const { dependenciesExist, hasNoDependencyCycles } = require('./rules/dependencies.js');
+const { jsonSchema } = require('./rules/schema.js');
+
+/**
+ * Default number of packages run at once.
+ */
+const DEFAULT_CONCURRENCY = 1;
+
+/**
+ * Returns the names of the packages that package `pkg` depends on.
+ *
+ * @param {Object} pkg - Package object.
+ *
+ * @returns {string[]} Names of packages depended on.
+ */
+const getDependencies = (pkg) => {
+  return Array.isArray(pkg.dependsOn) ? pkg.dependsOn : [];
+};
+
+/**
+ * Builds the dependency graph of `packages`.
+ *
+ * Dependencies on unknown packages are left out of the graph.
+ *
+ * @param {Object[]} packages - Packages, each with a `name` and optional
+ * `dependsOn` array of package names.
+ *
+ * @returns {Map} Map of package names to the names of the packages they
+ * depend on, in the order packages are given.
+ */
+const buildGraph = (packages) => {
+  const graph = new Map();
+  packages.forEach((pkg) => {
+    graph.set(pkg.name, []);
+  });
+  packages.forEach((pkg) => {
+    const dependsOn = graph.get(pkg.name);
+    getDependencies(pkg).forEach((dependency) => {
+      if (graph.has(dependency) && !dependsOn.includes(dependency)) {
+        dependsOn.push(dependency);
+      }
+    });
+  });
+  return graph;
+};
+
+/**
+ * Finds the strongly connected components of dependency graph `graph`.
+ *
+ * @param {Map} graph - Result of `buildGraph()`.
+ *
+ * @returns {Array} Array of components, each an array of package names in the
+ * order they appear in `graph`.
+ */
+const findComponents = (graph) => {
+  const order = [...graph.keys()];
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (name) => {
+    indexes.set(name, indexes.size);
+    lowLinks.set(name, indexes.get(name));
+    stack.push(name);
+    onStack.add(name);
+
+    for (const dependency of graph.get(name)) {
+      if (!indexes.has(dependency)) {
+        connect(dependency);
+        lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(dependency)));
+      }
+      else if (onStack.has(dependency)) {
+        lowLinks.set(name, Math.min(lowLinks.get(name), indexes.get(dependency)));
+      }
+    }
+
+    if (lowLinks.get(name) === indexes.get(name)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== name);
+      components.push(component.sort((a, b) => order.indexOf(a) - order.indexOf(b)));
+    }
+  };
+
+  order.forEach((name) => {
+    if (!indexes.has(name)) {
+      connect(name);
+    }
+  });
+  return components;
+};
+
+/**
+ * Finds the shortest dependency path from `start` back to itself, passing
+ * only through packages in `members`.
+ *
+ * @param {Map} graph - Result of `buildGraph()`.
+ * @param {string} start - Name of package at which the cycle starts.
+ * @param {Set} members - Names of packages the cycle may pass through.
+ *
+ * @returns {string[]} Package names, starting and ending with `start`.
+ */
+const findCyclePath = (graph, start, members) => {
+  const previous = new Map();
+  const queue = [start];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const dependency of graph.get(name)) {
+      if (dependency === start) {
+        const path = [start];
+        for (let step = name; step !== start; step = previous.get(step)) {
+          path.splice(1, 0, step);
+        }
+        return [...path, start];
+      }
+      if (members.has(dependency) && !previous.has(dependency)) {
+        previous.set(dependency, name);
+        queue.push(dependency);
+      }
+    }
+  }
+  return [start, start];
+};
+
+/**
+ * Finds the dependency cycles between `packages`.
+ *
+ * Every package which depends on itself, directly or indirectly, appears in
+ * at least one of the cycles returned.
+ *
+ * @param {Object[]} packages - Packages, each with a `name` and optional
+ * `dependsOn` array of package names.
+ *
+ * @returns {Array} Array of cycles, each an array of package names in which
+ * each package depends on the next, and which starts and ends with the same
+ * name, e.g. `['a', 'b', 'a']`.
+ */
+const findCycles = (packages) => {
+  const graph = buildGraph(packages);
+  const cycles = [];
+  const covered = new Set();
+
+  findComponents(graph).forEach((component) => {
+    const isCycle = (component.length > 1 || graph.get(component[0]).includes(component[0]));
+    if (!isCycle) {
+      return;
+    }
+    const members = new Set(component);
+    component.forEach((name) => {
+      if (!covered.has(name)) {
+        const cycle = findCyclePath(graph, name, members);
+        cycle.forEach((member) => covered.add(member));
+        cycles.push(cycle);
+      }
+    });
+  });
+
+  return cycles;
+};
+
+/**
+ * Returns rules that confirm the dependencies of package `pkg` are valid.
+ *
+ * @param {Object} pkg - Package object.
+ * @param {string[]} names - Names of every package.
+ * @param {Array} cycles - Result of `findCycles()` for every package.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getDependencyRules = (pkg, names, cycles) => {
+  if (pkg.dependsOn === undefined) {
+    return [];
+  }
+
+  const rules = [
+    [jsonSchema, pkg.dependsOn, { type: 'array', items: { type: 'string', minLength: 1 } }],
+  ];
+  if (Array.isArray(pkg.dependsOn)) {
+    rules.push(
+      [dependenciesExist, pkg.dependsOn.filter((name) => typeof name === 'string'), names, pkg.name],
+      [hasNoDependencyCycles, pkg.name, cycles]
+    );
+  }
+  return rules;
+};
+
+/**
+ * Calls `run` for each of `packages` once the packages it depends on have
+ * run successfully.
+ *
+ * Up to `concurrency` packages run at once. Packages which are ready at the
+ * same time are started in the order given. A package has failed if `run`
+ * resolves to false, in which case `onSkip` is called for each package which
+ * depends on it, and for each package which depends on those in turn, instead
+ * of `run`.
+ *
+ * @param {Object[]} packages - Packages, each with a `name` and optional
+ * `dependsOn` array of package names.
+ * @param {function} run - Function which receives a package and its index,
+ * and resolves to false if the package failed.
+ * @param {Object=} options - Optional scheduling options.
+ * @param {number=} options.concurrency - Maximum number of packages run at
+ * once. Defaults to `DEFAULT_CONCURRENCY`.
+ * @param {function=} options.onSkip - Function which receives the index of
+ * each skipped package, and the index of the dependency because of which it
+ * was skipped.
+ *
+ * @returns {Promise} Promise that resolves once every package has run or been
+ * skipped, or rejects if `run` rejects or the dependencies are invalid.
+ */
+const schedule = async (packages, run, options = {}) => {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const onSkip = options.onSkip || (() => {});
+  const names = packages.map((pkg) => pkg.name);
+
+  packages.forEach((pkg) => {
+    const unknown = getDependencies(pkg).filter((name) => !names.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Package '${pkg.name}' depends on unknown packages: ${unknown.join(', ')}`);
+    }
+  });
+  const cycles = findCycles(packages);
+  if (cycles.length > 0) {
+    throw new Error(`Packages have dependency cycles: ${cycles.map((cycle) => cycle.join(' -> ')).join('; ')}`);
+  }
+
+  const nodes = packages.map((pkg, index) => {
+    return { index, state: 'waiting', pending: new Set(), dependents: [] };
+  });
+  packages.forEach((pkg, index) => {
+    getDependencies(pkg).forEach((name) => {
+      names.forEach((candidate, dependencyIndex) => {
+        if (candidate === name && !nodes[index].pending.has(dependencyIndex)) {
+          nodes[index].pending.add(dependencyIndex);
+          nodes[dependencyIndex].dependents.push(nodes[index]);
+        }
+      });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    const queue = nodes.filter((node) => node.pending.size === 0);
+    let running = 0;
+    let remaining = nodes.length;
+    let stopped = false;
+
+    const skipDependents = (node) => {
+      node.dependents.forEach((dependent) => {
+        if (dependent.state === 'waiting') {
+          dependent.state = 'skipped';
+          remaining--;
+          onSkip(dependent.index, node.index);
+          skipDependents(dependent);
+        }
+      });
+    };
+
+    const complete = (node, succeeded) => {
+      running--;
+      remaining--;
+      node.state = succeeded ? 'succeeded' : 'failed';
+      if (!succeeded) {
+        skipDependents(node);
+      }
+      else {
+        node.dependents.forEach((dependent) => {
+          dependent.pending.delete(node.index);
+          if (dependent.state === 'waiting' && dependent.pending.size === 0) {
+            dependent.state = 'queued';
+            queue.push(dependent);
+          }
+        });
+        queue.sort((a, b) => a.index - b.index);
+      }
+      next();
+    };
+
+    const next = () => {
+      if (stopped) {
+        return;
+      }
+      while (running < concurrency && queue.length > 0) {
+        const node = queue.shift();
+        node.state = 'running';
+        running++;
+        Promise.resolve()
+          .then(() => run(packages[node.index], node.index))
+          .then((succeeded) => complete(node, succeeded !== false), (err) => {
+            stopped = true;
+            reject(err);
+          });
+      }
+      if (remaining === 0) {
+        resolve();
+      }
+    };
+
+    next();
+  });
+};
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  buildGraph,
+  findCycles,
+  getDependencyRules,
+  schedule,
+};
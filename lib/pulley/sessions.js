@@ -0,0 +1,230 @@
+/**
+ * @file Authentication sessions and their optional on-disk cache.
+ *
+ * A session is the object returned by `AuthenticatedSource#authenticate()`,
+ * such as `{ headers: { ... } }`. It may describe when it expires using either
+ * `expiresAt` (a Date, millisecond timestamp or date string) or `expiresIn`
+ * (a duration in milliseconds, or a duration string such as `1h`). Sessions
+ * without either never expire.
+ *
+ * Sessions may be cached between runs in a session file, keyed on a hash of
+ * the source's class name and options. Session files hold credentials, so
+ * they are only readable by their owner, and sessions must contain only
+ * JSON-serializable values to be cached in them. Values under sensitive keys,
+ * such as `authorization` headers, are registered for redaction when sessions
+ * are created.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { stableStringify, writeAtomic } = require('./files.js');
+const { parseDuration } = require('./options.js');
+const { registerSensitiveValues } = require('./redaction.js');
+const { isAbsolute } = require('./rules/filesystem.js');
+const { jsonSchema } = require('./rules/schema.js');
+
+/**
+ * Version of the session file format written by this module.
+ */
+const SESSION_FILE_VERSION = 1;
+
+/**
+ * Schema describing session options, given as the `session` authentication
+ * option of an `AuthenticatedSource`.
+ */
+const sessionOptionSchema = {
+  file: {
+    type: 'path',
+    description: 'Path of file in which sessions are cached between runs',
+  },
+  refreshBefore: {
+    type: 'duration',
+    default: '1m',
+    description: 'How long before a session expires that it is refreshed',
+  },
+};
+
+/**
+ * Pending writes to each session file, so that writes to the same file from
+ * several sources do not overwrite one another.
+ */
+const pendingWrites = new Map();
+
+/**
+ * Returns rules that confirm session options in `options` are valid.
+ *
+ * @param {Object} options - Normalized session options.
+ *
+ * @returns {Array} Indexed array of rules.
+ */
+const getSessionRules = (options) => {
+  const rules = [
+    [jsonSchema, options.refreshBefore, { type: 'integer', minimum: 0 }],
+  ];
+  if (options.file !== undefined) {
+    rules.push([isAbsolute, options.file]);
+  }
+  return rules;
+};
+
+/**
+ * Returns the key under which `source`'s sessions are cached.
+ *
+ * @param {Object} source - Source instance.
+ *
+ * @returns {string} Hex-encoded session key.
+ */
+const getSessionKey = (source) => {
+  const identity = stableStringify({
+    type: source.constructor.name,
+    options: source.options,
+  });
+  return crypto.createHash('sha256').update(identity).digest('hex');
+};
+
+/**
+ * Creates a session from the value returned by `authenticate()`.
+ *
+ * @param {Object|undefined} value - Value returned by `authenticate()`.
+ * @param {number=} now - Current time in milliseconds.
+ *
+ * @returns {Object} Session object, whose `expiresAt` is a Date or null.
+ */
+const createSession = (value, now = Date.now()) => {
+  if (value === undefined || value === null) {
+    return { expiresAt: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`'authenticate()' must return a session object, if anything`);
+  }
+
+  const { expiresIn, ...session } = value;
+  let expiresAt = null;
+  if (session.expiresAt !== undefined && session.expiresAt !== null) {
+    expiresAt = new Date(session.expiresAt);
+  }
+  else if (expiresIn !== undefined && expiresIn !== null) {
+    const duration = (typeof expiresIn === 'string') ? parseDuration(expiresIn) : expiresIn;
+    expiresAt = new Date(now + duration);
+  }
+  if (expiresAt !== null && isNaN(expiresAt.getTime())) {
+    throw new Error(`Session has an invalid expiry`);
+  }
+
+  registerSensitiveValues(session);
+  return { ...session, expiresAt };
+};
+
+/**
+ * Determines whether `session` may still be used.
+ *
+ * @param {Object} session - Session object.
+ * @param {number} refreshBefore - Milliseconds before expiry after which the
+ * session should be refreshed.
+ * @param {number=} now - Current time in milliseconds.
+ *
+ * @returns {boolean} True if the session does not need refreshing.
+ */
+const isSessionFresh = (session, refreshBefore, now = Date.now()) => {
+  return !session.expiresAt || (session.expiresAt.getTime() - refreshBefore > now);
+};
+
+/**
+ * Reads the sessions in session file `file`.
+ *
+ * Missing or unreadable files are treated as empty.
+ *
+ * @param {string} file - Path to session file.
+ *
+ * @returns {Promise} Promise that resolves to an object mapping session keys
+ * to serialized sessions.
+ */
+const readSessions = async (file) => {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    if (data.version === SESSION_FILE_VERSION && data.sessions && typeof data.sessions === 'object') {
+      return data.sessions;
+    }
+  }
+  catch (err) {
+    // Fall through; the file is rewritten when a session is next stored.
+  }
+  return {};
+};
+
+/**
+ * Reads the session cached under `key` in session file `file`.
+ *
+ * @param {string} file - Path to session file.
+ * @param {string} key - Session key.
+ *
+ * @returns {Promise} Promise that resolves to session object, or null if none
+ * is cached.
+ */
+const readSession = async (file, key) => {
+  const sessions = await readSessions(file);
+  if (!sessions[key]) {
+    return null;
+  }
+  try {
+    return createSession(sessions[key]);
+  }
+  catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Stores `session` under `key` in session file `file`, or removes the session
+ * under `key` if `session` is null.
+ *
+ * Expired sessions are removed from the file at the same time.
+ *
+ * @param {string} file - Path to session file.
+ * @param {string} key - Session key.
+ * @param {Object|null} session - Session object.
+ *
+ * @returns {Promise} Promise that resolves once the file is written.
+ */
+const writeSession = (file, key, session) => {
+  const previous = pendingWrites.get(file) || Promise.resolve();
+  const write = previous.catch(() => {}).then(async () => {
+    const sessions = await readSessions(file);
+    const now = Date.now();
+    Object.keys(sessions).forEach((existing) => {
+      const { expiresAt } = sessions[existing] || {};
+      if (!sessions[existing] || (expiresAt && new Date(expiresAt).getTime() <= now)) {
+        delete sessions[existing];
+      }
+    });
+
+    if (session) {
+      sessions[key] = session;
+    }
+    else {
+      delete sessions[key];
+    }
+
+    const data = { version: SESSION_FILE_VERSION, sessions };
+    await writeAtomic(file, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+  });
+
+  pendingWrites.set(file, write);
+  return write.finally(() => {
+    if (pendingWrites.get(file) === write) {
+      pendingWrites.delete(file);
+    }
+  });
+};
+
+module.exports = {
+  SESSION_FILE_VERSION,
+  sessionOptionSchema,
+  getSessionRules,
+  getSessionKey,
+  createSession,
+  isSessionFresh,
+  readSession,
+  writeSession,
+};
@@ -2,34 +2,98 @@
  * @file Base Source class.
  */
 
+const Component = require('./component.js');
+const { validateRules } = require('./rules/rule.js');
+const { normalizeOptions, getSensitiveValues, getSchemaRules } = require('./options.js');
+
 /**
  * Base class for Pulley sources.
  *
  * Uses provided options to create a Vinyl object describing retrieved
- * files.
+ * files. Sources may report on their progress using the events described in
+ * `component.js`.
  */
-class Source {
+class Source extends Component {
 
   /**
    * Constructor.
    *
-   * Sets this source's options property.
+   * Sets this source's options property. If this source declares an option
+   * schema, the options are normalized against it first.
    *
    * @param {Object} options - Source options object.
    */
   constructor(options) {
-    this.options = options;
+    super();
+    this.options = normalizeOptions(this.constructor.optionSchema, options);
+  }
+
+  /**
+   * Schema describing this source's options.
+   *
+   * Subclasses may override this to have their options normalized on
+   * construction and unknown options rejected on validation. See `options.js`
+   * for the schema format.
+   *
+   * @returns {Object|null} Option schema, or null if options are undescribed.
+   */
+  static get optionSchema() {
+    return null;
+  }
+
+  /**
+   * Whether files fetched by this source may be stored in a `FetchCache`.
+   *
+   * Sources which read from the local filesystem should return false, since
+   * caching them gains nothing and would hide changes to the files they read.
+   *
+   * @returns {boolean} True if fetched files may be cached.
+   */
+  static get cacheable() {
+    return true;
   }
 
   /**
    * Fetches data using this source's options and returns a Vinyl object.
    *
+   * Sources should stop fetching and reject with an `AbortError` once
+   * `signal` aborts; see `abort.js`.
+   *
+   * @param {Object=} options - Optional fetch options.
+   * @param {AbortSignal=} options.signal - Signal which cancels the fetch.
+   *
    * @returns {Promise} Promise that resolves to Vinyl object.
    */
-  async fetch() {
+  async fetch(options = {}) {
     throw new Error(`'fetch()' method not implemented for Source`);
   }
 
+  /**
+   * Returns metadata describing the data most recently fetched by this source.
+   *
+   * This is merged into the metadata of the package that this source belongs
+   * to, and may be used to record details only known after fetching, such as
+   * a resolved version or revision.
+   *
+   * @returns {Object} Source metadata object.
+   */
+  getMetadata() {
+    return {};
+  }
+
+  /**
+   * Returns a description of where the data most recently fetched came from.
+   *
+   * This is recorded in bundle manifests alongside the name of this source's
+   * class, and should identify the resolved location of the data, such as a
+   * URL and commit. It must not contain credentials.
+   *
+   * @returns {Object} Source provenance object.
+   */
+  getProvenance() {
+    return {};
+  }
+
   /**
    * An array of option rules that must be satisfied to confirm validity.
    *
@@ -46,6 +110,36 @@ class Source {
     return [];
   }
 
+  /**
+   * Validates this source's option rules and reports the results.
+   *
+   * Rules derived from this source's option schema are validated before the
+   * rules returned by `getOptionRules()`.
+   *
+   * @param {Object=} options - Optional validation options.
+   * @param {boolean=} options.failFast - Stop validating after first failure.
+   * @param {AbortSignal=} options.signal - Signal which cancels validation.
+   *
+   * @returns {Promise} Promise that resolves to validation report object.
+   */
+  async validate(options) {
+    const rules = [
+      ...getSchemaRules(this.constructor.optionSchema, this.options),
+      ...this.getOptionRules(),
+    ];
+    return validateRules(rules, { ...options, secrets: this.getSensitiveValues() });
+  }
+
+  /**
+   * Returns the values of this source's sensitive options, which are masked in
+   * rule messages and while pipelines run.
+   *
+   * @returns {string[]} Sensitive values.
+   */
+  getSensitiveValues() {
+    return getSensitiveValues(this.constructor.optionSchema, this.options);
+  }
+
 }
 
 module.exports = Source;
@@ -0,0 +1,98 @@
+/**
+ * @file Source which reads files from a local tar, tar.gz or zip archive.
+ */
+
+const nodePath = require('path');
+
+const Source = require('../source.js');
+const { isAbsolute, isFile } = require('../rules/filesystem.js');
+const { extractionOptionSchema, getExtractionRules, readArchive } = require('../archives.js');
+const { fromFiles } = require('../streams.js');
+const { throwIfAborted } = require('../abort.js');
+
+/**
+ * Source which reads files from a local archive.
+ *
+ * Entries are emitted with paths relative to the archive root, after removing
+ * `stripComponents` leading path components. Directory entries are not
+ * emitted, and symbolic links are emitted as symbolic Vinyl files.
+ *
+ * Archives containing entries with absolute paths, or with paths or link
+ * targets that escape the archive root, are rejected.
+ */
+class ArchiveSource extends Source {
+
+  /**
+   * Schema describing this source's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      path: {
+        type: 'path',
+        required: true,
+        description: 'Path to archive file',
+      },
+      ...extractionOptionSchema,
+    };
+  }
+
+  /**
+   * Files are read from a local archive, so are never cached.
+   *
+   * @returns {boolean} False.
+   */
+  static get cacheable() {
+    return false;
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { path } = this.options;
+    return [
+      [isAbsolute, path],
+      [isFile, path],
+      ...getExtractionRules(this.options),
+    ];
+  }
+
+  /**
+   * Fetches the entries of this source's archive.
+   *
+   * @param {Object=} options - Optional fetch options.
+   * @param {AbortSignal=} options.signal - Signal which cancels the fetch.
+   * The archive is read in full once started, so is checked before and
+   * after reading.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async fetch(options = {}) {
+    throwIfAborted(options.signal);
+    const { path } = this.options;
+    // Entries are placed beneath a virtual directory named after the archive.
+    const files = await readArchive({ path, name: nodePath.basename(path) }, {
+      ...this.options,
+      cwd: nodePath.dirname(path),
+      base: path,
+    });
+    throwIfAborted(options.signal);
+    return fromFiles(files);
+  }
+
+  /**
+   * Returns the path of the archive from which files are read.
+   *
+   * @returns {Object} Source provenance object.
+   */
+  getProvenance() {
+    return { path: this.options.path };
+  }
+
+}
+
+module.exports = ArchiveSource;
@@ -0,0 +1,500 @@
+/**
+ * @file Source which reads files from a git repository.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const AuthenticatedSource = require('../authenticatedSource.js');
+const LocalSource = require('./localSource.js');
+const { AuthenticationError } = require('../errors.js');
+const { getAbortError, throwIfAborted } = require('../abort.js');
+const { anyOf } = require('../rules/combinators.js');
+const { isAbsolute, isFile, isRelative } = require('../rules/filesystem.js');
+const { hasNoMoreThanOneOfKeys } = require('../rules/keys.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { stripCredentials, stripCredentialsFromText, getHost } = require('../urls.js');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Matches git error output which indicates that authentication was rejected.
+ */
+const AUTHENTICATION_FAILURE = /Authentication failed|could not read (Username|Password)|Permission denied \(publickey|The requested URL returned error: (401|403)|HTTP Basic: Access denied/i;
+
+/**
+ * Mirror directories mapped to promises for in-progress updates.
+ *
+ * Prevents concurrent fetches into the same mirror within this process.
+ */
+const mirrorUpdates = new Map();
+
+/**
+ * Source which reads files from a git repository using the `git` binary.
+ *
+ * The repository is mirrored into a cache directory, and the requested ref is
+ * checked out into a separate directory for each resolved commit. Fetched
+ * files are emitted relative to the repository root, or to `subdirectory` if
+ * one is given.
+ *
+ * Authentication is optional. When required, either an SSH private key
+ * (`sshKey`) or an HTTP token (`token`) may be given.
+ */
+class GitSource extends AuthenticatedSource {
+
+  /**
+   * Constructor.
+   *
+   * @param {Object} options - Source options object.
+   * @param {Object=} authentication - Source authentication options object.
+   */
+  constructor(options, authentication) {
+    super(options, authentication || {});
+    this.commit = null;
+    // The environment includes credentials, so is hidden from inspection.
+    Object.defineProperty(this, 'gitEnv', { value: null, writable: true, enumerable: false });
+  }
+
+  /**
+   * Schema describing this source's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      url: {
+        type: 'string',
+        required: true,
+        description: 'Repository URL or absolute path',
+      },
+      ref: {
+        type: 'string',
+        default: 'HEAD',
+        description: 'Branch, tag or commit to check out',
+      },
+      subdirectory: {
+        type: 'string',
+        description: 'Repository subdirectory to restrict files to',
+      },
+      sparse: {
+        type: 'array',
+        description: 'Glob patterns of repository paths to restrict files to',
+      },
+      cacheDir: {
+        type: 'path',
+        default: () => path.join(os.tmpdir(), 'pulley-git-cache'),
+        description: 'Directory in which repositories are mirrored',
+      },
+    };
+  }
+
+  /**
+   * Schema describing this source's authentication options.
+   *
+   * @returns {Object} Authentication schema.
+   */
+  static get authenticationSchema() {
+    return {
+      sshKey: {
+        type: 'path',
+        sensitive: false,
+        description: 'Path to SSH private key used for SSH remotes',
+      },
+      knownHosts: {
+        type: 'path',
+        sensitive: false,
+        description: 'Path to SSH known hosts file',
+      },
+      token: {
+        type: 'string',
+        description: 'Token used for HTTP(S) remotes',
+      },
+      username: {
+        type: 'string',
+        default: 'x-access-token',
+        sensitive: false,
+        description: 'Username sent along with token',
+      },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { url, ref, subdirectory, sparse, cacheDir } = this.options;
+    const rules = [
+      [anyOf([
+        [jsonSchema, url, { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9+.-]*://' }],
+        [jsonSchema, url, { type: 'string', pattern: '^[^/:]+@[^/:]+:' }],
+        [isAbsolute, url],
+      ], 'Repository URL', 'Confirms that repository is a URL, SSH address or absolute path')],
+      [jsonSchema, ref, { type: 'string', minLength: 1, pattern: '^[^-]' }],
+      [isAbsolute, cacheDir],
+    ];
+
+    if (subdirectory !== undefined) {
+      rules.push([isRelative, subdirectory]);
+    }
+    if (sparse !== undefined) {
+      rules.push([jsonSchema, sparse, { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }]);
+    }
+
+    return rules;
+  }
+
+  /**
+   * An array of rules that must be satisfied to confirm auth option validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getAuthenticationRules() {
+    const { sshKey, knownHosts } = this.authentication;
+    const rules = [
+      [hasNoMoreThanOneOfKeys, this.authentication, ['sshKey', 'token']],
+    ];
+
+    if (sshKey !== undefined) {
+      rules.push([isFile, sshKey]);
+    }
+    if (knownHosts !== undefined) {
+      rules.push([isFile, knownHosts]);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Returns the host of this source's repository URL, if any.
+   *
+   * @returns {string|null} Host name, or null if the repository is local.
+   */
+  getCredentialHost() {
+    return getHost(this.options.url);
+  }
+
+  /**
+   * Prepares git's environment using this source's authentication options.
+   *
+   * Credentials are passed to git through environment variables rather than
+   * command line arguments so that they are not visible in process listings.
+   *
+   * @returns {Promise} Promise that resolves to a session object whose `env`
+   * holds the environment variables added for git, and whose `credentials`
+   * hold the encoded HTTP credentials, if any, so that they are redacted.
+   */
+  async authenticate() {
+    const { sshKey, knownHosts, token, username } = await this.resolveAuthentication();
+    const env = {};
+
+    if (sshKey) {
+      const sshOptions = [
+        'ssh',
+        '-i', quoteShellArg(sshKey),
+        '-o', 'IdentitiesOnly=yes',
+        '-o', 'BatchMode=yes',
+      ];
+      if (knownHosts) {
+        sshOptions.push('-o', quoteShellArg(`UserKnownHostsFile=${knownHosts}`));
+      }
+      env.GIT_SSH_COMMAND = sshOptions.join(' ');
+    }
+
+    if (token) {
+      const credentials = Buffer.from(`${username}:${token}`).toString('base64');
+      env.GIT_CONFIG_COUNT = '1';
+      env.GIT_CONFIG_KEY_0 = 'http.extraHeader';
+      env.GIT_CONFIG_VALUE_0 = `Authorization: Basic ${credentials}`;
+      return { env, credentials };
+    }
+
+    return { env };
+  }
+
+  /**
+   * Fetches the files at this source's ref.
+   *
+   * If the remote rejects this source's authentication, the source is
+   * authenticated again and the fetch is retried once.
+   *
+   * Aborting kills any running git command. A mirror which was being cloned
+   * is removed, as is a partial checkout.
+   *
+   * @param {Object=} options - Optional fetch options.
+   * @param {AbortSignal=} options.signal - Signal which cancels the fetch.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async fetch(options = {}) {
+    return this.withAuthentication((session) => this.fetchRef(session, options.signal), options);
+  }
+
+  /**
+   * Fetches the files at this source's ref using session `session`.
+   *
+   * @param {Object} session - Session object returned by `authenticate()`.
+   * @param {AbortSignal=} signal - Signal which cancels the fetch.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async fetchRef(session, signal) {
+    this.gitEnv = {
+      ...process.env,
+      GIT_TERMINAL_PROMPT: '0',
+      ...session.env,
+    };
+
+    const { url, ref, subdirectory, sparse, cacheDir } = this.options;
+    const repoDir = path.join(cacheDir, hash(url));
+    const mirrorDir = path.join(repoDir, 'mirror.git');
+
+    await this.updateMirror(mirrorDir, signal);
+
+    const commit = await this.resolveCommit(mirrorDir, ref, signal);
+    const pathspecs = getPathspecs(subdirectory, sparse);
+    const treeDir = path.join(repoDir, 'trees', `${commit}-${hash(JSON.stringify(pathspecs))}`);
+
+    await this.checkout(mirrorDir, commit, pathspecs, treeDir, signal);
+    this.commit = commit;
+
+    const root = subdirectory ? path.join(treeDir, subdirectory) : treeDir;
+    const local = new LocalSource({ path: root, dot: true, symlinks: 'preserve' });
+    return local.fetch({ signal });
+  }
+
+  /**
+   * Returns metadata describing the most recently fetched commit.
+   *
+   * Credentials are removed from the repository URL.
+   *
+   * @returns {Object} Source metadata object.
+   */
+  getMetadata() {
+    if (!this.commit) {
+      return {};
+    }
+    return {
+      git: {
+        url: stripCredentials(this.options.url),
+        ref: this.options.ref,
+        commit: this.commit,
+      },
+    };
+  }
+
+  /**
+   * Returns the repository and commit most recently fetched.
+   *
+   * @returns {Object} Source provenance object.
+   */
+  getProvenance() {
+    return {
+      url: stripCredentials(this.options.url),
+      ref: this.options.ref,
+      commit: this.commit,
+    };
+  }
+
+  /**
+   * Creates or updates the mirror of this source's repository.
+   *
+   * If cloning fails or is aborted, the partial mirror is removed.
+   *
+   * @param {string} mirrorDir - Path to mirror directory.
+   * @param {AbortSignal=} signal - Signal which cancels the update.
+   *
+   * @returns {Promise} Promise that resolves once mirror is up to date.
+   */
+  async updateMirror(mirrorDir, signal) {
+    while (mirrorUpdates.has(mirrorDir)) {
+      await mirrorUpdates.get(mirrorDir).catch(() => {});
+    }
+    throwIfAborted(signal);
+
+    const update = (async () => {
+      let exists = true;
+      try {
+        await fs.promises.access(path.join(mirrorDir, 'HEAD'));
+      }
+      catch (err) {
+        exists = false;
+      }
+
+      if (exists) {
+        await this.git(['--git-dir', mirrorDir, 'remote', 'update', '--prune'], {}, signal);
+        return;
+      }
+
+      await fs.promises.rm(mirrorDir, { recursive: true, force: true });
+      await fs.promises.mkdir(path.dirname(mirrorDir), { recursive: true });
+      try {
+        await this.git(['clone', '--mirror', '--quiet', '--', this.options.url, mirrorDir], {}, signal);
+      }
+      catch (err) {
+        await fs.promises.rm(mirrorDir, { recursive: true, force: true });
+        throw err;
+      }
+    })();
+
+    mirrorUpdates.set(mirrorDir, update);
+    try {
+      await update;
+    }
+    finally {
+      mirrorUpdates.delete(mirrorDir);
+    }
+  }
+
+  /**
+   * Resolves `ref` to a commit SHA within the mirror at `mirrorDir`.
+   *
+   * @param {string} mirrorDir - Path to mirror directory.
+   * @param {string} ref - Branch, tag or commit.
+   * @param {AbortSignal=} signal - Signal which cancels resolution.
+   *
+   * @returns {Promise} Promise that resolves to full commit SHA.
+   */
+  async resolveCommit(mirrorDir, ref, signal) {
+    try {
+      const stdout = await this.git([
+        '--git-dir', mirrorDir,
+        'rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`,
+      ], {}, signal);
+      return stdout.trim();
+    }
+    catch (err) {
+      throwIfAborted(signal);
+      throw new Error(`Unable to resolve ref '${ref}' in '${stripCredentials(this.options.url)}'`);
+    }
+  }
+
+  /**
+   * Checks out `pathspecs` at `commit` into `treeDir`, unless already present.
+   *
+   * Files are first checked out into a temporary directory which is renamed
+   * once complete, so that interrupted checkouts are never reused.
+   *
+   * @param {string} mirrorDir - Path to mirror directory.
+   * @param {string} commit - Full commit SHA.
+   * @param {string[]} pathspecs - Git pathspecs of files to check out.
+   * @param {string} treeDir - Directory to check out into.
+   * @param {AbortSignal=} signal - Signal which cancels the checkout.
+   *
+   * @returns {Promise} Promise that resolves once files are checked out.
+   */
+  async checkout(mirrorDir, commit, pathspecs, treeDir, signal) {
+    try {
+      await fs.promises.access(treeDir);
+      return;
+    }
+    catch (err) {
+      // Not yet checked out.
+    }
+
+    const tempDir = `${treeDir}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    const indexFile = `${tempDir}.index`;
+    await fs.promises.mkdir(tempDir, { recursive: true });
+
+    try {
+      await this.git([
+        '--git-dir', mirrorDir,
+        '--work-tree', tempDir,
+        'checkout', '--quiet', commit, '--', ...pathspecs,
+      ], { GIT_INDEX_FILE: indexFile }, signal);
+      await fs.promises.rename(tempDir, treeDir);
+    }
+    catch (err) {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+      if (err.code !== 'ENOTEMPTY' && err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+    finally {
+      await fs.promises.rm(indexFile, { force: true });
+    }
+  }
+
+  /**
+   * Runs git with arguments `args`.
+   *
+   * @param {string[]} args - Arguments passed to git.
+   * @param {Object=} env - Additional environment variables.
+   * @param {AbortSignal=} signal - Signal which kills git when aborted.
+   *
+   * @returns {Promise} Promise that resolves to git's standard output.
+   */
+  async git(args, env = {}, signal) {
+    throwIfAborted(signal);
+    try {
+      const { stdout } = await execFileAsync('git', args, {
+        env: { ...this.gitEnv, ...env },
+        maxBuffer: 64 * 1024 * 1024,
+        signal,
+      });
+      return stdout;
+    }
+    catch (err) {
+      if (signal && signal.aborted) {
+        throw getAbortError(signal);
+      }
+      const detail = stripCredentialsFromText((err.stderr || err.message || '').trim());
+      const failure = AUTHENTICATION_FAILURE.test(detail)
+        ? new AuthenticationError(`Git command failed: ${detail}`, err)
+        : new Error(`Git command failed: ${detail}`);
+      failure.code = err.code;
+      throw failure;
+    }
+  }
+
+}
+
+/**
+ * Returns a short, filesystem-safe hash of `value`.
+ *
+ * @param {string} value - Value to hash.
+ *
+ * @returns {string} Hex-encoded hash.
+ */
+const hash = (value) => {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+};
+
+/**
+ * Quotes `value` for use as a single argument in a shell command.
+ *
+ * @param {string} value - Argument to quote.
+ *
+ * @returns {string} Quoted argument.
+ */
+const quoteShellArg = (value) => {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+};
+
+/**
+ * Returns the git pathspecs to check out for the given options.
+ *
+ * @param {string=} subdirectory - Repository subdirectory, if any.
+ * @param {string[]=} sparse - Sparse glob patterns, if any.
+ *
+ * @returns {string[]} Array of git pathspecs.
+ */
+const getPathspecs = (subdirectory, sparse) => {
+  if (sparse && sparse.length > 0) {
+    return sparse.map((pattern) => {
+      const scoped = subdirectory ? path.posix.join(subdirectory, pattern) : pattern;
+      return `:(glob)${scoped}`;
+    });
+  }
+  if (subdirectory) {
+    return [`:(literal)${subdirectory}`];
+  }
+  return ['.'];
+};
+
+module.exports = GitSource;
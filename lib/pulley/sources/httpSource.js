@@ -0,0 +1,680 @@
+/**
+ * @file Source which downloads files over HTTP(S).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const Vinyl = require('vinyl');
+
+const AuthenticatedSource = require('../authenticatedSource.js');
+const { when } = require('../rules/combinators.js');
+const { isAbsolute } = require('../rules/filesystem.js');
+const { hasKeys } = require('../rules/keys.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { AuthenticationError, HttpError } = require('../errors.js');
+const { getAbortError, isAbortError, onAbort, sleep, throwIfAborted } = require('../abort.js');
+const { fromFiles } = require('../streams.js');
+const { stripCredentials, getHost } = require('../urls.js');
+
+/**
+ * Supported authentication types.
+ *
+ * - `bearer`: Sends `token` as a bearer token.
+ * - `basic`: Sends `username` and `password` using basic authentication.
+ * - `header`: Sends `value` in the header named `header`.
+ */
+const AUTHENTICATION_TYPES = ['bearer', 'basic', 'header'];
+
+/**
+ * HTTP status codes which are retried.
+ */
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Source which downloads one or more URLs into Vinyl files.
+ *
+ * Downloads are stored in a cache directory. Cached downloads are revalidated
+ * using `If-None-Match` and `If-Modified-Since`, and interrupted downloads
+ * are resumed using range requests where the server supports them. Failed
+ * requests are retried with exponential backoff, and a `warning` event is
+ * emitted before each retry. `progress` events report the bytes received for
+ * each URL and the number of URLs downloaded.
+ *
+ * Aborting a fetch cancels the current request and any wait before a retry.
+ * Partially downloaded files are kept in the cache, so that the next fetch
+ * can resume them.
+ *
+ * Each URL may be given as a string, or as an object with `url` and `path`
+ * properties, where `path` is the relative path of the resulting file. The
+ * path defaults to the last segment of the URL's path.
+ */
+class HttpSource extends AuthenticatedSource {
+
+  /**
+   * Constructor.
+   *
+   * @param {Object} options - Source options object.
+   * @param {Object=} authentication - Source authentication options object.
+   */
+  constructor(options, authentication) {
+    super(options, authentication || {});
+    // The headers include credentials, so are hidden from inspection.
+    Object.defineProperty(this, 'authHeaders', { value: null, writable: true, enumerable: false });
+    this.downloads = [];
+  }
+
+  /**
+   * Schema describing this source's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      urls: {
+        type: 'any',
+        required: true,
+        coerce: (value) => (Array.isArray(value) ? value : [value]),
+        description: 'URLs to download, as strings or { url, path } objects',
+      },
+      headers: {
+        type: 'object',
+        default: () => ({}),
+        description: 'Additional request headers, sent only to the origin of each URL',
+      },
+      cacheDir: {
+        type: 'path',
+        default: () => path.join(os.tmpdir(), 'pulley-http-cache'),
+        description: 'Directory in which downloads are stored',
+      },
+      timeout: {
+        type: 'duration',
+        default: '30s',
+        description: 'Time without network activity after which a request fails',
+      },
+      retries: {
+        type: 'integer',
+        default: 3,
+        description: 'Number of times a failed request is retried',
+      },
+      retryDelay: {
+        type: 'duration',
+        default: '500ms',
+        description: 'Delay before the first retry; doubled for each retry',
+      },
+      maxRetryDelay: {
+        type: 'duration',
+        default: '30s',
+        description: 'Maximum delay between retries',
+      },
+      maxRedirects: {
+        type: 'integer',
+        default: 5,
+        description: 'Maximum number of redirects followed per request',
+      },
+    };
+  }
+
+  /**
+   * Schema describing this source's authentication options.
+   *
+   * @returns {Object} Authentication schema.
+   */
+  static get authenticationSchema() {
+    return {
+      type: {
+        type: 'string',
+        sensitive: false,
+        description: `Authentication type; one of: ${AUTHENTICATION_TYPES.join(', ')}`,
+      },
+      token: { type: 'string', description: 'Bearer token' },
+      username: { type: 'string', sensitive: false, description: 'Basic authentication username' },
+      password: { type: 'string', description: 'Basic authentication password' },
+      header: { type: 'string', sensitive: false, description: 'Name of custom authentication header' },
+      value: { type: 'string', sensitive: true, description: 'Value of custom authentication header' },
+    };
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { urls, cacheDir, retries, maxRedirects } = this.options;
+    const urlSchema = { type: 'string', pattern: '^https?://' };
+
+    return [
+      [jsonSchema, urls, {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: ['string', 'object'],
+          pattern: urlSchema.pattern,
+          required: ['url'],
+          additionalProperties: false,
+          properties: {
+            url: urlSchema,
+            path: { type: 'string', minLength: 1, pattern: '^(?!/)(?!.*(^|/)\\.\\.(/|$))' },
+          },
+        },
+      }],
+      [isAbsolute, cacheDir],
+      [jsonSchema, retries, { type: 'integer', minimum: 0 }],
+      [jsonSchema, maxRedirects, { type: 'integer', minimum: 0 }],
+    ];
+  }
+
+  /**
+   * An array of rules that must be satisfied to confirm auth option validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getAuthenticationRules() {
+    const auth = this.authentication;
+    const isType = (type) => [jsonSchema, auth.type, { const: type }];
+
+    return [
+      [when([hasKeys, auth, ['type']], [jsonSchema, auth.type, { enum: AUTHENTICATION_TYPES }])],
+      [when(isType('bearer'), [hasKeys, auth, ['token']])],
+      [when(isType('basic'), [hasKeys, auth, ['username', 'password']])],
+      [when(isType('header'), [hasKeys, auth, ['header', 'value']])],
+    ];
+  }
+
+  /**
+   * Returns the host of this source's first URL.
+   *
+   * Every URL is downloaded with the same authentication options, so
+   * credentials are resolved for the first URL's host.
+   *
+   * @returns {string|null} Host name, or null if it cannot be determined.
+   */
+  getCredentialHost() {
+    const [entry] = this.options.urls || [];
+    return getHost((entry && typeof entry === 'object') ? entry.url : entry);
+  }
+
+  /**
+   * Prepares request headers using this source's authentication options.
+   *
+   * @returns {Promise} Promise that resolves to a session object whose
+   * `headers` are sent with each request.
+   */
+  async authenticate() {
+    const { type, token, username, password, header, value } = await this.resolveAuthentication();
+
+    switch (type) {
+      case 'bearer':
+        return { headers: { authorization: `Bearer ${token}` } };
+      case 'basic':
+        return {
+          headers: {
+            authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`,
+          },
+        };
+      case 'header':
+        return { headers: { [header.toLowerCase()]: value } };
+      default:
+        return { headers: {} };
+    }
+  }
+
+  /**
+   * Downloads each of this source's URLs.
+   *
+   * If a server rejects this source's authentication, the source is
+   * authenticated again and the URLs are downloaded once more.
+   *
+   * @param {Object=} options - Optional fetch options.
+   * @param {AbortSignal=} options.signal - Signal which cancels the fetch.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async fetch(options = {}) {
+    return this.withAuthentication((session) => this.fetchUrls(session, options.signal), options);
+  }
+
+  /**
+   * Downloads each of this source's URLs using session `session`.
+   *
+   * @param {Object} session - Session object returned by `authenticate()`.
+   * @param {AbortSignal=} signal - Signal which cancels the downloads.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async fetchUrls(session, signal) {
+    this.authHeaders = session.headers || {};
+
+    const { urls, cacheDir } = this.options;
+    await fs.promises.mkdir(cacheDir, { recursive: true });
+
+    const files = [];
+    const downloads = [];
+    for (const entry of urls) {
+      const url = (typeof entry === 'string') ? entry : entry.url;
+      const relative = (typeof entry === 'object' && entry.path) || defaultPath(url);
+
+      const download = await this.download(url, signal);
+      downloads.push(download);
+      this.emitProgress({ files: downloads.length, totalFiles: urls.length });
+
+      const contents = await fs.promises.readFile(download.file);
+      const stat = await fs.promises.stat(download.file);
+      if (download.lastModified) {
+        stat.mtime = new Date(download.lastModified);
+      }
+
+      files.push(new Vinyl({
+        cwd: cacheDir,
+        base: cacheDir,
+        path: path.join(cacheDir, relative),
+        contents,
+        stat,
+      }));
+    }
+
+    this.downloads = downloads.map(({ file, ...download }) => download);
+    return fromFiles(files);
+  }
+
+  /**
+   * Returns metadata describing the most recently downloaded URLs.
+   *
+   * Credentials are removed from each URL.
+   *
+   * @returns {Object} Source metadata object.
+   */
+  getMetadata() {
+    if (this.downloads.length === 0) {
+      return {};
+    }
+    const downloads = this.downloads.map((download) => {
+      const stripped = { ...download, url: stripCredentials(download.url) };
+      if (download.finalUrl) {
+        stripped.finalUrl = stripCredentials(download.finalUrl);
+      }
+      return stripped;
+    });
+    return { http: { downloads } };
+  }
+
+  /**
+   * Returns the requested and final URLs of the most recent downloads.
+   *
+   * @returns {Object} Source provenance object.
+   */
+  getProvenance() {
+    return {
+      urls: this.downloads.map((download) => {
+        return {
+          url: stripCredentials(download.url),
+          finalUrl: stripCredentials(download.finalUrl || download.url),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Downloads `url` into this source's cache, retrying on failure.
+   *
+   * Aborted downloads are not retried.
+   *
+   * @param {string} url - URL to download.
+   * @param {AbortSignal=} signal - Signal which cancels the download.
+   *
+   * @returns {Promise} Promise that resolves to an object describing the
+   * download, including the path of the downloaded `file`.
+   */
+  async download(url, signal) {
+    const { retries, retryDelay, maxRetryDelay } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.attemptDownload(url, signal);
+      }
+      catch (err) {
+        if (isAbortError(err)) {
+          throw err;
+        }
+        if (err instanceof AuthenticationError) {
+          throw new AuthenticationError(`Unable to download '${stripCredentials(url)}': ${err.message}`, err);
+        }
+        if (!err.retryable || attempt >= retries) {
+          throw new Error(`Unable to download '${stripCredentials(url)}': ${err.message}`);
+        }
+        const delay = Math.min(retryDelay * (2 ** attempt), maxRetryDelay);
+        const retryAfter = (err.retryAfter !== undefined)
+          ? Math.min(err.retryAfter, maxRetryDelay)
+          : 0;
+        this.emitWarning(`Retrying '${stripCredentials(url)}' after error: ${err.message}`, {
+          attempt: attempt + 1,
+        });
+        await sleep(Math.max(delay, retryAfter), signal);
+      }
+    }
+  }
+
+  /**
+   * Makes a single attempt at downloading `url` into this source's cache.
+   *
+   * @param {string} url - URL to download.
+   * @param {AbortSignal=} signal - Signal which cancels the download.
+   *
+   * @returns {Promise} Promise that resolves to an object describing the
+   * download.
+   */
+  async attemptDownload(url, signal) {
+    throwIfAborted(signal);
+    const entryPath = path.join(this.options.cacheDir, hash(url));
+    const bodyFile = `${entryPath}.body`;
+    const metaFile = `${entryPath}.json`;
+    const partialFile = `${entryPath}.partial`;
+    const partialMetaFile = `${entryPath}.partial.json`;
+
+    const cached = await readJson(metaFile);
+    const hasBody = cached && await exists(bodyFile);
+    const partialMeta = await readJson(partialMetaFile);
+    const partialSize = partialMeta ? await sizeOf(partialFile) : 0;
+
+    const headers = {};
+    if (hasBody && cached.etag) {
+      headers['if-none-match'] = cached.etag;
+    }
+    if (hasBody && cached.lastModified) {
+      headers['if-modified-since'] = cached.lastModified;
+    }
+    if (partialSize > 0 && (partialMeta.etag || partialMeta.lastModified)) {
+      headers.range = `bytes=${partialSize}-`;
+      headers['if-range'] = partialMeta.etag || partialMeta.lastModified;
+    }
+
+    const response = await this.request(url, headers, signal);
+    const { status } = response;
+
+    if (status === 304 && hasBody) {
+      response.resume();
+      return { url, finalUrl: response.url, status: 'not-modified', ...cached, file: bodyFile };
+    }
+
+    if (status === 416) {
+      // The partial download is unusable; discard it and start over.
+      response.resume();
+      await removeFiles([partialFile, partialMetaFile]);
+      throw new HttpError('Requested range not satisfiable', status, true);
+    }
+
+    if (status === 401) {
+      response.resume();
+      throw new AuthenticationError(`Server responded with status ${status}`);
+    }
+
+    if (status !== 200 && status !== 206) {
+      response.resume();
+      const retryable = RETRY_STATUSES.includes(status);
+      const err = new HttpError(`Server responded with status ${status}`, status, retryable);
+      const retryAfter = Number(response.headers['retry-after']);
+      if (!isNaN(retryAfter)) {
+        err.retryAfter = retryAfter * 1000;
+      }
+      throw err;
+    }
+
+    const meta = {
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+    };
+    const isResume = (status === 206);
+    if (!isResume) {
+      await fs.promises.writeFile(partialMetaFile, JSON.stringify(meta));
+    }
+
+    const expected = getExpectedSize(response, isResume ? partialSize : 0);
+    let bytes = isResume ? partialSize : 0;
+    await writeResponse(response, partialFile, isResume, this.options.timeout, signal, (chunk) => {
+      bytes += chunk.length;
+      this.emitProgress({ url: stripCredentials(url), bytes, totalBytes: expected });
+    });
+
+    const received = await sizeOf(partialFile);
+    if (expected !== null && received !== expected) {
+      throw new HttpError(`Download interrupted after ${received} of ${expected} bytes`, status, true);
+    }
+
+    await fs.promises.rename(partialFile, bodyFile);
+    await fs.promises.writeFile(metaFile, JSON.stringify({ ...(isResume ? partialMeta : meta), size: received }));
+    await removeFiles([partialMetaFile]);
+
+    return {
+      url,
+      finalUrl: response.url,
+      status: isResume ? 'resumed' : 'downloaded',
+      etag: (isResume ? partialMeta : meta).etag,
+      lastModified: (isResume ? partialMeta : meta).lastModified,
+      size: received,
+      file: bodyFile,
+    };
+  }
+
+  /**
+   * Requests `url`, following redirects.
+   *
+   * Conditional and range headers are sent with every request. The `headers`
+   * option and authentication headers may carry credentials, so are only
+   * sent to the origin of the original URL.
+   *
+   * @param {string} url - URL to request.
+   * @param {Object} headers - Request headers sent to every origin.
+   * @param {AbortSignal=} signal - Signal which cancels the request.
+   *
+   * @returns {Promise} Promise that resolves to the response stream, with an
+   * additional `url` property containing the final URL.
+   */
+  async request(url, headers, signal) {
+    const { maxRedirects, timeout } = this.options;
+    const origin = new URL(url).origin;
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const target = new URL(current);
+      const requestHeaders = (target.origin === origin)
+        ? { ...this.options.headers, ...headers, ...this.authHeaders }
+        : headers;
+
+      const response = await sendRequest(target, requestHeaders, timeout, signal);
+      const { statusCode } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && response.headers.location) {
+        response.resume();
+        if (redirects >= maxRedirects) {
+          throw new HttpError(`Exceeded maximum of ${maxRedirects} redirects`, statusCode, false);
+        }
+        current = new URL(response.headers.location, target).toString();
+        continue;
+      }
+
+      response.status = statusCode;
+      response.url = current;
+      return response;
+    }
+  }
+
+}
+
+/**
+ * Sends a single GET request.
+ *
+ * @param {URL} target - URL to request.
+ * @param {Object} headers - Request headers.
+ * @param {number} timeout - Inactivity timeout in milliseconds.
+ * @param {AbortSignal=} signal - Signal which cancels the request.
+ *
+ * @returns {Promise} Promise that resolves to the response stream.
+ */
+const sendRequest = (target, headers, timeout, signal) => {
+  const transport = (target.protocol === 'https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.get(target, { headers, signal }, resolve);
+    req.setTimeout(timeout, () => {
+      req.destroy(new HttpError(`Request timed out after ${timeout}ms`, null, true));
+    });
+    req.on('error', (err) => {
+      if (signal && signal.aborted) {
+        reject(getAbortError(signal));
+        return;
+      }
+      reject((err instanceof HttpError) ? err : new HttpError(err.message, null, true));
+    });
+  });
+};
+
+/**
+ * Writes `response` to `file`, appending if `append` is true.
+ *
+ * @param {Object} response - Response stream.
+ * @param {string} file - Path to write to.
+ * @param {boolean} append - Whether to append to an existing file.
+ * @param {number} timeout - Inactivity timeout in milliseconds.
+ * @param {AbortSignal=} signal - Signal which cancels the response.
+ * @param {function=} onData - Callback which receives each chunk written.
+ *
+ * @returns {Promise} Promise that resolves once the response is written.
+ */
+const writeResponse = (response, file, append, timeout, signal, onData) => {
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(file, { flags: append ? 'a' : 'w' });
+    const removeListener = onAbort(signal, (err) => response.destroy(err));
+    const fail = (err) => {
+      removeListener();
+      out.destroy();
+      if (isAbortError(err) || (signal && signal.aborted)) {
+        reject((signal && signal.aborted) ? getAbortError(signal) : err);
+        return;
+      }
+      reject((err instanceof HttpError) ? err : new HttpError(err.message, null, true));
+    };
+
+    response.setTimeout(timeout, () => {
+      response.destroy(new HttpError(`Response timed out after ${timeout}ms`, null, true));
+    });
+    response.on('error', fail);
+    response.on('aborted', () => fail(new Error('Response aborted')));
+    out.on('error', fail);
+    out.on('finish', () => {
+      removeListener();
+      resolve();
+    });
+    if (onData) {
+      response.on('data', onData);
+    }
+    response.pipe(out);
+  });
+};
+
+/**
+ * Returns the total expected size of a download, if known.
+ *
+ * @param {Object} response - Response stream.
+ * @param {number} offset - Number of bytes previously downloaded.
+ *
+ * @returns {number|null} Expected size in bytes, or null if unknown.
+ */
+const getExpectedSize = (response, offset) => {
+  const length = response.headers['content-length'];
+  if (length === undefined || response.headers['content-encoding']) {
+    return null;
+  }
+  return offset + Number(length);
+};
+
+/**
+ * Returns the default relative path for the file downloaded from `url`.
+ *
+ * @param {string} url - Downloaded URL.
+ *
+ * @returns {string} Relative file path.
+ */
+const defaultPath = (url) => {
+  const segments = new URL(url).pathname.split('/').filter((segment) => segment !== '');
+  // Encoded slashes are decoded too, so only the last decoded segment is kept.
+  const decoded = segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]) : '';
+  const name = decoded.split(/[\\/]/).pop();
+  return (name && name !== '..' && name !== '.') ? name : 'index';
+};
+
+/**
+ * Returns a filesystem-safe hash of `value`.
+ *
+ * @param {string} value - Value to hash.
+ *
+ * @returns {string} Hex-encoded hash.
+ */
+const hash = (value) => {
+  return crypto.createHash('sha256').update(value).digest('hex');
+};
+
+/**
+ * Reads and parses JSON file `file`, returning null if it cannot be read.
+ *
+ * @param {string} file - Path to JSON file.
+ *
+ * @returns {Promise} Promise that resolves to parsed JSON, or null.
+ */
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  }
+  catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Determines whether `file` exists.
+ *
+ * @param {string} file - Path to file.
+ *
+ * @returns {Promise} Promise that resolves to true if file exists.
+ */
+const exists = async (file) => {
+  try {
+    await fs.promises.access(file);
+    return true;
+  }
+  catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Returns the size of `file`, or 0 if it does not exist.
+ *
+ * @param {string} file - Path to file.
+ *
+ * @returns {Promise} Promise that resolves to file size in bytes.
+ */
+const sizeOf = async (file) => {
+  try {
+    return (await fs.promises.stat(file)).size;
+  }
+  catch (err) {
+    return 0;
+  }
+};
+
+/**
+ * Removes each of the given files, ignoring any that do not exist.
+ *
+ * @param {string[]} files - Paths to files.
+ *
+ * @returns {Promise} Promise that resolves once files are removed.
+ */
+const removeFiles = async (files) => {
+  await Promise.all(files.map((file) => fs.promises.rm(file, { force: true })));
+};
+
+module.exports = HttpSource;
@@ -0,0 +1,201 @@
+/**
+ * @file Source which reads files from a local directory.
+ */
+
+const fs = require('fs');
+const nodePath = require('path');
+const { pipeline } = require('stream');
+const vinylFs = require('vinyl-fs');
+
+const Source = require('../source.js');
+const { anyOf } = require('../rules/combinators.js');
+const { isAbsolute, isDirectory, isChildOfPath } = require('../rules/filesystem.js');
+const { jsonSchema } = require('../rules/schema.js');
+const { stringsAreEqual } = require('../rules/strings.js');
+const { filterFiles } = require('../streams.js');
+const { abortStream, throwIfAborted } = require('../abort.js');
+
+/**
+ * Supported policies for handling symbolic links.
+ *
+ * - `follow`: Symbolic links are resolved, and their targets are read.
+ * - `preserve`: Symbolic links are emitted as symbolic Vinyl files.
+ * - `skip`: Symbolic links are omitted.
+ */
+const SYMLINK_POLICIES = ['follow', 'preserve', 'skip'];
+
+/**
+ * Source which reads files from a local directory.
+ *
+ * Files are selected using glob patterns relative to the `path` option, and
+ * are emitted with paths relative to the `base` option (which defaults to
+ * `path`). Directories themselves are not emitted.
+ */
+class LocalSource extends Source {
+
+  /**
+   * Schema describing this source's options.
+   *
+   * @returns {Object} Option schema.
+   */
+  static get optionSchema() {
+    return {
+      path: {
+        type: 'path',
+        required: true,
+        description: 'Directory from which files are read',
+      },
+      include: {
+        type: 'array',
+        default: ['**/*'],
+        description: 'Glob patterns of files to include, relative to path',
+      },
+      exclude: {
+        type: 'array',
+        default: [],
+        description: 'Glob patterns of files to exclude, relative to path',
+      },
+      dot: {
+        type: 'boolean',
+        default: false,
+        description: 'Whether globs match files and directories beginning with a dot',
+      },
+      symlinks: {
+        type: 'string',
+        default: 'follow',
+        description: `Symbolic link policy; one of: ${SYMLINK_POLICIES.join(', ')}`,
+      },
+      base: {
+        type: 'path',
+        description: 'Path that emitted file paths are relative to; defaults to path',
+      },
+    };
+  }
+
+  /**
+   * Files are read from a local directory, so are never cached.
+   *
+   * @returns {boolean} False.
+   */
+  static get cacheable() {
+    return false;
+  }
+
+  /**
+   * An array of option rules that must be satisfied to confirm validity.
+   *
+   * @returns {Array} Indexed array of rule promises.
+   */
+  getOptionRules() {
+    const { path, base, include, symlinks } = this.options;
+    const rules = [
+      [isAbsolute, path],
+      [isDirectory, path],
+      [jsonSchema, include, { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }],
+      [jsonSchema, symlinks, { enum: SYMLINK_POLICIES }],
+    ];
+
+    if (base !== undefined) {
+      rules.push([anyOf([
+        [stringsAreEqual, base, path],
+        [isChildOfPath, base, path],
+      ], 'Base contains path', 'Confirms that base is path or one of its parents')]);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Fetches the files matching this source's options.
+   *
+   * @param {Object=} options - Optional fetch options.
+   * @param {AbortSignal=} options.signal - Signal which destroys the stream
+   * of files when aborted.
+   *
+   * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+   */
+  async fetch(options = {}) {
+    throwIfAborted(options.signal);
+    const { path, base, include, exclude, dot, symlinks } = this.options;
+    const globs = [
+      ...include,
+      ...exclude.map((pattern) => `!${pattern}`),
+    ];
+
+    if (symlinks === 'follow') {
+      return abortStream(vinylFs.src(globs, {
+        cwd: path,
+        base: base || path,
+        dot,
+        nodir: true,
+        follow: true,
+        allowEmpty: true,
+      }), options.signal);
+    }
+
+    /*
+     * Glob traverses symbolic links to directories even when not following
+     * them, so files beneath such links must be removed. Directories are
+     * matched so that links to directories can be preserved, and are then
+     * removed themselves.
+     */
+    const src = vinylFs.src(globs, {
+      cwd: path,
+      base: base || path,
+      dot,
+      resolveSymlinks: false,
+      allowEmpty: true,
+    });
+    const isLinkCache = new Map();
+    const filter = filterFiles(async (file) => {
+      if (file.isSymbolic()) {
+        return (symlinks === 'preserve') && !(await isBeneathLink(path, file.path, isLinkCache));
+      }
+      if (file.isDirectory()) {
+        return false;
+      }
+      return !(await isBeneathLink(path, file.path, isLinkCache));
+    });
+
+    return abortStream(pipeline(src, filter, () => {}), options.signal);
+  }
+
+  /**
+   * Returns the directory from which files are read.
+   *
+   * @returns {Object} Source provenance object.
+   */
+  getProvenance() {
+    return { path: this.options.path };
+  }
+
+}
+
+/**
+ * Determines whether `filepath` is beneath a symbolic link within `root`.
+ *
+ * @param {string} root - Root directory, which is not itself checked.
+ * @param {string} filepath - Path of file beneath `root`.
+ * @param {Map} cache - Map of directory paths to whether they are links.
+ *
+ * @returns {Promise} Promise that resolves to true if any directory between
+ * `root` and `filepath` is a symbolic link.
+ */
+const isBeneathLink = async (root, filepath, cache) => {
+  let dir = nodePath.dirname(filepath);
+  while (dir.length > root.length && dir.startsWith(root)) {
+    if (!cache.has(dir)) {
+      const stats = await fs.promises.lstat(dir);
+      cache.set(dir, stats.isSymbolicLink());
+    }
+    if (cache.get(dir)) {
+      return true;
+    }
+    dir = nodePath.dirname(dir);
+  }
+  return false;
+};
+
+LocalSource.SYMLINK_POLICIES = SYMLINK_POLICIES;
+
+module.exports = LocalSource;
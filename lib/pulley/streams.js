@@ -0,0 +1,344 @@
+/**
+ * @file Helpers for working with object streams of Vinyl files.
+ */
+
+const path = require('path');
+const {
+  PassThrough,
+  Readable,
+  Transform,
+  Writable,
+  pipeline,
+} = require('stream');
+
+/**
+ * File type bits used in stat modes.
+ */
+const TYPE_BITS = {
+  file: 0o100000,
+  symlink: 0o120000,
+};
+
+/**
+ * Creates a stat object for a Vinyl file which does not exist on disk.
+ *
+ * @param {string} type - File type; `file` or `symlink`.
+ * @param {number} mode - Permission bits.
+ * @param {Date=} mtime - Modification time, if known.
+ * @param {number} size - Size in bytes.
+ *
+ * @returns {Object} Stat object compatible with Vinyl.
+ */
+const createStat = (type, mode, mtime, size) => {
+  return {
+    mode: (TYPE_BITS[type] | mode),
+    mtime,
+    atime: mtime,
+    ctime: mtime,
+    size,
+    isFile: () => (type === 'file'),
+    isDirectory: () => false,
+    isSymbolicLink: () => (type === 'symlink'),
+  };
+};
+
+/**
+ * Creates a transform stream which only passes files satisfying `predicate`.
+ *
+ * @param {function} predicate - Callback which receives each Vinyl file and
+ * returns (or resolves to) true if the file should be kept.
+ *
+ * @returns {Object} Object-mode transform stream.
+ */
+const filterFiles = (predicate) => {
+  return new Transform({
+    objectMode: true,
+    transform(file, encoding, callback) {
+      Promise.resolve()
+        .then(() => predicate(file))
+        .then((keep) => callback(null, keep ? file : undefined), callback);
+    },
+  });
+};
+
+/**
+ * Creates a transform stream which replaces each file with the result of `fn`.
+ *
+ * `fn` may return (or resolve to) a Vinyl file, an array of Vinyl files, or
+ * a null or undefined value to drop the file.
+ *
+ * Up to `options.concurrency` files may be awaiting `fn` at once. Results are
+ * always emitted in the order their files were received.
+ *
+ * @param {function} fn - Callback which receives each Vinyl file.
+ * @param {Object=} options - Optional stream options.
+ * @param {number=} options.concurrency - Maximum number of files processed at
+ * once; defaults to 1.
+ *
+ * @returns {Object} Object-mode transform stream.
+ */
+const mapFiles = (fn, options = {}) => {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const pending = [];
+
+  return new Transform({
+    objectMode: true,
+    transform(file, encoding, callback) {
+      const result = Promise.resolve().then(() => fn(file));
+      // Rejections are handled once the result reaches the head of the queue.
+      result.catch(() => {});
+      pending.push(result);
+
+      if (pending.length < concurrency) {
+        callback();
+        return;
+      }
+      pending.shift().then((output) => {
+        pushResult(this, output);
+        callback();
+      }, callback);
+    },
+    flush(callback) {
+      const next = () => {
+        if (pending.length === 0) {
+          callback();
+          return;
+        }
+        pending.shift().then((output) => {
+          pushResult(this, output);
+          next();
+        }, callback);
+      };
+      next();
+    },
+  });
+};
+
+/**
+ * Pushes the result of a `mapFiles()` callback onto stream `stream`.
+ *
+ * @param {Object} stream - Transform stream.
+ * @param {Object|Object[]|null} result - Vinyl file, array of Vinyl files, or
+ * a null or undefined value.
+ */
+const pushResult = (stream, result) => {
+  const files = Array.isArray(result) ? result : [result];
+  files.forEach((output) => {
+    if (output) {
+      stream.push(output);
+    }
+  });
+};
+
+/**
+ * Passes files from `src` which satisfy `predicate` through another stream.
+ *
+ * Selected files are written to a stream which is passed to `fn`, and the
+ * stream that `fn` returns is merged with the files which were not selected.
+ * Files from the two branches may be interleaved in any order.
+ *
+ * @param {Object} src - Stream of Vinyl files.
+ * @param {function} predicate - Callback which receives each Vinyl file and
+ * returns (or resolves to) true if the file should be selected.
+ * @param {function} fn - Callback which receives a stream of selected files
+ * and returns (or resolves to) a stream of transformed files.
+ *
+ * @returns {Promise} Promise that resolves to a stream of Vinyl files.
+ */
+const branchFiles = async (src, predicate, fn) => {
+  const selected = new PassThrough({ objectMode: true });
+  const output = new PassThrough({ objectMode: true });
+  const transformed = await fn(selected);
+
+  let open = 2;
+  const end = () => {
+    open -= 1;
+    if (open === 0) {
+      output.end();
+    }
+  };
+  const fail = (err) => {
+    selected.destroy();
+    output.destroy(err);
+  };
+  const write = (target, file, callback) => {
+    if (target.write(file)) {
+      callback();
+    }
+    else {
+      target.once('drain', () => callback());
+    }
+  };
+
+  const route = new Writable({
+    objectMode: true,
+    write(file, encoding, callback) {
+      Promise.resolve()
+        .then(() => predicate(file))
+        .then((matches) => write(matches ? selected : output, file, callback), callback);
+    },
+    final(callback) {
+      selected.end();
+      callback();
+    },
+  });
+
+  transformed.on('data', (file) => {
+    if (!output.write(file)) {
+      transformed.pause();
+      output.once('drain', () => transformed.resume());
+    }
+  });
+  transformed.on('error', fail);
+  transformed.on('end', end);
+  route.on('finish', end);
+  pipeline(src, route, (err) => {
+    if (err) {
+      fail(err);
+    }
+  });
+
+  return output;
+};
+
+/**
+ * Creates a readable stream which emits each of the given Vinyl files.
+ *
+ * @param {Object[]} files - Array of Vinyl files.
+ *
+ * @returns {Object} Object-mode readable stream.
+ */
+const fromFiles = (files) => {
+  return Readable.from(files, { objectMode: true });
+};
+
+/**
+ * Reads every chunk or object from readable stream `stream`.
+ *
+ * Listens for events rather than using async iteration, since streams created
+ * by older stream implementations (such as vinyl-fs) are not async iterable.
+ *
+ * @param {Object} stream - Readable stream, usually of Vinyl files.
+ *
+ * @returns {Promise} Promise that resolves to an array of chunks.
+ */
+const collect = (stream) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(chunks));
+  });
+};
+
+/**
+ * Calls `fn` for each chunk or object from readable stream `stream`, one at a
+ * time.
+ *
+ * The stream is paused while `fn` handles each chunk, so that only one chunk
+ * is held in memory at once. Like `collect()`, this listens for events rather
+ * than using async iteration.
+ *
+ * @param {Object} stream - Readable stream, usually of Vinyl files.
+ * @param {function} fn - Function which receives each chunk, and may return
+ * a promise.
+ *
+ * @returns {Promise} Promise that resolves once every chunk is handled, or
+ * rejects if the stream errors or `fn` throws.
+ */
+const forEachChunk = (stream, fn) => {
+  return new Promise((resolve, reject) => {
+    let pending = Promise.resolve();
+    let failed = false;
+    const fail = (err) => {
+      if (!failed) {
+        failed = true;
+        reject(err);
+      }
+    };
+
+    stream.on('data', (chunk) => {
+      stream.pause();
+      pending = pending.then(() => fn(chunk)).then(() => {
+        if (!failed) {
+          stream.resume();
+        }
+      }, (err) => {
+        fail(err);
+        if (typeof stream.destroy === 'function') {
+          stream.destroy();
+        }
+      });
+    });
+    stream.on('error', fail);
+    stream.on('end', () => {
+      pending.then(() => {
+        if (!failed) {
+          resolve();
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Reads the contents of Vinyl file `file` into a buffer.
+ *
+ * @param {Object} file - Vinyl file with buffer or stream contents.
+ *
+ * @returns {Promise} Promise that resolves to a buffer, or null if the file
+ * has no contents.
+ */
+const readContents = async (file) => {
+  if (file.isBuffer()) {
+    return file.contents;
+  }
+  if (!file.isStream()) {
+    return null;
+  }
+
+  const chunks = await collect(file.contents);
+  return Buffer.concat(chunks.map((chunk) => Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+};
+
+/**
+ * Moves Vinyl file `file` to relative path `relative` within its base.
+ *
+ * @param {Object} file - Vinyl file.
+ * @param {string} relative - New relative path, using forward slashes.
+ *
+ * @returns {Object} The same Vinyl file.
+ */
+const setRelative = (file, relative) => {
+  const normalized = path.posix.normalize(relative.split('\\').join('/'));
+  if (!normalized || normalized === '.' || normalized === '..'
+    || normalized.startsWith('../') || path.posix.isAbsolute(normalized)) {
+    throw new Error(`Cannot move '${file.relative}' to '${relative}', which is outside its base`);
+  }
+  file.path = path.join(file.base, ...normalized.split('/'));
+  return file;
+};
+
+/**
+ * Returns the relative path of Vinyl file `file` using forward slashes.
+ *
+ * @param {Object} file - Vinyl file.
+ *
+ * @returns {string} Relative path.
+ */
+const getRelative = (file) => {
+  return file.relative.split(path.sep).join('/');
+};
+
+module.exports = {
+  filterFiles,
+  mapFiles,
+  branchFiles,
+  fromFiles,
+  collect,
+  forEachChunk,
+  readContents,
+  createStat,
+  getRelative,
+  setRelative,
+};
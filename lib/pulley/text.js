@@ -0,0 +1,122 @@
+/**
+ * @file Helpers for working with the text contents of files.
+ */
+
+const { readContents } = require('./streams.js');
+
+/**
+ * Number of leading bytes inspected when detecting binary contents.
+ */
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * Determines whether `contents` appear to be binary rather than text.
+ *
+ * Contents are considered binary if their leading bytes contain a NUL byte,
+ * which is the same heuristic used by git.
+ *
+ * @param {Buffer} contents - File contents.
+ *
+ * @returns {boolean} True if contents appear to be binary.
+ */
+const isBinary = (contents) => {
+  return contents.subarray(0, BINARY_SNIFF_LENGTH).includes(0);
+};
+
+/**
+ * Supported behaviours for template variables which are not defined.
+ *
+ * - `error`: An error is thrown.
+ * - `keep`: The placeholder is left as-is.
+ * - `empty`: The placeholder is replaced with an empty string.
+ */
+const MISSING_VARIABLE_BEHAVIOURS = ['error', 'keep', 'empty'];
+
+/**
+ * Looks up dotted path `name` within `variables`.
+ *
+ * @param {Object} variables - Variables object.
+ * @param {string} name - Dotted variable path, e.g. `git.commit`.
+ *
+ * @returns {*} Variable value, or undefined if not defined.
+ */
+const lookupVariable = (variables, name) => {
+  return name.split('.').reduce((value, key) => {
+    if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+      return undefined;
+    }
+    return value[key];
+  }, variables);
+};
+
+/**
+ * Replaces `${name}` placeholders in `text` with values from `variables`.
+ *
+ * Names may be dotted paths into nested objects. Objects and arrays are
+ * substituted as JSON. `$${` produces a literal `${`.
+ *
+ * @param {string} text - Template text.
+ * @param {Object} variables - Variables object.
+ * @param {string=} missing - Behaviour for undefined variables; one of
+ * `MISSING_VARIABLE_BEHAVIOURS`. Defaults to `error`.
+ *
+ * @returns {string} Rendered text.
+ */
+const renderTemplate = (text, variables, missing = 'error') => {
+  return text.replace(/\$\$\{|\$\{\s*([A-Za-z_$][\w$-]*(?:\.[\w$-]+)*)\s*\}/g, (match, name) => {
+    if (match === '$${') {
+      return '${';
+    }
+
+    const value = lookupVariable(variables, name);
+    if (value === undefined) {
+      if (missing === 'keep') {
+        return match;
+      }
+      if (missing === 'empty') {
+        return '';
+      }
+      throw new Error(`Template variable '${name}' is not defined`);
+    }
+
+    return (value !== null && typeof value === 'object') ? JSON.stringify(value) : String(value);
+  });
+};
+
+/**
+ * Rewrites the text contents of Vinyl file `file`.
+ *
+ * Files without contents and files which appear to be binary are returned
+ * unchanged. Contents are decoded and encoded as UTF-8.
+ *
+ * @param {Object} file - Vinyl file.
+ * @param {function} fn - Callback which receives the file's text and returns
+ * (or resolves to) the new text.
+ *
+ * @returns {Promise} Promise that resolves to the same Vinyl file.
+ */
+const rewriteText = async (file, fn) => {
+  if (file.isNull()) {
+    return file;
+  }
+
+  const contents = await readContents(file);
+  file.contents = contents;
+  if (isBinary(contents)) {
+    return file;
+  }
+
+  const text = contents.toString('utf8');
+  const result = await fn(text);
+  if (result !== text) {
+    file.contents = Buffer.from(result, 'utf8');
+  }
+  return file;
+};
+
+module.exports = {
+  isBinary,
+  rewriteText,
+  MISSING_VARIABLE_BEHAVIOURS,
+  renderTemplate,
+};
@@ -0,0 +1,73 @@
+/**
+ * @file Helpers for working with URLs.
+ */
+
+/**
+ * Removes any username and password from URL `url`.
+ *
+ * Values which are not URLs, such as SSH addresses and paths, are returned
+ * unchanged.
+ *
+ * @param {string} url - URL to strip.
+ *
+ * @returns {string} URL without credentials.
+ */
+const stripCredentials = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  }
+  catch (err) {
+    return url;
+  }
+  if (!parsed.username && !parsed.password) {
+    return url;
+  }
+  parsed.username = '';
+  parsed.password = '';
+  return parsed.toString();
+};
+
+/**
+ * Removes any username and password from the URLs found within `text`, such
+ * as an error message.
+ *
+ * @param {string} text - Text to strip.
+ *
+ * @returns {string} Text without URL credentials.
+ */
+const stripCredentialsFromText = (text) => {
+  return String(text).replace(/\b([A-Za-z][A-Za-z0-9+.-]*:\/\/)[^\s/?#@'"]+@/g, '$1');
+};
+
+/**
+ * Returns the host name of URL or SSH address `url`.
+ *
+ * SSH addresses may be given in scp-like form, e.g. `git@host:repo.git`.
+ *
+ * @param {string} url - URL or SSH address.
+ *
+ * @returns {string|null} Lowercase host name, or null if `url` has no host,
+ * e.g. because it is a path.
+ */
+const getHost = (url) => {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  const scpLike = /^(?:[^@/:]+@)?([^/:]+):(?!\/\/)/.exec(url);
+  if (scpLike && !/^[A-Za-z]:[\\/]/.test(url)) {
+    return scpLike[1].toLowerCase();
+  }
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  }
+  catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  stripCredentials,
+  stripCredentialsFromText,
+  getHost,
+};
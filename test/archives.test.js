@@ -0,0 +1,101 @@
+/**
+ * @file Tests for reading archives, including refusal of unsafe entries.
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const tar = require('tar-stream');
+
+const { readArchive } = require('../lib/pulley/archives.js');
+const { collect } = require('../lib/pulley/streams.js');
+
+/**
+ * Creates a tar archive holding `entries`.
+ *
+ * @param {Object[]} entries - Entries to add. Each has a `name`, and either
+ * `contents` for a file or `linkname` for a symbolic link.
+ *
+ * @returns {Promise} Promise that resolves to archive contents.
+ */
+const createTar = async (entries) => {
+  const pack = tar.pack();
+  for (const { name, contents, linkname } of entries) {
+    if (linkname !== undefined) {
+      pack.entry({ name, type: 'symlink', linkname });
+    }
+    else {
+      pack.entry({ name }, contents);
+    }
+  }
+  pack.finalize();
+  return Buffer.concat(await collect(pack));
+};
+
+/**
+ * Reads tar archive `buffer`, returning its files' relative paths.
+ *
+ * @param {Buffer} buffer - Archive contents.
+ *
+ * @returns {Promise} Promise that resolves to an array of relative paths.
+ */
+const readPaths = async (buffer) => {
+  const files = await readArchive({ buffer, name: 'test.tar' }, { base: '/archive' });
+  return files.map((file) => file.relative.split('\\').join('/'));
+};
+
+describe('readArchive', () => {
+
+  it('reads files and symbolic links which stay within the archive', async () => {
+    const buffer = await createTar([
+      { name: 'docs/readme.txt', contents: 'Readme' },
+      { name: 'docs/latest', linkname: 'readme.txt' },
+      { name: 'link', linkname: 'docs/../docs' },
+    ]);
+    assert.deepStrictEqual(await readPaths(buffer), ['docs/readme.txt', 'docs/latest', 'link']);
+  });
+
+  it('refuses entries which escape the archive root', async () => {
+    const buffer = await createTar([{ name: '../evil.txt', contents: 'Evil' }]);
+    await assert.rejects(readPaths(buffer), /escapes archive root/);
+  });
+
+  it('refuses symbolic links with absolute or escaping targets', async () => {
+    await assert.rejects(readPaths(await createTar([{ name: 'link', linkname: '/etc' }])), /absolute target/);
+    await assert.rejects(readPaths(await createTar([{ name: 'a/link', linkname: '../..' }])), /escapes archive root/);
+  });
+
+  it('refuses entries beneath a chain of symbolic links', async () => {
+    const buffer = await createTar([
+      { name: 'a', linkname: '.' },
+      { name: 'a/b', linkname: '..' },
+      { name: 'a/b/c', linkname: '..' },
+      { name: 'a/b/c/evil2.txt', contents: 'Evil' },
+    ]);
+    await assert.rejects(readPaths(buffer), /beneath symbolic link 'a'/);
+  });
+
+  it('resolves link targets through earlier symbolic links', async () => {
+    const buffer = await createTar([
+      { name: 'sub/up', linkname: '..' },
+      { name: 'escape', linkname: 'sub/up/..' },
+    ]);
+    await assert.rejects(readPaths(buffer), /'escape' whose target escapes archive root/);
+  });
+
+  it('checks earlier symbolic links again when a later link changes them', async () => {
+    const buffer = await createTar([
+      { name: 'escape', linkname: 'sub/up/..' },
+      { name: 'sub/up', linkname: '..' },
+    ]);
+    await assert.rejects(readPaths(buffer), /makes the target of 'escape' escape archive root/);
+  });
+
+  it('refuses symbolic links which replace a directory', async () => {
+    const buffer = await createTar([
+      { name: 'dir/file.txt', contents: 'File' },
+      { name: 'dir', linkname: 'elsewhere' },
+    ]);
+    await assert.rejects(readPaths(buffer), /replaces a directory/);
+  });
+
+});
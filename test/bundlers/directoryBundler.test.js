@@ -0,0 +1,104 @@
+/**
+ * @file Tests for DirectoryBundler.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const Vinyl = require('vinyl');
+
+const DirectoryBundler = require('../../lib/pulley/bundlers/directoryBundler.js');
+
+/**
+ * Creates a package whose stream holds `files`.
+ *
+ * @param {string} name - Package name.
+ * @param {Object} files - Object mapping relative paths to contents, or to
+ * `{ symlink }` objects for symbolic links.
+ *
+ * @returns {Object} Package object.
+ */
+const createPackage = (name, files) => {
+  const vinyls = Object.entries(files).map(([relative, value]) => {
+    const options = { cwd: '/', base: '/src', path: path.join('/src', relative) };
+    if (typeof value === 'object') {
+      return new Vinyl({ ...options, symlink: value.symlink, stat: { mode: 0o120777, isSymbolicLink: () => true } });
+    }
+    return new Vinyl({ ...options, contents: Buffer.from(value), stat: { mode: 0o100644 } });
+  });
+  return { name, metadata: {}, stream: Readable.from(vinyls, { objectMode: true }) };
+};
+
+describe('DirectoryBundler', () => {
+  let tempDir;
+  let dest;
+  let outside;
+
+  beforeEach(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulley-directory-test-'));
+    dest = path.join(tempDir, 'dest');
+    outside = path.join(tempDir, 'outside');
+    await fs.promises.mkdir(dest);
+    await fs.promises.mkdir(outside);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('writes each package into its own directory', async () => {
+    const bundler = new DirectoryBundler({ manifest: false });
+    const summary = await bundler.bundle([
+      createPackage('app', { 'index.js': 'app', 'lib/util.js': 'util', 'main.js': { symlink: 'index.js' } }),
+    ], dest);
+
+    assert.strictEqual(summary.added, 3);
+    assert.strictEqual(await fs.promises.readFile(path.join(dest, 'app/lib/util.js'), 'utf8'), 'util');
+    assert.strictEqual(await fs.promises.readlink(path.join(dest, 'app/main.js')), 'index.js');
+  });
+
+  for (const incremental of [false, true]) {
+    describe(incremental ? 'when incremental' : 'when not incremental', () => {
+
+      it('refuses to write beneath a chain of symbolic links', async () => {
+        const bundler = new DirectoryBundler({ incremental, manifest: false });
+        const pkg = createPackage('slip', {
+          'a': { symlink: '.' },
+          'a/b': { symlink: '..' },
+          'a/b/c': { symlink: '..' },
+          'a/b/c/evil2.txt': 'Evil',
+        });
+
+        await assert.rejects(bundler.bundle([pkg], dest), /beneath symbolic link/);
+        assert.deepStrictEqual(await fs.promises.readdir(dest), ['slip']);
+        assert.deepStrictEqual(await fs.promises.readdir(path.join(dest, 'slip')), ['a']);
+      });
+
+      it('refuses to write through a symbolic link to another directory', async () => {
+        const bundler = new DirectoryBundler({ incremental, manifest: false });
+        const pkg = createPackage('slip', {
+          'out': { symlink: path.relative(path.join(dest, 'slip'), outside) },
+          'out/evil.txt': 'Evil',
+        });
+
+        await assert.rejects(bundler.bundle([pkg], dest), /beneath symbolic link/);
+        assert.deepStrictEqual(await fs.promises.readdir(outside), []);
+      });
+
+      it('replaces an existing symbolic link rather than writing through it', async () => {
+        const bundler = new DirectoryBundler({ incremental, requireEmpty: false, manifest: false });
+        await fs.promises.mkdir(path.join(dest, 'app'));
+        await fs.promises.symlink(path.join(outside, 'target.txt'), path.join(dest, 'app', 'file.txt'));
+
+        await bundler.bundle([createPackage('app', { 'file.txt': 'Inside' })], dest);
+        assert.deepStrictEqual(await fs.promises.readdir(outside), []);
+        assert.strictEqual(await fs.promises.readFile(path.join(dest, 'app/file.txt'), 'utf8'), 'Inside');
+      });
+
+    });
+  }
+
+});
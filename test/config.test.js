@@ -0,0 +1,167 @@
+/**
+ * @file Tests for the pulleyfile configuration loader.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { loadConfig } = require('../lib/pulley/config.js');
+const { ConfigError } = require('../lib/pulley/errors.js');
+
+const PACKAGE = `packages:
+  - name: app
+    source:
+      type: local
+      options:
+        path: /src
+`;
+
+describe('loadConfig', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulley-config-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes each of `files` into the temporary directory.
+   *
+   * @param {Object} files - Object mapping file names to contents.
+   *
+   * @returns {string} Path of the first file.
+   */
+  const writeFiles = (files) => {
+    for (const [name, contents] of Object.entries(files)) {
+      fs.writeFileSync(path.join(tempDir, name), contents);
+    }
+    return path.join(tempDir, Object.keys(files)[0]);
+  };
+
+  it('interpolates environment variables', async () => {
+    const file = writeFiles({
+      'pulley.yml': `dest: "/out/\${NAME}\${EMPTY}"
+bundler:
+  type: directory
+  options:
+    mtime: "\${EMPTY:-fallback}"
+    literal: "$\${NAME}"
+${PACKAGE}`,
+    });
+
+    const { config } = await loadConfig(file, { env: { NAME: 'site', EMPTY: '' } });
+    assert.strictEqual(config.dest, '/out/site');
+    assert.deepStrictEqual(config.bundler.options, { mtime: 'fallback', literal: '${NAME}' });
+  });
+
+  it('reports unset variables with their file and line', async () => {
+    const file = writeFiles({ 'pulley.yml': `dest: /out\nbundler:\n  type: "\${MISSING}"\n${PACKAGE}` });
+
+    await assert.rejects(loadConfig(file, { env: {} }), (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.strictEqual(err.file, file);
+      assert.strictEqual(err.line, 3);
+      assert.strictEqual(err.keyPath, '/bundler/type');
+      return true;
+    });
+  });
+
+  it('merges extended and included files', async () => {
+    const file = writeFiles({
+      'pulley.yml': `extends: base.yml\nbundler:\n  include: bundler.json\n  options:\n    incremental: true\n${PACKAGE}`,
+      'base.yml': 'dest: /base\nconcurrency: 2\n',
+      'bundler.json': '{ "type": "directory", "options": { "incremental": false, "manifest": true } }',
+    });
+
+    const { config, files } = await loadConfig(file, { env: {} });
+    assert.strictEqual(config.dest, '/base');
+    assert.strictEqual(config.concurrency, 2);
+    assert.deepStrictEqual(config.bundler, { type: 'directory', options: { incremental: true, manifest: true } });
+    assert.strictEqual(files.length, 3);
+  });
+
+  it('refuses circular includes', async () => {
+    const file = writeFiles({ 'a.yml': 'extends: b.yml\n', 'b.yml': 'extends: a.yml\n' });
+    await assert.rejects(loadConfig(file, { env: {} }), /Circular include/);
+  });
+
+  it('applies and interpolates only the selected environment', async () => {
+    const file = writeFiles({
+      'pulley.yml': `dest: /out
+${PACKAGE}environments:
+  production:
+    dest: "/srv/\${SITE}"
+  staging:
+    dest: "/staging/\${STAGING_ONLY}"
+`,
+    });
+
+    const { config } = await loadConfig(file, { env: { SITE: 'live' }, environment: 'production' });
+    assert.strictEqual(config.dest, '/srv/live');
+    assert.strictEqual(config.environments, undefined);
+
+    const plain = await loadConfig(file, { env: {} });
+    assert.strictEqual(plain.config.dest, '/out');
+
+    await assert.rejects(loadConfig(file, { env: {}, environment: 'test' }), /Unknown environment 'test'/);
+  });
+
+  it('accepts pipeline options', async () => {
+    const file = writeFiles({
+      'pulley.yml': `dest: /out
+concurrency: 4
+partial: true
+plan: false
+timeout: 5m
+timeouts:
+  fetch: 30s
+  bundle: 1000
+${PACKAGE}`,
+    });
+
+    const { config } = await loadConfig(file, { env: {} });
+    assert.strictEqual(config.partial, true);
+    assert.strictEqual(config.plan, false);
+    assert.strictEqual(config.timeout, '5m');
+    assert.deepStrictEqual(config.timeouts, { fetch: '30s', bundle: 1000 });
+  });
+
+  it('rejects invalid pipeline options', async () => {
+    const cases = [
+      ['timeout: soon', '/timeout'],
+      ['timeout: 0', '/timeout'],
+      ['timeouts:\n  download: 30s', '/timeouts/download'],
+      ['plan: "yes"', '/plan'],
+      ['unknown: true', '/unknown'],
+    ];
+    for (const [yaml, keyPath] of cases) {
+      const file = writeFiles({ 'pulley.yml': `dest: /out\n${yaml}\n${PACKAGE}` });
+      await assert.rejects(loadConfig(file, { env: {} }), (err) => {
+        assert.ok(err instanceof ConfigError, `Expected '${yaml}' to be rejected`);
+        assert.strictEqual(err.keyPath, keyPath, err.message);
+        return true;
+      });
+    }
+  });
+
+  it('rejects dependency cycles', async () => {
+    const file = writeFiles({
+      'pulley.yml': `packages:
+  - name: a
+    dependsOn: [b]
+    source: { type: local }
+  - name: b
+    dependsOn: [a]
+    source: { type: local }
+`,
+    });
+    await assert.rejects(loadConfig(file, { env: {} }), /dependency cycle: a -> b -> a/);
+  });
+
+});
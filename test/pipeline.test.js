@@ -0,0 +1,294 @@
+/**
+ * @file Tests for Pipeline.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const Vinyl = require('vinyl');
+
+const Pipeline = require('../lib/pulley/pipeline.js');
+const Source = require('../lib/pulley/source.js');
+const Action = require('../lib/pulley/action.js');
+const DirectoryBundler = require('../lib/pulley/bundlers/directoryBundler.js');
+const { collect, fromFiles } = require('../lib/pulley/streams.js');
+const { raceSignal } = require('../lib/pulley/abort.js');
+
+/**
+ * Source which emits the files given as its `files` option, and records the
+ * order in which sources are fetched in its `log` option. If its `hang`
+ * option is set, fetching only finishes once it is cancelled.
+ */
+class MemorySource extends Source {
+
+  async fetch(options = {}) {
+    const { name, files, log, fail, hang } = this.options;
+    if (log) {
+      log.push(name);
+    }
+    if (fail) {
+      throw new Error(`Unable to fetch '${name}'`);
+    }
+    if (hang) {
+      await raceSignal(new Promise(() => {}), options.signal);
+    }
+    return fromFiles(Object.entries(files || {}).map(([relative, contents]) => {
+      return new Vinyl({ cwd: '/', base: '/src', path: path.join('/src', relative), contents: Buffer.from(contents) });
+    }));
+  }
+
+  getMetadata() {
+    return { fetched: this.options.name };
+  }
+
+}
+
+/**
+ * Action which generates an index of the files of the packages its package
+ * depends on.
+ */
+class IndexAction extends Action {
+
+  async transform(src, context) {
+    const lines = [];
+    for (const [name, dependency] of Object.entries(context.dependencies)) {
+      const files = await collect(dependency.read());
+      files.forEach((file) => lines.push(`${name}/${file.relative}: ${file.contents.toString()}`));
+      lines.push(`${name} from ${dependency.metadata.fetched} into ${dependency.dest}`);
+    }
+    const index = new Vinyl({ cwd: '/', base: '/src', path: '/src/index.txt', contents: Buffer.from(lines.join('\n')) });
+    return fromFiles([...await collect(src), index]);
+  }
+
+}
+
+describe('Pipeline', () => {
+  let tempDir;
+  let dest;
+
+  beforeEach(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulley-pipeline-test-'));
+    dest = path.join(tempDir, 'dest');
+    await fs.promises.mkdir(dest);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const createPackage = (name, options = {}) => {
+    const { dependsOn, actions, ...sourceOptions } = options;
+    return { name, dependsOn, actions, source: new MemorySource({ name, ...sourceOptions }) };
+  };
+
+  const readDest = (relative) => fs.promises.readFile(path.join(dest, relative), 'utf8');
+
+  describe('dependencies', () => {
+
+    it('prepares packages after the packages they depend on', async () => {
+      const log = [];
+      const pipeline = new Pipeline({
+        packages: [
+          createPackage('app', { log, dependsOn: ['lib', 'assets'] }),
+          createPackage('lib', { log, dependsOn: ['assets'] }),
+          createPackage('assets', { log }),
+        ],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+        concurrency: 3,
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.success, true);
+      assert.deepStrictEqual(log, ['assets', 'lib', 'app']);
+    });
+
+    it('gives dependents the files prepared for their dependencies', async () => {
+      const pipeline = new Pipeline({
+        packages: [
+          createPackage('docs', { dependsOn: ['api'], actions: [new IndexAction()] }),
+          createPackage('api', { files: { 'users.json': '[]', 'nested/items.json': '{}' } }),
+        ],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.success, true);
+      assert.strictEqual(await readDest('docs/index.txt'), [
+        'api/users.json: []',
+        `api/${path.join('nested', 'items.json')}: {}`,
+        `api from api into ${dest}`,
+      ].join('\n'));
+      // The dependency is still bundled in full.
+      assert.strictEqual(await readDest('api/nested/items.json'), '{}');
+    });
+
+    it('skips dependents of failed packages and finishes unrelated ones', async () => {
+      const pipeline = new Pipeline({
+        packages: [
+          createPackage('broken', { fail: true }),
+          createPackage('dependent', { dependsOn: ['broken'] }),
+          createPackage('indirect', { dependsOn: ['dependent'] }),
+          createPackage('unrelated', { files: { 'file.txt': 'ok' } }),
+        ],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+        partial: true,
+      });
+
+      const report = await pipeline.run();
+      assert.deepStrictEqual(report.packages.map((result) => [result.name, result.status]), [
+        ['broken', 'failed'],
+        ['dependent', 'skipped'],
+        ['indirect', 'skipped'],
+        ['unrelated', 'bundled'],
+      ]);
+      assert.match(report.packages[1].error.message, /dependency 'broken' failed/);
+      assert.strictEqual(await readDest('unrelated/file.txt'), 'ok');
+    });
+
+    it('fails validation for unknown dependencies and cycles', async () => {
+      const pipeline = new Pipeline({
+        packages: [
+          createPackage('a', { dependsOn: ['b'] }),
+          createPackage('b', { dependsOn: ['a'] }),
+          createPackage('c', { dependsOn: ['missing'] }),
+        ],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.success, false);
+      assert.deepStrictEqual(report.packages.map((result) => result.stage), ['validate', 'validate', 'validate']);
+      assert.match(report.packages[0].error.message, /dependency cycle: a -> b -> a/);
+      assert.match(report.packages[2].error.message, /missing/);
+    });
+
+  });
+
+  describe('cancellation and timeouts', () => {
+
+    it('skips remaining packages and bundles nothing once aborted', async () => {
+      const controller = new AbortController();
+      const log = [];
+      const pipeline = new Pipeline({
+        packages: [
+          createPackage('first', { files: { 'file.txt': 'first' } }),
+          createPackage('slow', { log, hang: true }),
+          createPackage('last', { files: { 'file.txt': 'last' } }),
+        ],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+      });
+
+      const running = pipeline.run({ signal: controller.signal });
+      while (log.length === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      controller.abort();
+
+      const report = await running;
+      assert.strictEqual(report.aborted, true);
+      assert.strictEqual(report.bundled, false);
+      assert.deepStrictEqual(report.packages.map((result) => [result.name, result.status, result.stage]), [
+        ['first', 'skipped', 'bundle'],
+        ['slow', 'failed', 'fetch'],
+        ['last', 'skipped', 'fetch'],
+      ]);
+      assert.match(report.packages[2].error.message, /pipeline was aborted/);
+      assert.deepStrictEqual(await fs.promises.readdir(dest), []);
+    });
+
+    it('aborts once the overall timeout elapses', async () => {
+      const pipeline = new Pipeline({
+        packages: [createPackage('slow', { hang: true })],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+        timeout: '50ms',
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.aborted, true);
+      assert.strictEqual(report.packages[0].stage, 'fetch');
+      assert.match(report.packages[0].error.message, /Pipeline timed out after 50ms/);
+    });
+
+    it('fails only the package whose stage times out', async () => {
+      const pipeline = new Pipeline({
+        packages: [
+          createPackage('slow', { hang: true }),
+          createPackage('fast', { files: { 'file.txt': 'fast' } }),
+        ],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+        partial: true,
+        timeouts: { fetch: '50ms' },
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.aborted, false);
+      assert.deepStrictEqual(report.packages.map((result) => [result.name, result.status]), [
+        ['slow', 'failed'],
+        ['fast', 'bundled'],
+      ]);
+      assert.match(report.packages[0].error.message, /Stage 'fetch' timed out after 50ms/);
+      assert.strictEqual(await readDest('fast/file.txt'), 'fast');
+    });
+
+    it('rejects invalid timeouts', () => {
+      const create = (options) => new Pipeline({ packages: [], dest, ...options });
+      assert.throws(() => create({ timeout: 'soon' }), /Invalid timeout 'soon'/);
+      assert.throws(() => create({ timeout: 0 }), /Invalid timeout '0'/);
+      assert.throws(() => create({ timeouts: { validate: '1s' } }), /Unknown stage 'validate' in timeouts/);
+      assert.throws(() => create({ timeouts: { fetch: -1 } }), /Invalid timeout for stage 'fetch'/);
+      assert.deepStrictEqual(create({ timeout: '1m', timeouts: { bundle: '2s', fetch: 500 } }).timeouts, { bundle: 2000, fetch: 500 });
+    });
+
+  });
+
+  describe('plan mode', () => {
+
+    it('reports the bundler\'s plan without writing anything', async () => {
+      await fs.promises.mkdir(path.join(dest, 'app'));
+      await fs.promises.writeFile(path.join(dest, 'app', 'file.txt'), 'before\n');
+      const pipeline = new Pipeline({
+        packages: [createPackage('app', { files: { 'file.txt': 'after\n', 'new.txt': 'new' } })],
+        bundler: new DirectoryBundler({ requireEmpty: false, manifest: false }),
+        dest,
+        plan: true,
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.success, true);
+      assert.strictEqual(report.bundled, false);
+      assert.strictEqual(report.summary, null);
+      assert.deepStrictEqual(report.packages.map((result) => [result.status, result.stage]), [['planned', 'bundle']]);
+      assert.deepStrictEqual(report.plan.changes.map((change) => [change.action, change.path]), [
+        ['overwrite', 'app/file.txt'],
+        ['create', 'app/new.txt'],
+      ]);
+      assert.strictEqual(await readDest('app/file.txt'), 'before\n');
+      assert.deepStrictEqual(await fs.promises.readdir(path.join(dest, 'app')), ['file.txt']);
+    });
+
+    it('does not plan when packages fail', async () => {
+      const pipeline = new Pipeline({
+        packages: [createPackage('broken', { fail: true }), createPackage('app', { files: { 'file.txt': 'ok' } })],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest,
+        plan: true,
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.success, false);
+      assert.strictEqual(report.plan, null);
+      assert.deepStrictEqual(report.packages.map((result) => result.status), ['failed', 'skipped']);
+    });
+
+  });
+
+});
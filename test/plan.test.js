@@ -0,0 +1,114 @@
+/**
+ * @file Tests for planning bundles and formatting plans.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const Vinyl = require('vinyl');
+
+const DirectoryBundler = require('../lib/pulley/bundlers/directoryBundler.js');
+const { formatPlan } = require('../lib/pulley/plan.js');
+const { MASK, withSecrets } = require('../lib/pulley/redaction.js');
+
+/**
+ * Creates a package whose stream holds `files`.
+ *
+ * @param {string} name - Package name.
+ * @param {Object} files - Object mapping relative paths to contents.
+ *
+ * @returns {Object} Package object.
+ */
+const createPackage = (name, files) => {
+  const vinyls = Object.entries(files).map(([relative, contents]) => {
+    return new Vinyl({
+      cwd: '/',
+      base: '/src',
+      path: path.join('/src', relative),
+      contents: Buffer.from(contents),
+      stat: { mode: 0o100644 },
+    });
+  });
+  return { name, metadata: {}, stream: Readable.from(vinyls, { objectMode: true }) };
+};
+
+describe('plan', () => {
+  let tempDir;
+  let dest;
+
+  beforeEach(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulley-plan-test-'));
+    dest = path.join(tempDir, 'dest');
+    await fs.promises.mkdir(path.join(dest, 'app'), { recursive: true });
+    const existing = { 'same.txt': 'same', 'changed.txt': 'before\n', 'old.txt': 'old' };
+    for (const [relative, contents] of Object.entries(existing)) {
+      await fs.promises.writeFile(path.join(dest, 'app', relative), contents);
+      await fs.promises.chmod(path.join(dest, 'app', relative), 0o644);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const planApp = (files) => {
+    const bundler = new DirectoryBundler({ incremental: true, requireEmpty: false, manifest: false });
+    return bundler.plan([createPackage('app', files)], dest);
+  };
+
+  it('lists the files a bundler would create, overwrite and delete', async () => {
+    const plan = await planApp({ 'same.txt': 'same', 'changed.txt': 'after\n', 'new.txt': 'new' });
+
+    assert.deepStrictEqual(plan.summary, { unchanged: 1, create: 1, overwrite: 1, delete: 1 });
+    assert.deepStrictEqual(plan.changes.map((change) => [change.action, change.path, change.package]), [
+      ['overwrite', 'app/changed.txt', 'app'],
+      ['create', 'app/new.txt', 'app'],
+      ['delete', 'app/old.txt', 'app'],
+    ]);
+    assert.strictEqual(await fs.promises.readFile(path.join(dest, 'app/changed.txt'), 'utf8'), 'before\n');
+    assert.deepStrictEqual((await fs.promises.readdir(path.join(dest, 'app'))).sort(), ['changed.txt', 'old.txt', 'same.txt']);
+  });
+
+  it('formats plans as text with diffs', async () => {
+    const plan = await planApp({ 'same.txt': 'same', 'changed.txt': 'after\n', 'new.txt': 'new' });
+
+    assert.strictEqual(formatPlan(plan), [
+      `Plan for DirectoryBundler in ${dest}`,
+      '',
+      'overwrite app/changed.txt (7 -> 6 bytes, mode 0644)',
+      'create    app/new.txt (3 bytes, mode 0644)',
+      'delete    app/old.txt (3 bytes, mode 0644)',
+      '',
+      '--- a/app/changed.txt',
+      '+++ b/app/changed.txt',
+      '@@ -1 +1 @@',
+      '-before',
+      '+after',
+      '',
+      '1 to create, 1 to overwrite, 1 to delete, 1 unchanged',
+      '',
+    ].join('\n'));
+  });
+
+  it('formats plans as JSON', async () => {
+    const plan = await planApp({ 'same.txt': 'same', 'changed.txt': 'before\n', 'old.txt': 'old' });
+
+    assert.deepStrictEqual(JSON.parse(formatPlan(plan, 'json')), plan);
+    assert.match(formatPlan(plan), /No changes\./);
+    assert.throws(() => formatPlan(plan, 'yaml'), /Unknown plan format 'yaml'/);
+  });
+
+  it('masks sensitive values in diffs', async () => {
+    const plan = await planApp({ 'changed.txt': 'token=s3cret-value\n' });
+
+    await withSecrets(['s3cret-value'], () => {
+      const text = formatPlan(plan);
+      assert.ok(text.includes(`+token=${MASK}`), text);
+      assert.strictEqual(text.includes('s3cret-value'), false);
+    });
+  });
+
+});
@@ -0,0 +1,113 @@
+/**
+ * @file Tests for redaction of sensitive values.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const Pipeline = require('../lib/pulley/pipeline.js');
+const Source = require('../lib/pulley/source.js');
+const DirectoryBundler = require('../lib/pulley/bundlers/directoryBundler.js');
+const {
+  MASK,
+  Secret,
+  redact,
+  registerSecret,
+  unregisterSecret,
+  withSecrets,
+} = require('../lib/pulley/redaction.js');
+
+/**
+ * Source which fails with a message that includes its token.
+ */
+class LeakySource extends Source {
+
+  static get optionSchema() {
+    return {
+      token: { type: 'string' },
+      session: { type: 'string', sensitive: false },
+    };
+  }
+
+  async fetch() {
+    registerSecret(this.options.session);
+    throw new Error(`Rejected token ${this.options.token} with session ${this.options.session}`);
+  }
+
+}
+
+describe('redaction', () => {
+
+  it('masks process-wide secrets until they are unregistered as often as registered', () => {
+    registerSecret('process-secret');
+    registerSecret(new Secret({ nested: ['process-secret'] }));
+    assert.strictEqual(redact('using process-secret'), `using ${MASK}`);
+
+    unregisterSecret('process-secret');
+    assert.strictEqual(redact('using process-secret'), `using ${MASK}`);
+    unregisterSecret('process-secret');
+    assert.strictEqual(redact('using process-secret'), 'using process-secret');
+  });
+
+  it('masks short secrets only where they are not part of a longer word', () => {
+    withSecrets(['abc'], () => {
+      assert.strictEqual(redact('abc abcdef xabc (abc)'), `${MASK} abcdef xabc (${MASK})`);
+    });
+  });
+
+  it('forgets secrets registered within a scope once it settles', async () => {
+    await withSecrets(['scoped-secret'], async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      registerSecret('later-secret');
+      await withSecrets([], async () => {
+        assert.strictEqual(redact('scoped-secret later-secret'), `${MASK} ${MASK}`);
+      });
+    });
+
+    assert.strictEqual(redact('scoped-secret later-secret'), 'scoped-secret later-secret');
+  });
+
+  it('keeps the secrets of concurrent scopes apart', async () => {
+    const check = (secret, other) => withSecrets([secret], async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      return redact(`${secret} ${other}`);
+    });
+
+    assert.deepStrictEqual(await Promise.all([
+      check('first-secret', 'second-secret'),
+      check('second-secret', 'first-secret'),
+    ]), [`${MASK} second-secret`, `${MASK} first-secret`]);
+  });
+
+  describe('in pipelines', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulley-redaction-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('redacts secrets from failures only for the duration of the run', async () => {
+      const pipeline = new Pipeline({
+        packages: [{ name: 'app', source: new LeakySource({ token: 'token-value', session: 'session-value' }) }],
+        bundler: new DirectoryBundler({ manifest: false }),
+        dest: tempDir,
+      });
+
+      const report = await pipeline.run();
+      assert.strictEqual(report.success, false);
+      const { message } = report.packages[0].error.cause;
+      assert.strictEqual(message, `Rejected token ${MASK} with session ${MASK}`);
+
+      assert.strictEqual(redact('token-value session-value'), 'token-value session-value');
+    });
+
+  });
+
+});
@@ -0,0 +1,235 @@
+/**
+ * @file Tests for HttpSource, run against a local HTTP server.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+
+const HttpSource = require('../../lib/pulley/sources/httpSource.js');
+const CredentialProvider = require('../../lib/pulley/credentialProvider.js');
+const { collect } = require('../../lib/pulley/streams.js');
+
+const BODY = 'The quick brown fox jumps over the lazy dog.\n'.repeat(64);
+const ETAG = '"fox-1"';
+
+/**
+ * Credential provider which resolves a new bearer token each time.
+ */
+class CountingProvider extends CredentialProvider {
+
+  constructor(options) {
+    super(options);
+    this.calls = 0;
+  }
+
+  async resolve() {
+    this.calls++;
+    return { type: 'bearer', token: `token-${this.calls}` };
+  }
+
+}
+
+/**
+ * Fetches `source` and returns the resulting files' paths and contents.
+ *
+ * @param {HttpSource} source - Source to fetch.
+ *
+ * @returns {Promise} Promise that resolves to an object mapping relative
+ * paths to contents.
+ */
+const fetchFiles = async (source) => {
+  const files = await collect(await source.fetch());
+  return Object.fromEntries(files.map((file) => [file.relative, file.contents.toString()]));
+};
+
+describe('HttpSource', () => {
+  let server;
+  let baseUrl;
+  let cacheDir;
+  let handlers;
+  let requests;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      const handler = handlers[req.url];
+      if (!handler) {
+        res.writeHead(404).end();
+        return;
+      }
+      handler(req, res);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    cacheDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulley-http-test-'));
+    handlers = {};
+    requests = [];
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const createSource = (urls, authentication) => {
+    return new HttpSource({ urls, cacheDir, retries: 1, retryDelay: '10ms' }, authentication);
+  };
+
+  it('follows redirects and reports the final URL', async () => {
+    handlers['/old.txt'] = (req, res) => res.writeHead(302, { location: '/new.txt' }).end();
+    handlers['/new.txt'] = (req, res) => res.writeHead(200).end(BODY);
+
+    const source = createSource([`${baseUrl}/old.txt`]);
+    assert.deepStrictEqual(await fetchFiles(source), { 'old.txt': BODY });
+
+    const [download] = source.getMetadata().http.downloads;
+    assert.strictEqual(download.url, `${baseUrl}/old.txt`);
+    assert.strictEqual(download.finalUrl, `${baseUrl}/new.txt`);
+  });
+
+  it('sends headers and credentials only to the original origin', async () => {
+    const mirrorRequests = [];
+    const mirror = http.createServer((req, res) => {
+      mirrorRequests.push({ url: req.url, headers: req.headers });
+      res.writeHead(200).end(BODY);
+    });
+    await new Promise((resolve) => mirror.listen(0, '127.0.0.1', resolve));
+    const mirrorUrl = `http://127.0.0.1:${mirror.address().port}`;
+
+    try {
+      handlers['/file.txt'] = (req, res) => res.writeHead(302, { location: `${mirrorUrl}/file.txt` }).end();
+      const source = new HttpSource({
+        urls: [`${baseUrl}/file.txt`],
+        cacheDir,
+        headers: { 'x-api-key': 'user-key', cookie: 'session=user' },
+      }, { type: 'bearer', token: 'token-1' });
+
+      assert.deepStrictEqual(await fetchFiles(source), { 'file.txt': BODY });
+      assert.strictEqual(requests[0].headers['x-api-key'], 'user-key');
+      assert.strictEqual(requests[0].headers.cookie, 'session=user');
+      assert.strictEqual(requests[0].headers.authorization, 'Bearer token-1');
+      for (const header of ['x-api-key', 'cookie', 'authorization']) {
+        assert.strictEqual(mirrorRequests[0].headers[header], undefined, `Expected no '${header}' header`);
+      }
+    }
+    finally {
+      await new Promise((resolve) => mirror.close(resolve));
+    }
+  });
+
+  it('revalidates cached downloads', async () => {
+    handlers['/file.txt'] = (req, res) => {
+      if (req.headers['if-none-match'] === ETAG) {
+        res.writeHead(304).end();
+        return;
+      }
+      res.writeHead(200, { etag: ETAG }).end(BODY);
+    };
+
+    const source = createSource([`${baseUrl}/file.txt`]);
+    assert.deepStrictEqual(await fetchFiles(source), { 'file.txt': BODY });
+    assert.strictEqual(source.getMetadata().http.downloads[0].status, 'downloaded');
+
+    assert.deepStrictEqual(await fetchFiles(source), { 'file.txt': BODY });
+    assert.strictEqual(source.getMetadata().http.downloads[0].status, 'not-modified');
+    assert.strictEqual(requests[1].headers['if-none-match'], ETAG);
+  });
+
+  it('resumes interrupted downloads using range requests', async () => {
+    const half = BODY.length / 2;
+    handlers['/file.txt'] = (req, res) => {
+      const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+      if (match && req.headers['if-range'] === ETAG) {
+        const start = Number(match[1]);
+        res.writeHead(206, {
+          etag: ETAG,
+          'content-length': BODY.length - start,
+          'content-range': `bytes ${start}-${BODY.length - 1}/${BODY.length}`,
+        });
+        res.end(BODY.slice(start));
+        return;
+      }
+      // Send half of the body, then drop the connection.
+      res.writeHead(200, { etag: ETAG, 'content-length': BODY.length });
+      res.write(BODY.slice(0, half));
+      setTimeout(() => res.destroy(), 50);
+    };
+
+    const source = createSource([`${baseUrl}/file.txt`]);
+    const warnings = [];
+    source.on('warning', (event) => warnings.push(event));
+
+    assert.deepStrictEqual(await fetchFiles(source), { 'file.txt': BODY });
+    assert.strictEqual(source.getMetadata().http.downloads[0].status, 'resumed');
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[1].headers.range, `bytes=${half}-`);
+    assert.strictEqual(warnings.length, 1);
+  });
+
+  it('authenticates again when the server rejects its credentials', async () => {
+    handlers['/private.txt'] = (req, res) => {
+      if (req.headers.authorization !== 'Bearer token-2') {
+        res.writeHead(401).end();
+        return;
+      }
+      res.writeHead(200).end(BODY);
+    };
+
+    const provider = new CountingProvider();
+    const source = createSource([`${baseUrl}/private.txt`], { provider });
+    const warnings = [];
+    source.on('warning', (event) => warnings.push(event));
+
+    assert.deepStrictEqual(await fetchFiles(source), { 'private.txt': BODY });
+    assert.strictEqual(provider.calls, 2);
+    assert.deepStrictEqual(requests.map((request) => request.headers.authorization), [
+      'Bearer token-1',
+      'Bearer token-2',
+    ]);
+    assert.strictEqual(warnings.length, 1);
+  });
+
+  it('removes credentials from URLs in error messages', async () => {
+    handlers['/missing.tgz'] = (req, res) => res.writeHead(404).end();
+    handlers['/private.tgz'] = (req, res) => res.writeHead(401).end();
+    const credentialed = (route) => baseUrl.replace('://', '://user:hunter2secret@') + route;
+
+    for (const route of ['/missing.tgz', '/private.tgz']) {
+      const source = createSource([credentialed(route)]);
+      await assert.rejects(source.fetch(), (err) => {
+        assert.strictEqual(err.message.includes('hunter2secret'), false);
+        assert.ok(err.message.includes(`'${baseUrl}${route}'`), err.message);
+        return true;
+      });
+    }
+  });
+
+  it('rejects file paths which leave the download directory', async () => {
+    for (const relative of ['../escape.txt', 'nested/../../escape.txt', '/absolute.txt']) {
+      const source = createSource([{ url: `${baseUrl}/file.txt`, path: relative }]);
+      const report = await source.validate();
+      assert.strictEqual(report.valid, false, `Expected '${relative}' to be rejected`);
+    }
+
+    const source = createSource([{ url: `${baseUrl}/file.txt`, path: 'nested/file.txt' }]);
+    assert.strictEqual((await source.validate()).valid, true);
+  });
+
+  it('keeps file names taken from URLs within the download directory', async () => {
+    handlers['/files/..%2F..%2Fescape.txt'] = (req, res) => res.writeHead(200).end(BODY);
+
+    const source = createSource([`${baseUrl}/files/..%2F..%2Fescape.txt`]);
+    assert.deepStrictEqual(await fetchFiles(source), { 'escape.txt': BODY });
+  });
+
+});